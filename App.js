@@ -1,13 +1,32 @@
+import { useEffect } from 'react';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
+import { QueryClientProvider } from '@tanstack/react-query';
 import { AuthProvider } from './src/context/AuthContext';
+import { TimerProvider } from './src/context/TimerContext';
 import AppNavigator from './src/navigation/AppNavigator'; 
+import api from './src/services/api';
+import queryClient from './src/services/queryClient';
 
 export default function App() {
+  // Replay queued offline changes whenever connectivity returns
+  useEffect(() => api.startSync(), []);
+
+  // Synced records swap temporary IDs for server ones, so refetch what changed
+  useEffect(() => api.onSynced((collections) => {
+    collections.forEach(collection => {
+      queryClient.invalidateQueries({ queryKey: [collection] });
+    });
+  }), []);
+
   return (
     <SafeAreaProvider>
-      <AuthProvider>
-        <AppNavigator />
-      </AuthProvider>
+      <QueryClientProvider client={queryClient}>
+        <AuthProvider>
+          <TimerProvider>
+            <AppNavigator />
+          </TimerProvider>
+        </AuthProvider>
+      </QueryClientProvider>
     </SafeAreaProvider>
   );
 }
@@ -0,0 +1,150 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, Modal, TouchableOpacity } from 'react-native';
+import { getCurrencySymbol } from '../utils/currency';
+
+// Saves a positive monthly amount, or null when the budget is removed
+const BudgetEditorModal = ({ visible, title, value, currency, onSave, onClose }) => {
+  const [amount, setAmount] = useState('');
+  const [error, setError] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      setAmount(value ? String(value) : '');
+      setError(false);
+    }
+  }, [visible, value]);
+
+  const handleSave = () => {
+    const parsed = parseFloat(amount);
+    if (Number.isNaN(parsed) || parsed <= 0) {
+      setError(true);
+      return;
+    }
+    onSave(parsed);
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{title}</Text>
+          <Text style={styles.subtitle}>Monthly limit</Text>
+          <View style={[styles.inputWrapper, error && styles.inputError]}>
+            <Text style={styles.currency}>{getCurrencySymbol(currency)}</Text>
+            <TextInput
+              style={styles.input}
+              placeholder="0.00"
+              placeholderTextColor="#999"
+              value={amount}
+              onChangeText={(text) => {
+                setAmount(text);
+                setError(false);
+              }}
+              keyboardType="decimal-pad"
+              autoFocus
+            />
+          </View>
+
+          <View style={styles.actions}>
+            {value ? (
+              <TouchableOpacity style={styles.actionButton} onPress={() => onSave(null)}>
+                <Text style={styles.removeText}>Remove</Text>
+              </TouchableOpacity>
+            ) : null}
+            <View style={styles.spacer} />
+            <TouchableOpacity style={styles.actionButton} onPress={onClose}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.actionButton, styles.saveButton]} onPress={handleSave}>
+              <Text style={styles.saveText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 16,
+    marginBottom: 16,
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  currency: {
+    fontSize: 18,
+    color: '#666',
+    marginRight: 8,
+  },
+  input: {
+    flex: 1,
+    height: 48,
+    fontSize: 16,
+    color: '#333',
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  spacer: {
+    flex: 1,
+  },
+  actionButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  saveButton: {
+    backgroundColor: '#2196F3',
+  },
+  removeText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
+
+export default BudgetEditorModal;
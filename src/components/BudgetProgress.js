@@ -0,0 +1,107 @@
+import React from 'react';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getBudgetStatus } from '../utils/budgets';
+import { formatAmount } from '../utils/expenses';
+
+// This month's spending against a budget; without a limit it offers to set one.
+// Amounts are in the home `currency`.
+const BudgetProgress = ({ label, spent, limit, currency, onPress }) => {
+  const status = getBudgetStatus(spent, limit);
+  const format = (value) => formatAmount(value, currency);
+
+  return (
+    <Pressable
+      style={({ pressed }) => [styles.container, pressed && onPress && styles.pressed]}
+      onPress={onPress}
+      disabled={!onPress}
+      accessibilityRole={onPress ? 'button' : undefined}
+      accessibilityLabel={limit
+        ? `${label}: ${format(spent)} of ${format(limit)} spent, ${Math.round(status.ratio * 100)} percent`
+        : `${label}: ${format(spent)} spent, no budget set`}
+    >
+      <View style={styles.header}>
+        {label ? <Text style={styles.label} numberOfLines={1}>{label}</Text> : null}
+        {limit ? (
+          <Text style={[styles.amount, status.level !== 'ok' && { color: status.color }]}>
+            {format(spent)} / {format(limit)}
+          </Text>
+        ) : (
+          <Text style={styles.noBudget}>{format(spent)} · Set budget</Text>
+        )}
+      </View>
+      {limit ? (
+        <>
+          <View style={styles.track}>
+            <View
+              style={[
+                styles.fill,
+                { width: `${Math.min(status.ratio, 1) * 100}%`, backgroundColor: status.color },
+              ]}
+            />
+          </View>
+          <View style={styles.footer}>
+            {status.level === 'over' && <Ionicons name="warning" size={12} color={status.color} />}
+            <Text style={[styles.footerText, status.level !== 'ok' && { color: status.color }]}>
+              {status.level === 'over'
+                ? `${format(spent - limit)} over budget`
+                : `${format(limit - spent)} left`}
+            </Text>
+          </View>
+        </>
+      ) : null}
+    </Pressable>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 8,
+  },
+  pressed: {
+    opacity: 0.6,
+  },
+  header: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 6,
+  },
+  label: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginRight: 8,
+  },
+  amount: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  noBudget: {
+    fontSize: 14,
+    color: '#2196F3',
+  },
+  track: {
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: '#F0F0F0',
+    overflow: 'hidden',
+  },
+  fill: {
+    height: '100%',
+    borderRadius: 4,
+  },
+  footer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  footerText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 2,
+  },
+});
+
+export default BudgetProgress;
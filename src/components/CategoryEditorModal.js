@@ -0,0 +1,190 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, Pressable, Modal, TouchableOpacity } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { CATEGORY_COLORS, CATEGORY_ICONS, getCategoryStyle } from '../utils/categoryStyle';
+
+// Creates a category when `category` is null, edits it otherwise
+const CategoryEditorModal = ({ visible, category, onSave, onClose }) => {
+  const [title, setTitle] = useState('');
+  const [icon, setIcon] = useState(CATEGORY_ICONS[0]);
+  const [color, setColor] = useState(CATEGORY_COLORS[0]);
+  const [titleError, setTitleError] = useState(false);
+
+  useEffect(() => {
+    if (visible) {
+      const style = getCategoryStyle(category);
+      setTitle(category?.title || '');
+      setIcon(style.icon);
+      setColor(style.color);
+      setTitleError(false);
+    }
+  }, [visible, category]);
+
+  const handleSave = () => {
+    if (!title.trim()) {
+      setTitleError(true);
+      return;
+    }
+    onSave({ title: title.trim(), icon, color });
+  };
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{category ? 'Edit Category' : 'New Category'}</Text>
+
+          <View style={[styles.preview, { backgroundColor: color }]}>
+            <Ionicons name={icon} size={28} color="white" />
+          </View>
+
+          <TextInput
+            style={[styles.input, titleError && styles.inputError]}
+            placeholder="Category name"
+            placeholderTextColor="#666"
+            value={title}
+            onChangeText={(text) => {
+              setTitle(text);
+              setTitleError(false);
+            }}
+            autoFocus={!category}
+          />
+
+          <Text style={styles.label}>Icon</Text>
+          <View style={styles.grid}>
+            {CATEGORY_ICONS.map(name => (
+              <Pressable
+                key={name}
+                style={[styles.iconOption, icon === name && { borderColor: color }]}
+                onPress={() => setIcon(name)}
+              >
+                <Ionicons name={name} size={22} color={icon === name ? color : '#666'} />
+              </Pressable>
+            ))}
+          </View>
+
+          <Text style={styles.label}>Color</Text>
+          <View style={styles.grid}>
+            {CATEGORY_COLORS.map(value => (
+              <Pressable
+                key={value}
+                style={[styles.colorOption, { backgroundColor: value }]}
+                onPress={() => setColor(value)}
+              >
+                {color === value && <Ionicons name="checkmark" size={18} color="white" />}
+              </Pressable>
+            ))}
+          </View>
+
+          <View style={styles.actions}>
+            <TouchableOpacity style={styles.actionButton} onPress={onClose}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.actionButton, styles.saveButton]} onPress={handleSave}>
+              <Text style={styles.saveText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 16,
+  },
+  preview: {
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    justifyContent: 'center',
+    alignItems: 'center',
+    alignSelf: 'center',
+    marginBottom: 16,
+  },
+  input: {
+    height: 48,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 16,
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 16,
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  label: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  grid: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 16,
+  },
+  iconOption: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    borderWidth: 2,
+    borderColor: '#E0E0E0',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  colorOption: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  actionButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  saveButton: {
+    backgroundColor: '#2196F3',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
+
+export default CategoryEditorModal;
@@ -0,0 +1,272 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, Modal, ScrollView, TouchableOpacity } from 'react-native';
+import { RULE_MATCHES, createCategoryRule } from '../utils/categoryRules';
+
+const toInput = (value) => (value === null || value === undefined ? '' : String(value));
+
+// Empty means no bound; anything else must be a number from zero up
+const parseBound = (text) => {
+  if (!text.trim()) return null;
+  const value = parseFloat(text);
+  return Number.isNaN(value) || value < 0 ? undefined : value;
+};
+
+// `rule` is null when adding one. Saves the edited rule, or null when removed.
+const CategoryRuleModal = ({ visible, rule, categories, onSave, onClose }) => {
+  const [match, setMatch] = useState('contains');
+  const [text, setText] = useState('');
+  const [minAmount, setMinAmount] = useState('');
+  const [maxAmount, setMaxAmount] = useState('');
+  const [category, setCategory] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setMatch(rule?.match || 'contains');
+      setText(rule?.text || '');
+      setMinAmount(toInput(rule?.min_amount));
+      setMaxAmount(toInput(rule?.max_amount));
+      setCategory(rule?.category || null);
+      setError(null);
+    }
+  }, [visible, rule]);
+
+  // A rule can point at a category nobody has used yet
+  const choices = category && !categories.includes(category) ? [...categories, category] : categories;
+
+  const handleSave = () => {
+    const min = parseBound(minAmount);
+    const max = parseBound(maxAmount);
+    if (min === undefined || max === undefined) {
+      setError('Amounts must be positive numbers');
+      return;
+    }
+    if (min !== null && max !== null && min > max) {
+      setError('The lowest amount is above the highest');
+      return;
+    }
+    if (!text.trim() && min === null && max === null) {
+      setError('Add some title text or an amount range');
+      return;
+    }
+    if (!category) {
+      setError('Choose a category');
+      return;
+    }
+
+    const fields = { match, text: text.trim(), min_amount: min, max_amount: max, category };
+    onSave(rule ? { ...rule, ...fields } : createCategoryRule(fields));
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={() => {
+        onPress();
+        setError(null);
+      }}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>{rule ? 'Edit rule' : 'New rule'}</Text>
+          <ScrollView keyboardShouldPersistTaps="handled">
+            <Text style={styles.subtitle}>When the title</Text>
+            <View style={styles.chipRow}>
+              {RULE_MATCHES.map(item => (
+                renderChip(item.value, item.label, match === item.value, () => setMatch(item.value))
+              ))}
+            </View>
+            <TextInput
+              style={styles.input}
+              placeholder="e.g. uber (leave empty for any title)"
+              placeholderTextColor="#999"
+              value={text}
+              onChangeText={(value) => {
+                setText(value);
+                setError(null);
+              }}
+              autoCapitalize="none"
+              autoCorrect={false}
+            />
+
+            <Text style={styles.subtitle}>And the amount is between</Text>
+            <View style={styles.amountRow}>
+              <TextInput
+                style={[styles.input, styles.amountInput]}
+                placeholder="Any"
+                placeholderTextColor="#999"
+                value={minAmount}
+                onChangeText={(value) => {
+                  setMinAmount(value);
+                  setError(null);
+                }}
+                keyboardType="decimal-pad"
+                accessibilityLabel="Lowest amount"
+              />
+              <Text style={styles.amountSeparator}>and</Text>
+              <TextInput
+                style={[styles.input, styles.amountInput]}
+                placeholder="Any"
+                placeholderTextColor="#999"
+                value={maxAmount}
+                onChangeText={(value) => {
+                  setMaxAmount(value);
+                  setError(null);
+                }}
+                keyboardType="decimal-pad"
+                accessibilityLabel="Highest amount"
+              />
+            </View>
+
+            <Text style={styles.subtitle}>File it under</Text>
+            <View style={styles.chipRow}>
+              {choices.map(item => renderChip(item, item, category === item, () => setCategory(item)))}
+            </View>
+
+            {error ? <Text style={styles.errorText}>{error}</Text> : null}
+          </ScrollView>
+
+          <View style={styles.actions}>
+            {rule ? (
+              <TouchableOpacity style={styles.actionButton} onPress={() => onSave(null)}>
+                <Text style={styles.removeText}>Remove</Text>
+              </TouchableOpacity>
+            ) : null}
+            <View style={styles.spacer} />
+            <TouchableOpacity style={styles.actionButton} onPress={onClose}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.actionButton, styles.saveButton]} onPress={handleSave}>
+              <Text style={styles.saveText}>Save</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  sheet: {
+    maxHeight: '85%',
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  subtitle: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  input: {
+    height: 44,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: '#333',
+    marginTop: 8,
+  },
+  amountRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  amountInput: {
+    flex: 1,
+    marginTop: 0,
+  },
+  amountSeparator: {
+    fontSize: 14,
+    color: '#666',
+    marginHorizontal: 8,
+  },
+  errorText: {
+    fontSize: 14,
+    color: '#FF3B30',
+    marginTop: 12,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 16,
+  },
+  spacer: {
+    flex: 1,
+  },
+  actionButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  saveButton: {
+    backgroundColor: '#2196F3',
+  },
+  removeText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  saveText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
+
+export default CategoryRuleModal;
@@ -0,0 +1,137 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { createChecklistItem } from '../utils/checklist';
+import { moveItem } from '../utils/lists';
+
+const ChecklistEditor = ({ items, onChange }) => {
+  const [newItem, setNewItem] = useState('');
+  const doneCount = items.filter(item => item.done).length;
+
+  const updateItem = (id, changes) => {
+    onChange(items.map(item => (item.id === id ? { ...item, ...changes } : item)));
+  };
+
+  const removeItem = (id) => {
+    onChange(items.filter(item => item.id !== id));
+  };
+
+  const addItem = () => {
+    if (!newItem.trim()) return;
+    onChange([...items, createChecklistItem(newItem.trim())]);
+    setNewItem('');
+  };
+
+  return (
+    <View>
+      {items.length > 0 && (
+        <Text style={styles.progressText}>{doneCount}/{items.length} done</Text>
+      )}
+
+      {items.map((item, index) => (
+        <View key={item.id} style={styles.itemRow}>
+          <TouchableOpacity onPress={() => updateItem(item.id, { done: !item.done })}>
+            <Icon
+              name={item.done ? 'checkbox-marked' : 'checkbox-blank-outline'}
+              size={24}
+              color={item.done ? '#2196F3' : '#666'}
+            />
+          </TouchableOpacity>
+          <TextInput
+            style={[styles.itemInput, item.done && styles.itemInputDone]}
+            value={item.title}
+            onChangeText={(text) => updateItem(item.id, { title: text })}
+            onEndEditing={() => !item.title.trim() && removeItem(item.id)}
+          />
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => onChange(moveItem(items, index, -1))}
+            disabled={index === 0}
+          >
+            <Icon name="chevron-up" size={20} color={index === 0 ? '#DDD' : '#666'} />
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.iconButton}
+            onPress={() => onChange(moveItem(items, index, 1))}
+            disabled={index === items.length - 1}
+          >
+            <Icon name="chevron-down" size={20} color={index === items.length - 1 ? '#DDD' : '#666'} />
+          </TouchableOpacity>
+          <TouchableOpacity style={styles.iconButton} onPress={() => removeItem(item.id)}>
+            <Icon name="close" size={20} color="#666" />
+          </TouchableOpacity>
+        </View>
+      ))}
+
+      <View style={styles.addRow}>
+        <Icon name="plus" size={24} color="#2196F3" />
+        <TextInput
+          style={styles.itemInput}
+          placeholder="Add an item"
+          placeholderTextColor="#666"
+          value={newItem}
+          onChangeText={setNewItem}
+          onSubmitEditing={addItem}
+          blurOnSubmit={false}
+          returnKeyType="done"
+        />
+        {newItem.trim() !== '' && (
+          <TouchableOpacity style={styles.iconButton} onPress={addItem}>
+            <Text style={styles.addText}>Add</Text>
+          </TouchableOpacity>
+        )}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  progressText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  itemRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingLeft: 12,
+    paddingRight: 4,
+    marginBottom: 8,
+  },
+  itemInput: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    paddingVertical: 10,
+    marginLeft: 8,
+  },
+  itemInputDone: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
+  iconButton: {
+    padding: 6,
+  },
+  addRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    borderStyle: 'dashed',
+    paddingLeft: 12,
+    paddingRight: 4,
+  },
+  addText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2196F3',
+  },
+});
+
+export default ChecklistEditor;
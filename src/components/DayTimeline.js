@@ -0,0 +1,146 @@
+import React, { useRef } from 'react';
+import { View, Text, StyleSheet, Pressable, ScrollView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { getStatusInfo, getTaskStatus, isClosed } from '../utils/taskStatus';
+
+const HOURS = Array.from({ length: 24 }, (_, hour) => hour);
+
+const formatHour = (hour) => {
+  const suffix = hour < 12 ? 'AM' : 'PM';
+  return `${hour % 12 || 12} ${suffix}`;
+};
+
+// Hourly slots for one day. Each slot is a drop target carrying `{ date, hour }`.
+const DayTimeline = ({
+  date,
+  tasks,
+  onPressTask,
+  onLongPressTask,
+  registerTarget,
+  hoverKey,
+  dragTaskId,
+  scrollEnabled,
+}) => {
+  const scrollRef = useRef(null);
+  const tasksByHour = tasks.reduce((groups, task) => {
+    const hour = new Date(task.due_date).getHours();
+    groups[hour] = [...(groups[hour] || []), task];
+    return groups;
+  }, {});
+
+  return (
+    <ScrollView
+      ref={scrollRef}
+      contentContainerStyle={styles.container}
+      scrollEnabled={scrollEnabled}
+    >
+      {HOURS.map(hour => (
+        <View
+          key={hour}
+          ref={registerTarget(`hour:${hour}`, { date, hour }, scrollRef)}
+          style={[styles.slot, hoverKey === `hour:${hour}` && styles.dropTarget]}
+        >
+          <Text style={styles.hourText}>{formatHour(hour)}</Text>
+          <View style={styles.slotTasks}>
+            {(tasksByHour[hour] || []).map(task => {
+              const status = getStatusInfo(getTaskStatus(task));
+              return (
+                <Pressable
+                  key={task.id}
+                  style={[
+                    styles.taskItem,
+                    { borderLeftColor: status.color },
+                    dragTaskId === task.id && styles.draggingTaskItem,
+                  ]}
+                  onPress={() => onPressTask(task)}
+                  onLongPress={(event) => onLongPressTask(task, event)}
+                >
+                  <View style={[styles.statusDot, { backgroundColor: status.color }]}>
+                    {status.icon && <Ionicons name={status.icon} size={10} color="white" />}
+                  </View>
+                  <Text
+                    style={[styles.taskTitle, isClosed(task) && styles.completedTaskTitle]}
+                    numberOfLines={1}
+                  >
+                    {task.title || 'Untitled Task'}
+                  </Text>
+                  <Text style={styles.taskTime}>
+                    {new Date(task.due_date).toLocaleTimeString('en-US', {
+                      hour: 'numeric',
+                      minute: '2-digit',
+                    })}
+                  </Text>
+                </Pressable>
+              );
+            })}
+          </View>
+        </View>
+      ))}
+    </ScrollView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    paddingVertical: 8,
+    paddingBottom: 80,
+  },
+  slot: {
+    flexDirection: 'row',
+    minHeight: 48,
+    paddingHorizontal: 16,
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  dropTarget: {
+    backgroundColor: '#E3F2FD',
+  },
+  hourText: {
+    width: 52,
+    fontSize: 12,
+    color: '#999',
+    paddingTop: 6,
+  },
+  slotTasks: {
+    flex: 1,
+    paddingVertical: 4,
+  },
+  taskItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 10,
+    paddingVertical: 8,
+    marginBottom: 4,
+    borderLeftWidth: 3,
+    borderLeftColor: '#2196F3',
+  },
+  statusDot: {
+    width: 16,
+    height: 16,
+    borderRadius: 8,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  draggingTaskItem: {
+    opacity: 0.4,
+  },
+  taskTitle: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  completedTaskTitle: {
+    color: '#999',
+    textDecorationLine: 'line-through',
+  },
+  taskTime: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 8,
+  },
+});
+
+export default DayTimeline;
@@ -0,0 +1,280 @@
+import React, { useEffect, useState } from 'react';
+import { View, Text, TextInput, StyleSheet, Modal, TouchableOpacity, ScrollView } from 'react-native';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { toDateKey } from '../utils/calendar';
+import { EMPTY_EXPENSE_FILTERS } from '../utils/expenseFilters';
+import { parseExpenseDate } from '../utils/expenses';
+
+const formatDay = (key) => parseExpenseDate(key).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+});
+
+// Edits a copy of the filters; nothing changes until Apply. The search text is
+// kept as it is.
+const ExpenseFilterModal = ({ visible, filters, categories, onApply, onClose }) => {
+  const [draft, setDraft] = useState(filters);
+  // 'from' or 'to' while a date picker is open
+  const [pickingDate, setPickingDate] = useState(null);
+
+  useEffect(() => {
+    if (visible) {
+      setDraft(filters);
+      setPickingDate(null);
+    }
+  }, [visible, filters]);
+
+  const update = (changes) => setDraft(current => ({ ...current, ...changes }));
+
+  const handleDateChange = (event, selected) => {
+    const field = pickingDate;
+    setPickingDate(null);
+    if (event.type === 'dismissed' || !selected) return;
+
+    const key = toDateKey(selected);
+    // Keep the range the right way round
+    if (field === 'from' && draft.to && key > draft.to) {
+      update({ from: key, to: key });
+    } else if (field === 'to' && draft.from && key < draft.from) {
+      update({ from: key, to: key });
+    } else {
+      update({ [field]: key });
+    }
+  };
+
+  const renderDateButton = (field, label) => (
+    <View style={styles.dateField}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TouchableOpacity style={styles.dateButton} onPress={() => setPickingDate(field)}>
+        <Icon name="calendar" size={18} color="#666" />
+        <Text style={[styles.dateText, !draft[field] && styles.placeholderText]}>
+          {draft[field] ? formatDay(draft[field]) : 'Any'}
+        </Text>
+        {draft[field] ? (
+          <TouchableOpacity onPress={() => update({ [field]: null })} hitSlop={8}>
+            <Icon name="close-circle" size={18} color="#999" />
+          </TouchableOpacity>
+        ) : null}
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <View style={styles.overlay}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Filter expenses</Text>
+
+          <ScrollView style={styles.body} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionLabel}>Category</Text>
+            <View style={styles.chipRow}>
+              {[null, ...categories].map(category => (
+                <TouchableOpacity
+                  key={category || 'all'}
+                  style={[styles.chip, draft.category === category && styles.chipActive]}
+                  onPress={() => update({ category })}
+                >
+                  <Text style={[styles.chipText, draft.category === category && styles.chipTextActive]}>
+                    {category || 'All'}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <Text style={styles.sectionLabel}>Date</Text>
+            <View style={styles.row}>
+              {renderDateButton('from', 'From')}
+              {renderDateButton('to', 'To')}
+            </View>
+
+            <Text style={styles.sectionLabel}>Amount</Text>
+            <View style={styles.row}>
+              <TextInput
+                style={styles.amountInput}
+                placeholder="Min"
+                placeholderTextColor="#999"
+                value={draft.minAmount}
+                onChangeText={(minAmount) => update({ minAmount })}
+                keyboardType="decimal-pad"
+              />
+              <Text style={styles.rangeDash}>–</Text>
+              <TextInput
+                style={styles.amountInput}
+                placeholder="Max"
+                placeholderTextColor="#999"
+                value={draft.maxAmount}
+                onChangeText={(maxAmount) => update({ maxAmount })}
+                keyboardType="decimal-pad"
+              />
+            </View>
+          </ScrollView>
+
+          <View style={styles.actions}>
+            <TouchableOpacity
+              style={styles.actionButton}
+              onPress={() => setDraft({ ...EMPTY_EXPENSE_FILTERS, search: filters.search })}
+            >
+              <Text style={styles.resetText}>Reset</Text>
+            </TouchableOpacity>
+            <View style={styles.spacer} />
+            <TouchableOpacity style={styles.actionButton} onPress={onClose}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+            <TouchableOpacity style={[styles.actionButton, styles.applyButton]} onPress={() => onApply(draft)}>
+              <Text style={styles.applyText}>Apply</Text>
+            </TouchableOpacity>
+          </View>
+        </View>
+      </View>
+
+      {pickingDate && (
+        <DateTimePicker
+          value={draft[pickingDate] ? parseExpenseDate(draft[pickingDate]) : new Date()}
+          mode="date"
+          display="default"
+          onChange={handleDateChange}
+        />
+      )}
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+    maxHeight: '85%',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  body: {
+    flexGrow: 0,
+  },
+  sectionLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 12,
+    marginBottom: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  dateField: {
+    flex: 1,
+    marginRight: 8,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 40,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 8,
+  },
+  dateText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 6,
+  },
+  placeholderText: {
+    color: '#999',
+  },
+  amountInput: {
+    flex: 1,
+    height: 40,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 12,
+    fontSize: 14,
+    color: '#333',
+  },
+  rangeDash: {
+    fontSize: 16,
+    color: '#666',
+    marginHorizontal: 8,
+  },
+  actions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 20,
+  },
+  spacer: {
+    flex: 1,
+  },
+  actionButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  applyButton: {
+    backgroundColor: '#2196F3',
+  },
+  resetText: {
+    fontSize: 16,
+    color: '#FF3B30',
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  applyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
+
+export default ExpenseFilterModal;
@@ -0,0 +1,328 @@
+import React, { useMemo, useRef, useState } from 'react';
+import { View, Text, StyleSheet, Pressable, Animated, PanResponder } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { WEEK_DAYS } from '../utils/recurrence';
+import {
+  MONTH_NAMES,
+  addDays,
+  addMonths,
+  getMonthWeeks,
+  getWeekDates,
+  isSameDay,
+  isSameMonth,
+  toDateKey,
+} from '../utils/calendar';
+
+const SWIPE_THRESHOLD = 60;
+const MAX_DOTS = 3;
+
+export const CALENDAR_MODES = [
+  { value: 'day', label: 'Day' },
+  { value: 'week', label: 'Week' },
+  { value: 'month', label: 'Month' },
+];
+
+// `registerTarget` and `hoverKey` come from useTaskDrag so tasks can be dropped on a day
+const MonthCalendar = ({
+  selectedDate,
+  onSelectDate,
+  mode,
+  onModeChange,
+  taskCounts = {},
+  registerTarget,
+  hoverKey,
+}) => {
+  // The week or month on screen; kept apart from the selection so paging doesn't change it
+  const [visibleDate, setVisibleDate] = useState(selectedDate);
+  const translateX = useRef(new Animated.Value(0)).current;
+  const today = new Date();
+
+  const shift = (direction) => {
+    if (mode === 'day') {
+      const next = addDays(selectedDate, direction);
+      setVisibleDate(next);
+      onSelectDate(next);
+    } else {
+      setVisibleDate(current => (
+        mode === 'month' ? addMonths(current, direction) : addDays(current, direction * 7)
+      ));
+    }
+  };
+
+  const panResponder = useMemo(() => PanResponder.create({
+    onMoveShouldSetPanResponder: (event, gesture) => (
+      Math.abs(gesture.dx) > 10 && Math.abs(gesture.dx) > Math.abs(gesture.dy) * 2
+    ),
+    onPanResponderMove: Animated.event([null, { dx: translateX }], { useNativeDriver: false }),
+    onPanResponderRelease: (event, gesture) => {
+      if (Math.abs(gesture.dx) > SWIPE_THRESHOLD) {
+        shift(gesture.dx < 0 ? 1 : -1);
+      }
+      Animated.spring(translateX, { toValue: 0, useNativeDriver: false }).start();
+    },
+    onPanResponderTerminate: () => {
+      Animated.spring(translateX, { toValue: 0, useNativeDriver: false }).start();
+    },
+  }), [mode, selectedDate]);
+
+  const handleModeChange = (value) => {
+    onModeChange(value);
+    setVisibleDate(selectedDate);
+  };
+
+  const handleSelect = (date) => {
+    onSelectDate(date);
+    if (mode === 'day' || (mode === 'month' && !isSameMonth(date, visibleDate))) {
+      setVisibleDate(date);
+    }
+  };
+
+  const handleToday = () => {
+    setVisibleDate(today);
+    onSelectDate(today);
+  };
+
+  const weeks = mode === 'month' ? getMonthWeeks(visibleDate) : [getWeekDates(visibleDate)];
+
+  const renderDots = (counts) => {
+    if (!counts) return null;
+
+    const open = counts.total - counts.closed;
+    const dots = [
+      ...Array(Math.min(open, MAX_DOTS)).fill(false),
+      ...Array(Math.max(0, Math.min(counts.closed, MAX_DOTS - open))).fill(true),
+    ];
+
+    return (
+      <View style={styles.dotRow}>
+        {dots.map((closed, index) => (
+          <View
+            key={index}
+            style={[styles.dot, { backgroundColor: closed ? '#4CAF50' : '#FFA000' }]}
+          />
+        ))}
+        {counts.total > MAX_DOTS && (
+          <Text style={styles.moreText}>+{counts.total - MAX_DOTS}</Text>
+        )}
+      </View>
+    );
+  };
+
+  const renderDay = (date) => {
+    const selected = isSameDay(date, selectedDate);
+    const outside = mode === 'month' && !isSameMonth(date, visibleDate);
+    const key = toDateKey(date);
+
+    return (
+      <Pressable
+        key={key}
+        ref={registerTarget?.(`day:${key}`, { date })}
+        style={[styles.dayCell, hoverKey === `day:${key}` && styles.dropTarget]}
+        onPress={() => handleSelect(date)}
+      >
+        <View style={[
+          styles.dayCircle,
+          isSameDay(date, today) && styles.todayCircle,
+          selected && styles.selectedCircle,
+        ]}>
+          <Text style={[
+            styles.dayText,
+            outside && styles.outsideText,
+            isSameDay(date, today) && styles.todayText,
+            selected && styles.selectedText,
+          ]}>
+            {date.getDate()}
+          </Text>
+        </View>
+        {renderDots(taskCounts[key])}
+      </Pressable>
+    );
+  };
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Pressable style={styles.navButton} onPress={() => shift(-1)}>
+          <Ionicons name="chevron-back" size={20} color="#333" />
+        </Pressable>
+        <Text style={styles.title}>
+          {MONTH_NAMES[visibleDate.getMonth()]} {visibleDate.getFullYear()}
+        </Text>
+        <Pressable style={styles.navButton} onPress={() => shift(1)}>
+          <Ionicons name="chevron-forward" size={20} color="#333" />
+        </Pressable>
+
+        <View style={styles.headerActions}>
+          <Pressable style={styles.todayButton} onPress={handleToday}>
+            <Text style={styles.todayButtonText}>Today</Text>
+          </Pressable>
+          <View style={styles.modeToggle}>
+            {CALENDAR_MODES.map(option => (
+              <Pressable
+                key={option.value}
+                style={[styles.modeButton, mode === option.value && styles.modeButtonActive]}
+                onPress={() => handleModeChange(option.value)}
+              >
+                <Text style={[styles.modeText, mode === option.value && styles.modeTextActive]}>
+                  {option.label}
+                </Text>
+              </Pressable>
+            ))}
+          </View>
+        </View>
+      </View>
+
+      <View style={styles.weekRow}>
+        {WEEK_DAYS.map(day => (
+          <Text key={day} style={styles.weekDayText}>{day}</Text>
+        ))}
+      </View>
+
+      <Animated.View
+        style={{ transform: [{ translateX }] }}
+        {...panResponder.panHandlers}
+      >
+        {weeks.map(week => (
+          <View key={week[0].toDateString()} style={styles.weekRow}>
+            {week.map(renderDay)}
+          </View>
+        ))}
+      </Animated.View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: 'white',
+    paddingHorizontal: 8,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+    overflow: 'hidden',
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 8,
+  },
+  navButton: {
+    padding: 6,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    minWidth: 110,
+    textAlign: 'center',
+  },
+  headerActions: {
+    flex: 1,
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+    alignItems: 'center',
+  },
+  todayButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 6,
+    marginRight: 8,
+  },
+  todayButtonText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2196F3',
+  },
+  modeToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#F5F6F8',
+    borderRadius: 16,
+    padding: 2,
+  },
+  modeButton: {
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 14,
+  },
+  modeButtonActive: {
+    backgroundColor: '#2196F3',
+  },
+  modeText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  modeTextActive: {
+    color: 'white',
+    fontWeight: '600',
+  },
+  weekRow: {
+    flexDirection: 'row',
+  },
+  weekDayText: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 12,
+    color: '#999',
+    marginBottom: 4,
+  },
+  dayCell: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: 4,
+    height: 48,
+    borderRadius: 8,
+  },
+  dropTarget: {
+    backgroundColor: '#E3F2FD',
+  },
+  dayCircle: {
+    width: 32,
+    height: 32,
+    borderRadius: 16,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  todayCircle: {
+    borderWidth: 2,
+    borderColor: '#2196F3',
+  },
+  selectedCircle: {
+    backgroundColor: '#2196F3',
+  },
+  dayText: {
+    fontSize: 14,
+    color: '#333',
+  },
+  outsideText: {
+    color: '#BBB',
+  },
+  todayText: {
+    fontWeight: 'bold',
+    color: '#2196F3',
+  },
+  selectedText: {
+    color: 'white',
+  },
+  dotRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 2,
+  },
+  dot: {
+    width: 5,
+    height: 5,
+    borderRadius: 2.5,
+    marginHorizontal: 1,
+  },
+  moreText: {
+    fontSize: 8,
+    color: '#666',
+    marginLeft: 1,
+  },
+});
+
+export default MonthCalendar;
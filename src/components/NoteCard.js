@@ -2,7 +2,7 @@ import React, { useState } from 'react';
 
 import { View, Text, StyleSheet, TouchableOpacity, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../services/api';
+import { useArchiveNote, useDeleteNote, usePinNote } from '../hooks/useNotes';
 import NoteCreateEditModal from './NoteCreateEditModal';
 
 const COLORS = {
@@ -18,12 +18,15 @@ const COLORS = {
 
 
 
-const NoteCard = ({ item, refreshNotes }) => {
+const NoteCard = ({ item }) => {
     const [modalVisible, setModalVisible] = useState(false);
+    const pinNote = usePinNote();
+    const archiveNote = useArchiveNote();
+    const deleteNote = useDeleteNote();
+
     const handlePinNote = async () => {
         try {
-            await api.pinNote(item.id, !item.is_pinned); // Toggle pin state
-            refreshNotes(); // Call the refresh function
+            await pinNote.mutateAsync({ noteId: item.id, isPinned: !item.is_pinned }); // Toggle pin state
         } catch (error) {
             console.error('Error pinning note:', error);
         }
@@ -31,8 +34,7 @@ const NoteCard = ({ item, refreshNotes }) => {
 
     const handleArchiveNote = async () => {
         try {
-            await api.archiveNote(item.id, !item.is_archived); // Toggle archive state
-            refreshNotes(); // Call the refresh function
+            await archiveNote.mutateAsync({ noteId: item.id, isArchived: !item.is_archived }); // Toggle archive state
         } catch (error) {
             console.error('Error archiving note:', error);
         }
@@ -51,8 +53,7 @@ const NoteCard = ({ item, refreshNotes }) => {
                         style: 'destructive',
                         onPress: async () => {
                             try {
-                                await api.deleteNote(item.id);
-                                refreshNotes(); // Call the refresh function
+                                await deleteNote.mutateAsync(item.id);
                             } catch (error) {
                                 console.error('Error deleting note:', error);
                             }
@@ -108,7 +109,6 @@ const NoteCard = ({ item, refreshNotes }) => {
                 note={item}
                 modalVisible={modalVisible}
                 onClose={closeModal}
-                refreshNotes={refreshNotes}
             />
         </TouchableOpacity>
     );
@@ -1,7 +1,7 @@
 import React, { useState, useEffect } from 'react';
 import { View, Text, StyleSheet, TouchableOpacity, Modal, TextInput, ScrollView, Alert } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialIcons';
-import api from '../services/api';
+import { useCreateNote, useDeleteNote, useUpdateNote } from '../hooks/useNotes';
 
 const COLORS = {
     default: '#ffffff',
@@ -12,7 +12,10 @@ const COLORS = {
     purple: '#e1bee7',
 };
 
-const NoteCreateEditModal = ({ modalVisible, onClose, note, refreshNotes }) => {
+const NoteCreateEditModal = ({ modalVisible, onClose, note }) => {
+    const createNote = useCreateNote();
+    const updateNote = useUpdateNote();
+    const deleteNote = useDeleteNote();
     const [title, setTitle] = useState('');
     const [content, setContent] = useState('');
     const [selectedColor, setSelectedColor] = useState('default');
@@ -41,11 +44,10 @@ const NoteCreateEditModal = ({ modalVisible, onClose, note, refreshNotes }) => {
                 color: selectedColor,
             };
             if (note?.id) {
-                await api.updateNote(note.id, noteData);
+                await updateNote.mutateAsync({ noteId: note.id, noteData });
             } else {
-                await api.createNote(noteData);
+                await createNote.mutateAsync(noteData);
             }
-            refreshNotes();
             onClose();
         } catch (error) {
             console.error('Error saving note:', error);
@@ -66,8 +68,7 @@ const NoteCreateEditModal = ({ modalVisible, onClose, note, refreshNotes }) => {
                     text: 'Delete',
                     onPress: async () => {
                         try {
-                            await api.deleteNote(note.id);
-                            refreshNotes();
+                            await deleteNote.mutateAsync(note.id);
                             onClose();
                         } catch (error) {
                             console.error('Error deleting note:', error);
@@ -0,0 +1,61 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { PRIORITIES } from '../utils/priority';
+
+const PriorityPicker = ({ value, onChange }) => {
+  return (
+    <View style={styles.chipRow}>
+      {PRIORITIES.map(priority => {
+        const selected = (value || 'none') === priority.value;
+        return (
+          <TouchableOpacity
+            key={priority.value}
+            style={[
+              styles.chip,
+              selected && { backgroundColor: priority.color, borderColor: priority.color },
+            ]}
+            onPress={() => onChange(priority.value)}
+          >
+            <Icon
+              name={priority.value === 'none' ? 'flag-outline' : 'flag'}
+              size={16}
+              color={selected ? '#fff' : priority.color}
+            />
+            <Text style={[styles.chipText, selected && styles.chipTextActive]}>
+              {priority.label}
+            </Text>
+          </TouchableOpacity>
+        );
+      })}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 4,
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+});
+
+export default PriorityPicker;
@@ -0,0 +1,93 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  Image,
+  FlatList,
+  Modal,
+  StyleSheet,
+  TouchableOpacity,
+  useWindowDimensions,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+
+// Full-screen receipt photos, swiped through one at a time. Closed while
+// `receipts` is null.
+const ReceiptViewer = ({ receipts, initialIndex = 0, onClose }) => {
+  const { width, height } = useWindowDimensions();
+  const [index, setIndex] = useState(initialIndex);
+
+  useEffect(() => {
+    if (receipts) setIndex(initialIndex);
+  }, [receipts, initialIndex]);
+
+  const handleScrollEnd = (event) => {
+    setIndex(Math.round(event.nativeEvent.contentOffset.x / width));
+  };
+
+  return (
+    <Modal
+      visible={!!receipts}
+      animationType="fade"
+      onRequestClose={onClose}
+      statusBarTranslucent
+    >
+      <View style={styles.container}>
+        {receipts && (
+          <FlatList
+            data={receipts}
+            keyExtractor={item => String(item.id)}
+            horizontal
+            pagingEnabled
+            showsHorizontalScrollIndicator={false}
+            initialScrollIndex={initialIndex}
+            getItemLayout={(data, itemIndex) => ({ length: width, offset: width * itemIndex, index: itemIndex })}
+            onMomentumScrollEnd={handleScrollEnd}
+            renderItem={({ item }) => (
+              <Image source={{ uri: item.url }} style={{ width, height }} resizeMode="contain" />
+            )}
+          />
+        )}
+
+        <View style={styles.toolbar}>
+          <Text style={styles.counter}>
+            {receipts && receipts.length > 1 ? `${index + 1} / ${receipts.length}` : ''}
+          </Text>
+          <TouchableOpacity onPress={onClose} style={styles.closeButton} accessibilityLabel="Close">
+            <Icon name="close" size={26} color="white" />
+          </TouchableOpacity>
+        </View>
+      </View>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: 'black',
+  },
+  toolbar: {
+    position: 'absolute',
+    top: 40,
+    left: 16,
+    right: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+  },
+  counter: {
+    fontSize: 16,
+    color: 'white',
+  },
+  closeButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default ReceiptViewer;
@@ -0,0 +1,140 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet, Alert } from 'react-native';
+import reminders, { REMINDER_OPTIONS } from '../services/reminders';
+
+const CUSTOM_UNITS = [
+  { value: 1, label: 'minutes' },
+  { value: 60, label: 'hours' },
+  { value: 1440, label: 'days' },
+];
+
+const isPreset = (minutes) => REMINDER_OPTIONS.some(option => option.value === minutes);
+
+const ReminderPicker = ({ value, onChange }) => {
+  const [isCustom, setIsCustom] = useState(!isPreset(value ?? null));
+  const [customAmount, setCustomAmount] = useState(isPreset(value ?? null) ? '' : String(value));
+  const [customUnit, setCustomUnit] = useState(1);
+
+  const ensurePermission = async () => {
+    const granted = await reminders.requestPermission();
+    if (!granted) {
+      Alert.alert('Notifications disabled', 'Allow notifications in settings to get task reminders.');
+    }
+    return granted;
+  };
+
+  const handlePreset = async (minutes) => {
+    if (minutes !== null && !(await ensurePermission())) return;
+    setIsCustom(false);
+    onChange(minutes);
+  };
+
+  // Permission is asked for once here rather than on every keystroke below
+  const handleCustomPress = async () => {
+    if (isCustom || !(await ensurePermission())) return;
+    setIsCustom(true);
+  };
+
+  const handleCustom = (amount, unit) => {
+    setCustomAmount(amount);
+    setCustomUnit(unit);
+    const parsed = parseInt(amount);
+    if (parsed >= 0) {
+      onChange(parsed * unit);
+    }
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <View style={styles.chipRow}>
+        {REMINDER_OPTIONS.map(option => renderChip(
+          String(option.value),
+          option.label,
+          !isCustom && (value ?? null) === option.value,
+          () => handlePreset(option.value)
+        ))}
+        {renderChip('custom', 'Custom', isCustom, handleCustomPress)}
+      </View>
+
+      {isCustom && (
+        <View style={styles.customRow}>
+          <TextInput
+            style={styles.numberInput}
+            keyboardType="number-pad"
+            placeholder="0"
+            value={customAmount}
+            onChangeText={(text) => handleCustom(text, customUnit)}
+          />
+          {CUSTOM_UNITS.map(unit => renderChip(
+            unit.label,
+            unit.label,
+            customUnit === unit.value,
+            () => handleCustom(customAmount, unit.value)
+          ))}
+          <Text style={styles.customText}>before</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  customRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginTop: 12,
+  },
+  numberInput: {
+    width: 56,
+    height: 40,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    textAlign: 'center',
+    fontSize: 16,
+    color: '#333',
+  },
+  customText: {
+    fontSize: 14,
+    color: '#333',
+  },
+});
+
+export default ReminderPicker;
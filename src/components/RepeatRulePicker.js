@@ -0,0 +1,257 @@
+import React, { useState } from 'react';
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import {
+  REPEAT_FREQUENCIES,
+  WEEK_DAYS,
+  createRepeatRule,
+  describeRepeatRule,
+  formatUntilDate,
+  parseUntilDate,
+} from '../utils/recurrence';
+
+const END_OPTIONS = [
+  { value: 'never', label: 'Never' },
+  { value: 'until', label: 'On date' },
+  { value: 'count', label: 'After' },
+];
+
+const RepeatRulePicker = ({ rule, dueDate, onChange }) => {
+  const [showUntilPicker, setShowUntilPicker] = useState(false);
+  const frequency = rule?.frequency || 'none';
+  const endType = rule?.until ? 'until' : rule?.count ? 'count' : 'never';
+
+  const update = (changes) => onChange({ ...rule, ...changes });
+
+  const handleFrequencyChange = (value) => {
+    if (value === 'none') {
+      onChange(null);
+    } else if (rule) {
+      update({ frequency: value });
+    } else {
+      onChange(createRepeatRule(value, dueDate));
+    }
+  };
+
+  const handleEndChange = (value) => {
+    if (value === 'never') {
+      update({ until: null, count: null });
+    } else if (value === 'until') {
+      const until = new Date(dueDate);
+      until.setMonth(until.getMonth() + 1);
+      update({ until: formatUntilDate(until), count: null });
+    } else {
+      update({ until: null, count: 10 });
+    }
+  };
+
+  const toggleDay = (day) => {
+    const days = rule.days || [];
+    const next = days.includes(day) ? days.filter(d => d !== day) : [...days, day].sort();
+    if (next.length > 0) {
+      update({ days: next });
+    }
+  };
+
+  const handleUntilChange = (event, selected) => {
+    setShowUntilPicker(false);
+    if (selected) {
+      update({ until: formatUntilDate(selected) });
+    }
+  };
+
+  const renderChip = (option, selected, onPress) => (
+    <TouchableOpacity
+      key={option.value}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>
+        {option.label}
+      </Text>
+    </TouchableOpacity>
+  );
+
+  return (
+    <View>
+      <View style={styles.chipRow}>
+        {REPEAT_FREQUENCIES.map(option => renderChip(
+          option,
+          frequency === option.value,
+          () => handleFrequencyChange(option.value)
+        ))}
+      </View>
+
+      {frequency === 'weekly' && (
+        <View style={styles.chipRow}>
+          {WEEK_DAYS.map((label, day) => renderChip(
+            { value: day, label },
+            rule.days?.includes(day),
+            () => toggleDay(day)
+          ))}
+        </View>
+      )}
+
+      {frequency === 'monthly' && (
+        <View style={styles.inlineRow}>
+          <Text style={styles.inlineText}>On day</Text>
+          <TextInput
+            style={styles.numberInput}
+            keyboardType="number-pad"
+            value={String(rule.day_of_month || '')}
+            onChangeText={(text) => update({ day_of_month: Math.min(31, parseInt(text) || 1) })}
+          />
+          <Text style={styles.inlineText}>of the month</Text>
+        </View>
+      )}
+
+      {frequency === 'interval' && (
+        <View style={styles.inlineRow}>
+          <Text style={styles.inlineText}>Every</Text>
+          <TextInput
+            style={styles.numberInput}
+            keyboardType="number-pad"
+            value={String(rule.interval || '')}
+            onChangeText={(text) => update({ interval: parseInt(text) || 1 })}
+          />
+          <Text style={styles.inlineText}>days</Text>
+        </View>
+      )}
+
+      {rule && (
+        <>
+          <Text style={styles.subLabel}>Ends</Text>
+          <View style={styles.chipRow}>
+            {END_OPTIONS.map(option => renderChip(
+              option,
+              endType === option.value,
+              () => handleEndChange(option.value)
+            ))}
+          </View>
+
+          {endType === 'until' && (
+            <TouchableOpacity
+              style={styles.untilButton}
+              onPress={() => setShowUntilPicker(true)}
+            >
+              <Icon name="calendar-end" size={20} color="#666" />
+              <Text style={styles.untilText}>
+                {parseUntilDate(rule.until).toLocaleDateString()}
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          {endType === 'count' && (
+            <View style={styles.inlineRow}>
+              <TextInput
+                style={styles.numberInput}
+                keyboardType="number-pad"
+                value={String(rule.count || '')}
+                onChangeText={(text) => update({ count: parseInt(text) || 1 })}
+              />
+              <Text style={styles.inlineText}>occurrences</Text>
+            </View>
+          )}
+
+          <View style={styles.summary}>
+            <Icon name="repeat" size={16} color="#2196F3" />
+            <Text style={styles.summaryText}>{describeRepeatRule(rule)}</Text>
+          </View>
+        </>
+      )}
+
+      {showUntilPicker && (
+        <DateTimePicker
+          value={parseUntilDate(rule.until)}
+          mode="date"
+          display="default"
+          minimumDate={dueDate}
+          onChange={handleUntilChange}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+  },
+  inlineRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  inlineText: {
+    fontSize: 14,
+    color: '#333',
+    marginHorizontal: 8,
+  },
+  numberInput: {
+    width: 56,
+    height: 40,
+    backgroundColor: '#fff',
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    textAlign: 'center',
+    fontSize: 16,
+    color: '#333',
+  },
+  subLabel: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#666',
+    marginBottom: 8,
+  },
+  untilButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginBottom: 12,
+  },
+  untilText: {
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 12,
+  },
+  summary: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  summaryText: {
+    fontSize: 14,
+    color: '#2196F3',
+    marginLeft: 6,
+  },
+});
+
+export default RepeatRulePicker;
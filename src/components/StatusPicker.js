@@ -0,0 +1,81 @@
+import React from 'react';
+import { View, Text, StyleSheet, Pressable, Modal } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { TASK_STATUSES } from '../utils/taskStatus';
+
+const StatusPicker = ({ visible, value, onSelect, onClose }) => {
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <Pressable style={styles.overlay} onPress={onClose}>
+        <View style={styles.sheet}>
+          <Text style={styles.title}>Set status</Text>
+          {TASK_STATUSES.map(status => (
+            <Pressable
+              key={status.value}
+              style={({ pressed }) => [styles.option, pressed && styles.optionPressed]}
+              onPress={() => onSelect(status.value)}
+            >
+              <View style={[styles.dot, { backgroundColor: status.color }]}>
+                {status.icon && <Ionicons name={status.icon} size={12} color="white" />}
+              </View>
+              <Text style={styles.optionText}>{status.label}</Text>
+              {value === status.value && (
+                <Ionicons name="checkmark" size={20} color="#2196F3" />
+              )}
+            </Pressable>
+          ))}
+        </View>
+      </Pressable>
+    </Modal>
+  );
+};
+
+const styles = StyleSheet.create({
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    paddingVertical: 8,
+  },
+  title: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  option: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  optionPressed: {
+    backgroundColor: '#F5F6F8',
+  },
+  dot: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  optionText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+  },
+});
+
+export default StatusPicker;
@@ -1,8 +1,20 @@
-import React from 'react';
+import React, { useState } from 'react';
 import { View, Text, StyleSheet, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
+import { getNextOccurrence, parseRepeatRule } from '../utils/recurrence';
+import { getChecklistProgress } from '../utils/checklist';
+import { getPriority } from '../utils/priority';
+import { getStatusInfo, getTaskStatus, isClosed } from '../utils/taskStatus';
+import { getCategoryStyle } from '../utils/categoryStyle';
+import { isOverdue } from '../utils/taskGroups';
+import { formatDuration, getTrackedSeconds } from '../utils/timeTracking';
+import { useTimer } from '../context/TimerContext';
+import StatusPicker from './StatusPicker';
+
+const TaskCard = ({ task, onPress, onLongPress, onChangeStatus, updatingTaskId }) => {
+  const [showStatusPicker, setShowStatusPicker] = useState(false);
+  const { startTimer, stopTimer, isTimingTask } = useTimer();
 
-const TaskCard = ({ task, onPress, onToggleStatus, updatingTaskId }) => {
   const formatDateTime = (dateTimeStr) => {
     if (!dateTimeStr) return 'No due date';
     
@@ -33,61 +45,139 @@ const TaskCard = ({ task, onPress, onToggleStatus, updatingTaskId }) => {
     }
   };
 
-  // Convert boolean status to string for display
-  const status = task.status ? 'completed' : 'pending';
+  const repeatRule = parseRepeatRule(task.repeat_rule);
+  const nextOccurrence = repeatRule ? getNextOccurrence(repeatRule, task.due_date) : null;
+  const checklist = getChecklistProgress(task.checklist);
+  const priority = getPriority(task.priority);
+  const categoryStyle = getCategoryStyle(task.category);
 
-  const getStatusColor = (statusStr) => {
-    return statusStr === 'completed' ? '#4CAF50' : '#FFA000';
-  };
+  const status = getStatusInfo(getTaskStatus(task));
+  const closed = isClosed(task);
+  const overdue = isOverdue(task);
+  const timing = isTimingTask(task.id);
+  const trackedSeconds = getTrackedSeconds(task);
 
-  const getStatusText = (statusStr) => {
-    return statusStr === 'completed' ? 'completed' : 'pending';
+  const handleSelectStatus = (value) => {
+    setShowStatusPicker(false);
+    if (value !== status.value) {
+      onChangeStatus(task, value);
+    }
   };
 
   return (
     <Pressable
-      style={styles.taskCard}
+      style={[
+        styles.taskCard,
+        overdue && styles.overdueCard,
+        priority.value !== 'none' && { borderLeftWidth: 4, borderLeftColor: priority.color },
+      ]}
       onPress={onPress}
+      onLongPress={onLongPress}
     >
       <View style={styles.taskHeader}>
         <Pressable 
           style={styles.statusButton}
-          onPress={() => onToggleStatus(task)}
+          onPress={() => setShowStatusPicker(true)}
           disabled={updatingTaskId === task.id}
         >
-          <View style={[styles.statusDot, { backgroundColor: getStatusColor(status) }]}>
-            {status === 'completed' && (
-              <Ionicons name="checkmark" size={12} color="white" />
+          <View style={[styles.statusDot, { backgroundColor: status.color }]}>
+            {status.icon && (
+              <Ionicons name={status.icon} size={12} color="white" />
             )}
           </View>
           <Text style={styles.taskStatus}>
-            {updatingTaskId === task.id ? 'Updating...' : getStatusText(status)}
+            {updatingTaskId === task.id ? 'Updating...' : status.label}
           </Text>
+          <Ionicons name="chevron-down" size={14} color="#666" style={styles.statusChevron} />
         </Pressable>
+        <View style={styles.headerRight}>
+          {repeatRule && (
+            <View style={styles.repeatBadge}>
+              <Ionicons name="repeat" size={14} color="#2196F3" />
+              <Text style={styles.repeatText}>
+                {nextOccurrence ? `Next: ${formatDateTime(nextOccurrence)}` : 'Last occurrence'}
+              </Text>
+            </View>
+          )}
+          {(trackedSeconds > 0 || timing) && (
+            <Text style={[styles.trackedText, timing && styles.trackedTextActive]}>
+              {timing ? 'Tracking' : formatDuration(trackedSeconds)}
+            </Text>
+          )}
+          {(!closed || timing) && (
+            <Pressable
+              style={styles.timerButton}
+              onPress={() => (timing ? stopTimer() : startTimer(task))}
+              hitSlop={8}
+            >
+              <Ionicons
+                name={timing ? 'stop-circle' : 'play-circle-outline'}
+                size={22}
+                color={timing ? '#FF3B30' : '#666'}
+              />
+            </Pressable>
+          )}
+        </View>
       </View>
       <Text style={[
         styles.taskTitle,
-        status === 'completed' && styles.completedTaskTitle
+        closed && styles.completedTaskTitle
       ]} numberOfLines={2}>
         {task.title || 'Untitled Task'}
       </Text>
       <Text style={[
         styles.taskDescription,
-        status === 'completed' && styles.completedTaskDescription
+        closed && styles.completedTaskDescription
       ]} numberOfLines={2}>
         {task.description || 'No description'}
       </Text>
+      {checklist.total > 0 && (
+        <View style={styles.checklistRow}>
+          <Ionicons name="checkbox-outline" size={16} color="#666" />
+          <Text style={styles.checklistText}>{checklist.done}/{checklist.total}</Text>
+          <View style={styles.progressTrack}>
+            <View
+              style={[
+                styles.progressFill,
+                { width: `${(checklist.done / checklist.total) * 100}%` },
+              ]}
+            />
+          </View>
+        </View>
+      )}
       <View style={styles.taskFooter}>
         <View style={styles.taskMeta}>
-          <Ionicons name="calendar-outline" size={16} color="#666" />
-          <Text style={styles.taskDate}>
-            {formatDateTime(task.due_date)}
+          <Ionicons
+            name={overdue ? 'alert-circle-outline' : 'calendar-outline'}
+            size={16}
+            color={overdue ? '#D32F2F' : '#666'}
+          />
+          <Text style={[styles.taskDate, overdue && styles.overdueDate]}>
+            {overdue ? `Overdue · ${formatDateTime(task.due_date)}` : formatDateTime(task.due_date)}
           </Text>
+          {task.reminder_minutes !== null && task.reminder_minutes !== undefined && !closed && (
+            <Ionicons name="notifications-outline" size={14} color="#666" style={styles.reminderIcon} />
+          )}
         </View>
-        <View style={styles.taskCategory}>
-          <Text style={styles.categoryText}>{task.category?.title || 'Uncategorized'}</Text>
+        {priority.value !== 'none' && (
+          <View style={[styles.priorityBadge, { backgroundColor: priority.color }]}>
+            <Ionicons name="flag" size={12} color="white" />
+            <Text style={styles.priorityText}>{priority.label}</Text>
+          </View>
+        )}
+        <View style={[styles.taskCategory, { backgroundColor: `${categoryStyle.color}1A` }]}>
+          <Ionicons name={categoryStyle.icon} size={12} color={categoryStyle.color} />
+          <Text style={[styles.categoryText, { color: categoryStyle.color }]}>
+            {task.category?.title || 'Uncategorized'}
+          </Text>
         </View>
       </View>
+      <StatusPicker
+        visible={showStatusPicker}
+        value={status.value}
+        onSelect={handleSelectStatus}
+        onClose={() => setShowStatusPicker(false)}
+      />
     </Pressable>
   );
 };
@@ -104,6 +194,11 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 4,
   },
+  overdueCard: {
+    backgroundColor: '#FFF5F5',
+    borderWidth: 1,
+    borderColor: '#FFCDD2',
+  },
   taskHeader: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -122,11 +217,79 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginRight: 8,
   },
+  statusChevron: {
+    marginLeft: 2,
+  },
   taskStatus: {
     fontSize: 14,
     color: '#666',
     textTransform: 'capitalize',
   },
+  repeatBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  repeatText: {
+    fontSize: 12,
+    color: '#2196F3',
+    marginLeft: 4,
+  },
+  headerRight: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  trackedText: {
+    fontSize: 12,
+    color: '#666',
+    marginLeft: 8,
+  },
+  trackedTextActive: {
+    color: '#FF3B30',
+    fontWeight: '600',
+  },
+  timerButton: {
+    marginLeft: 6,
+  },
+  reminderIcon: {
+    marginLeft: 6,
+  },
+  priorityBadge: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 8,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginLeft: 'auto',
+    marginRight: 8,
+  },
+  priorityText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: 'white',
+    marginLeft: 4,
+  },
+  checklistRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  checklistText: {
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 4,
+    marginRight: 8,
+  },
+  progressTrack: {
+    flex: 1,
+    height: 4,
+    borderRadius: 2,
+    backgroundColor: '#E0E0E0',
+    overflow: 'hidden',
+  },
+  progressFill: {
+    height: 4,
+    backgroundColor: '#4CAF50',
+  },
   taskTitle: {
     fontSize: 16,
     fontWeight: '600',
@@ -159,7 +322,13 @@ const styles = StyleSheet.create({
     color: '#666',
     marginLeft: 6,
   },
+  overdueDate: {
+    color: '#D32F2F',
+    fontWeight: '600',
+  },
   taskCategory: {
+    flexDirection: 'row',
+    alignItems: 'center',
     backgroundColor: '#E3F2FD',
     paddingHorizontal: 12,
     paddingVertical: 4,
@@ -167,6 +336,7 @@ const styles = StyleSheet.create({
   },
   categoryText: {
     fontSize: 12,
+    marginLeft: 4,
     color: '#2196F3',
   },
 });
@@ -0,0 +1,190 @@
+import React from 'react';
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { useTimer, useTimerClock } from '../context/TimerContext';
+import {
+  POMODORO_WORK_MINUTES,
+  formatClock,
+  formatDuration,
+  getEntrySeconds,
+  getPhaseEnd,
+  getTrackedSeconds,
+  parseTimeEntries,
+} from '../utils/timeTracking';
+
+const RECENT_ENTRIES = 3;
+
+const TaskTimer = ({ task }) => {
+  const { timer, startTimer, stopTimer, isTimingTask } = useTimer();
+  const now = useTimerClock();
+  const running = isTimingTask(task.id);
+  const entries = parseTimeEntries(task.time_entries);
+
+  const phaseEnd = running ? getPhaseEnd(timer) : null;
+  const elapsed = running ? (now - timer.startedAt) / 1000 : 0;
+  const total = getTrackedSeconds(task) + (running && timer.phase === 'work' ? elapsed : 0);
+
+  const renderRunning = () => (
+    <View style={styles.running}>
+      <View>
+        <Text style={styles.phaseText}>
+          {timer.type === 'pomodoro'
+            ? (timer.phase === 'work' ? 'Focus' : 'Break')
+            : 'Tracking'}
+        </Text>
+        <Text style={[styles.clock, timer.phase === 'break' && styles.breakClock]}>
+          {phaseEnd ? formatClock((phaseEnd - now) / 1000) : formatClock(elapsed)}
+        </Text>
+      </View>
+      <TouchableOpacity style={[styles.button, styles.stopButton]} onPress={stopTimer}>
+        <Icon name="stop" size={20} color="#fff" />
+        <Text style={styles.stopText}>Stop</Text>
+      </TouchableOpacity>
+    </View>
+  );
+
+  const renderIdle = () => (
+    <>
+      <View style={styles.actions}>
+        <TouchableOpacity style={styles.button} onPress={() => startTimer(task, 'timer')}>
+          <Icon name="play" size={20} color="#2196F3" />
+          <Text style={styles.buttonText}>Start timer</Text>
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.button} onPress={() => startTimer(task, 'pomodoro')}>
+          <Icon name="timer-outline" size={20} color="#2196F3" />
+          <Text style={styles.buttonText}>Pomodoro {POMODORO_WORK_MINUTES}m</Text>
+        </TouchableOpacity>
+      </View>
+      {timer && (
+        <Text style={styles.note} numberOfLines={1}>
+          Stops the timer on "{timer.taskTitle || 'Untitled Task'}"
+        </Text>
+      )}
+    </>
+  );
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.totalRow}>
+        <Icon name="clock-outline" size={20} color="#666" />
+        <Text style={styles.totalText}>{formatDuration(total)} tracked</Text>
+        {entries.length > 0 && (
+          <Text style={styles.entryCount}>
+            {entries.length} {entries.length === 1 ? 'session' : 'sessions'}
+          </Text>
+        )}
+      </View>
+
+      {running ? renderRunning() : renderIdle()}
+
+      {entries.slice(-RECENT_ENTRIES).reverse().map(entry => (
+        <View key={entry.id} style={styles.entryRow}>
+          <Icon
+            name={entry.type === 'pomodoro' ? 'timer-outline' : 'play-circle-outline'}
+            size={16}
+            color="#999"
+          />
+          <Text style={styles.entryDate}>
+            {new Date(entry.started_at).toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}
+            {', '}
+            {new Date(entry.started_at).toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}
+          </Text>
+          <Text style={styles.entryDuration}>{formatDuration(getEntrySeconds(entry))}</Text>
+        </View>
+      ))}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    padding: 16,
+  },
+  totalRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  totalText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 8,
+  },
+  entryCount: {
+    fontSize: 14,
+    color: '#666',
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: 12,
+  },
+  button: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 12,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#E3F2FD',
+    marginRight: 8,
+  },
+  buttonText: {
+    fontSize: 14,
+    color: '#2196F3',
+    marginLeft: 6,
+  },
+  note: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 8,
+  },
+  running: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  phaseText: {
+    fontSize: 12,
+    color: '#666',
+    textTransform: 'uppercase',
+  },
+  clock: {
+    fontSize: 32,
+    fontWeight: '600',
+    color: '#2196F3',
+    fontVariant: ['tabular-nums'],
+  },
+  breakClock: {
+    color: '#4CAF50',
+  },
+  stopButton: {
+    backgroundColor: '#FF3B30',
+    marginRight: 0,
+  },
+  stopText: {
+    fontSize: 14,
+    color: '#fff',
+    marginLeft: 6,
+  },
+  entryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  entryDate: {
+    flex: 1,
+    fontSize: 14,
+    color: '#666',
+    marginLeft: 8,
+  },
+  entryDuration: {
+    fontSize: 14,
+    color: '#333',
+  },
+});
+
+export default TaskTimer;
@@ -0,0 +1,57 @@
+import React, { useEffect } from 'react';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+
+const UndoBar = ({ message, onUndo, onDismiss, duration = 5000 }) => {
+  useEffect(() => {
+    if (!message) return undefined;
+    const timer = setTimeout(onDismiss, duration);
+    return () => clearTimeout(timer);
+  }, [message]);
+
+  if (!message) return null;
+
+  return (
+    <View style={styles.container}>
+      <Text style={styles.message} numberOfLines={2}>{message}</Text>
+      <Pressable style={styles.undoButton} onPress={onUndo}>
+        <Text style={styles.undoText}>UNDO</Text>
+      </Pressable>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    position: 'absolute',
+    left: 16,
+    right: 16,
+    bottom: 16,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#333',
+    borderRadius: 8,
+    paddingLeft: 16,
+    paddingVertical: 6,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  message: {
+    flex: 1,
+    fontSize: 14,
+    color: 'white',
+  },
+  undoButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  undoText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#90CAF9',
+  },
+});
+
+export default UndoBar;
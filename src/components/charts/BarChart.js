@@ -0,0 +1,143 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+import Svg, { G, Line, Rect, Text as SvgText } from 'react-native-svg';
+import ChartTooltip from './ChartTooltip';
+import { formatCompact, getNiceMax } from '../../utils/chartGeometry';
+
+const AXIS_WIDTH = 36;
+const LABEL_HEIGHT = 20;
+const MAX_LABELS = 7;
+
+// data: [{ label, value, color? }]. Tapping a bar shows its value; labels are
+// thinned out when there are too many bars to fit them all.
+const BarChart = ({
+  data,
+  height = 160,
+  color = '#2196F3',
+  highlightIndex = null,
+  formatValue = formatCompact,
+  formatAxis = formatCompact,
+  accessibilityLabel,
+}) => {
+  const [width, setWidth] = useState(0);
+  const [selected, setSelected] = useState(null);
+
+  const max = getNiceMax(Math.max(0, ...data.map(item => item.value)));
+  const plotWidth = Math.max(width - AXIS_WIDTH, 0);
+  const plotHeight = height - LABEL_HEIGHT;
+  const slot = data.length ? plotWidth / data.length : 0;
+  const barWidth = Math.max(Math.min(slot * 0.6, 32), 2);
+  const labelEvery = Math.ceil(data.length / MAX_LABELS);
+
+  const getBarTop = (value) => plotHeight - (value / max) * plotHeight;
+
+  const summary = accessibilityLabel || `Bar chart. ${data
+    .map(item => `${item.label}: ${formatValue(item.value)}`)
+    .join(', ')}`;
+
+  return (
+    <View
+      style={{ height }}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      accessible
+      accessibilityRole="image"
+      accessibilityLabel={summary}
+    >
+      {width > 0 && (
+        <Svg width={width} height={height}>
+          {[0, 0.5, 1].map(step => (
+            <G key={step}>
+              <Line
+                x1={AXIS_WIDTH}
+                x2={width}
+                y1={plotHeight - step * plotHeight}
+                y2={plotHeight - step * plotHeight}
+                stroke="#E0E0E0"
+                strokeWidth={1}
+              />
+              <SvgText
+                x={AXIS_WIDTH - 6}
+                y={plotHeight - step * plotHeight + 4}
+                fontSize={10}
+                fill="#999"
+                textAnchor="end"
+              >
+                {formatAxis(max * step)}
+              </SvgText>
+            </G>
+          ))}
+
+          {data.map((item, index) => {
+            const x = AXIS_WIDTH + index * slot + (slot - barWidth) / 2;
+            const top = getBarTop(item.value);
+            const faded = selected !== null && selected !== index;
+            return (
+              <G key={`${item.label}-${index}`}>
+                {/* Full-height hit area so short bars are still easy to tap */}
+                <Rect
+                  x={AXIS_WIDTH + index * slot}
+                  y={0}
+                  width={slot}
+                  height={plotHeight}
+                  fill="transparent"
+                  onPress={() => setSelected(selected === index ? null : index)}
+                />
+                <Rect
+                  x={x}
+                  y={item.value > 0 ? top : plotHeight - 2}
+                  width={barWidth}
+                  height={item.value > 0 ? plotHeight - top : 2}
+                  rx={Math.min(barWidth / 4, 3)}
+                  fill={item.value > 0 ? (item.color || (index === highlightIndex ? '#1976D2' : color)) : '#E0E0E0'}
+                  opacity={faded ? 0.4 : 1}
+                  onPress={() => setSelected(selected === index ? null : index)}
+                />
+                {index % labelEvery === 0 && (
+                  <SvgText
+                    x={AXIS_WIDTH + index * slot + slot / 2}
+                    y={height - 4}
+                    fontSize={10}
+                    fill="#999"
+                    textAnchor="middle"
+                  >
+                    {item.label}
+                  </SvgText>
+                )}
+              </G>
+            );
+          })}
+        </Svg>
+      )}
+
+      {selected !== null && data[selected] && (
+        <ChartTooltip
+          x={AXIS_WIDTH + selected * slot + slot / 2}
+          y={getBarTop(data[selected].value)}
+          width={width}
+          title={data[selected].label}
+          value={formatValue(data[selected].value)}
+        />
+      )}
+
+      {data.length === 0 && (
+        <View style={styles.empty}>
+          <Text style={styles.emptyText}>No data yet</Text>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  empty: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+  },
+});
+
+export default BarChart;
@@ -0,0 +1,43 @@
+import React from 'react';
+import { View, Text, StyleSheet } from 'react-native';
+
+const TOOLTIP_WIDTH = 120;
+
+// Floats above the point at (x, y), kept inside a chart `width` wide
+const ChartTooltip = ({ x, y, width, title, value }) => {
+  const left = Math.min(Math.max(x - TOOLTIP_WIDTH / 2, 0), Math.max(width - TOOLTIP_WIDTH, 0));
+
+  return (
+    <View
+      pointerEvents="none"
+      style={[styles.tooltip, { left, top: Math.max(y - 52, 0) }]}
+      accessibilityLiveRegion="polite"
+    >
+      <Text style={styles.title} numberOfLines={1}>{title}</Text>
+      <Text style={styles.value} numberOfLines={1}>{value}</Text>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  tooltip: {
+    position: 'absolute',
+    width: TOOLTIP_WIDTH,
+    paddingHorizontal: 8,
+    paddingVertical: 6,
+    borderRadius: 8,
+    backgroundColor: '#333',
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: 11,
+    color: 'rgba(255, 255, 255, 0.8)',
+  },
+  value: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
+
+export default ChartTooltip;
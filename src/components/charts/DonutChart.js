@@ -0,0 +1,159 @@
+import React, { useState } from 'react';
+import { View, Text, StyleSheet, Pressable } from 'react-native';
+import Svg, { Circle, G, Path } from 'react-native-svg';
+import { describeArc, getSlices } from '../../utils/chartGeometry';
+
+// data: [{ label, value, color }]. Tapping a slice or its legend row shows it
+// in the middle; tapping again goes back to the total.
+const DonutChart = ({
+  data,
+  size = 160,
+  thickness = 24,
+  formatValue = (value) => `${value}`,
+  totalLabel = 'Total',
+}) => {
+  const [selected, setSelected] = useState(null);
+
+  const slices = getSlices(data);
+  const total = slices.reduce((sum, slice) => sum + slice.value, 0);
+  // Leaves room for the selected slice, which is drawn thicker
+  const radius = (size - thickness - 8) / 2;
+  const center = size / 2;
+  const active = selected !== null ? slices[selected] : null;
+
+  const toggle = (index) => setSelected(selected === index ? null : index);
+
+  if (!slices.length) {
+    return <Text style={styles.emptyText}>No data yet</Text>;
+  }
+
+  return (
+    <View style={styles.container}>
+      <View
+        style={{ width: size, height: size }}
+        accessible
+        accessibilityRole="image"
+        accessibilityLabel={`Donut chart. ${slices
+          .map(slice => `${slice.label}: ${formatValue(slice.value)}, ${Math.round(slice.share * 100)}%`)
+          .join('; ')}`}
+      >
+        <Svg width={size} height={size}>
+          <G>
+            {slices.length === 1 ? (
+              <Circle
+                cx={center}
+                cy={center}
+                r={radius}
+                stroke={slices[0].color}
+                strokeWidth={thickness}
+                fill="none"
+                onPress={() => toggle(0)}
+              />
+            ) : (
+              slices.map((slice, index) => (
+                <Path
+                  key={`${slice.label}-${index}`}
+                  // A hairline gap keeps neighbouring slices of similar colors apart
+                  d={describeArc(center, center, radius, slice.startAngle, Math.max(slice.startAngle, slice.endAngle - 0.02))}
+                  stroke={slice.color}
+                  strokeWidth={selected === index ? thickness + 6 : thickness}
+                  opacity={selected === null || selected === index ? 1 : 0.35}
+                  fill="none"
+                  onPress={() => toggle(index)}
+                />
+              ))
+            )}
+          </G>
+        </Svg>
+        <View style={styles.center} pointerEvents="none">
+          <Text style={styles.centerLabel} numberOfLines={1}>
+            {active ? active.label : totalLabel}
+          </Text>
+          <Text style={styles.centerValue} numberOfLines={1} adjustsFontSizeToFit>
+            {formatValue(active ? active.value : total)}
+          </Text>
+          {active && (
+            <Text style={styles.centerShare}>{Math.round(active.share * 100)}%</Text>
+          )}
+        </View>
+      </View>
+
+      <View style={styles.legend}>
+        {slices.map((slice, index) => (
+          <Pressable
+            key={`${slice.label}-${index}`}
+            style={[styles.legendRow, selected === index && styles.legendRowActive]}
+            onPress={() => toggle(index)}
+            accessibilityRole="button"
+            accessibilityLabel={`${slice.label}, ${formatValue(slice.value)}, ${Math.round(slice.share * 100)} percent`}
+          >
+            <View style={[styles.legendDot, { backgroundColor: slice.color }]} />
+            <Text style={styles.legendLabel} numberOfLines={1}>{slice.label}</Text>
+            <Text style={styles.legendValue}>{Math.round(slice.share * 100)}%</Text>
+          </Pressable>
+        ))}
+      </View>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  center: {
+    ...StyleSheet.absoluteFillObject,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 28,
+  },
+  centerLabel: {
+    fontSize: 12,
+    color: '#666',
+  },
+  centerValue: {
+    fontSize: 18,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  centerShare: {
+    fontSize: 12,
+    color: '#999',
+  },
+  legend: {
+    alignSelf: 'stretch',
+    marginTop: 16,
+  },
+  legendRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 6,
+    paddingHorizontal: 8,
+    borderRadius: 8,
+  },
+  legendRowActive: {
+    backgroundColor: '#F5F6F8',
+  },
+  legendDot: {
+    width: 12,
+    height: 12,
+    borderRadius: 6,
+    marginRight: 8,
+  },
+  legendLabel: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+  },
+  legendValue: {
+    fontSize: 14,
+    color: '#666',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#999',
+    textAlign: 'center',
+  },
+});
+
+export default DonutChart;
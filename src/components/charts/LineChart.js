@@ -0,0 +1,144 @@
+import React, { useState } from 'react';
+import { Pressable } from 'react-native';
+import Svg, { Circle, Defs, G, Line, LinearGradient, Path, Stop, Text as SvgText } from 'react-native-svg';
+import ChartTooltip from './ChartTooltip';
+import { formatCompact, getNearestIndex, getNiceMax } from '../../utils/chartGeometry';
+
+const AXIS_WIDTH = 36;
+const LABEL_HEIGHT = 20;
+const TOP_PADDING = 8;
+const MAX_LABELS = 6;
+
+// data: [{ label, value }], evenly spaced. Tapping anywhere picks the nearest point.
+// Negative values extend the axis below a zero line.
+const LineChart = ({
+  data,
+  height = 160,
+  color = '#2196F3',
+  formatValue = formatCompact,
+  formatAxis = formatCompact,
+  accessibilityLabel,
+}) => {
+  const [width, setWidth] = useState(0);
+  const [selected, setSelected] = useState(null);
+
+  const max = getNiceMax(Math.max(0, ...data.map(item => item.value)));
+  const lowest = Math.min(0, ...data.map(item => item.value));
+  const min = lowest < 0 ? -getNiceMax(-lowest) : 0;
+  const ticks = min < 0 ? [min, 0, max] : [0, max / 2, max];
+  const plotWidth = Math.max(width - AXIS_WIDTH, 0);
+  const plotHeight = height - LABEL_HEIGHT - TOP_PADDING;
+  const labelEvery = Math.ceil(data.length / MAX_LABELS);
+  const getY = (value) => TOP_PADDING + plotHeight - ((value - min) / (max - min)) * plotHeight;
+
+  const points = data.map((item, index) => ({
+    x: AXIS_WIDTH + (data.length > 1 ? (index / (data.length - 1)) * plotWidth : plotWidth / 2),
+    y: getY(item.value),
+  }));
+  const line = points.map((point, index) => `${index ? 'L' : 'M'} ${point.x} ${point.y}`).join(' ');
+  const baseline = TOP_PADDING + plotHeight;
+  const zero = getY(0);
+  const area = points.length
+    ? `${line} L ${points[points.length - 1].x} ${zero} L ${points[0].x} ${zero} Z`
+    : '';
+
+  const handlePress = (event) => {
+    if (!data.length) return;
+    const index = getNearestIndex(event.nativeEvent.locationX - AXIS_WIDTH, plotWidth, data.length);
+    setSelected(selected === index ? null : index);
+  };
+
+  const summary = accessibilityLabel || `Line chart. ${data
+    .map(item => `${item.label}: ${formatValue(item.value)}`)
+    .join(', ')}`;
+
+  return (
+    <Pressable
+      style={{ height }}
+      onLayout={(event) => setWidth(event.nativeEvent.layout.width)}
+      onPress={handlePress}
+      accessible
+      accessibilityRole="image"
+      accessibilityLabel={summary}
+    >
+      {width > 0 && (
+        <Svg width={width} height={height}>
+          <Defs>
+            <LinearGradient id="lineChartFill" x1="0" y1="0" x2="0" y2="1">
+              <Stop offset="0" stopColor={color} stopOpacity={0.25} />
+              <Stop offset="1" stopColor={color} stopOpacity={0} />
+            </LinearGradient>
+          </Defs>
+
+          {ticks.map(tick => (
+            <G key={tick}>
+              <Line
+                x1={AXIS_WIDTH}
+                x2={width}
+                y1={getY(tick)}
+                y2={getY(tick)}
+                stroke={tick === 0 && min < 0 ? '#BDBDBD' : '#E0E0E0'}
+                strokeWidth={1}
+              />
+              <SvgText
+                x={AXIS_WIDTH - 6}
+                y={getY(tick) + 4}
+                fontSize={10}
+                fill="#999"
+                textAnchor="end"
+              >
+                {formatAxis(tick)}
+              </SvgText>
+            </G>
+          ))}
+
+          {area !== '' && <Path d={area} fill="url(#lineChartFill)" />}
+          {line !== '' && (
+            <Path d={line} fill="none" stroke={color} strokeWidth={2} strokeLinejoin="round" />
+          )}
+
+          {data.map((item, index) => (
+            index % labelEvery === 0 && (
+              <SvgText
+                key={`${item.label}-${index}`}
+                x={points[index].x}
+                y={height - 4}
+                fontSize={10}
+                fill="#999"
+                textAnchor="middle"
+              >
+                {item.label}
+              </SvgText>
+            )
+          ))}
+
+          {selected !== null && points[selected] && (
+            <G>
+              <Line
+                x1={points[selected].x}
+                x2={points[selected].x}
+                y1={TOP_PADDING}
+                y2={baseline}
+                stroke="#BDBDBD"
+                strokeDasharray="3 3"
+              />
+              <Circle cx={points[selected].x} cy={points[selected].y} r={5} fill="white" stroke={color} strokeWidth={2} />
+            </G>
+          )}
+        </Svg>
+      )}
+
+      {selected !== null && data[selected] && (
+        <ChartTooltip
+          x={points[selected].x}
+          y={points[selected].y}
+          width={width}
+          title={data[selected].label}
+          value={formatValue(data[selected].value)}
+        />
+      )}
+    </Pressable>
+  );
+};
+
+export default LineChart;
@@ -1,5 +1,13 @@
 import React, { createContext, useContext, useState, useEffect } from 'react';
 import AsyncStorage from '@react-native-async-storage/async-storage';
+import api from '../services/api';
+import queryClient from '../services/queryClient';
+import biometricAuth from '../services/biometricAuth';
+import budgets from '../services/budgets';
+import categoryRules from '../services/categoryRules';
+import currency from '../services/currency';
+import recurringExpenses from '../services/recurringExpenses';
+import reminders from '../services/reminders';
 
 const AuthContext = createContext();
 
@@ -17,6 +25,7 @@ export const AuthProvider = ({ children }) => {
 
   const loadStoredUser = async () => {
     try {
+      await biometricAuth.migrateLegacyCredentials();
       const userName = await AsyncStorage.getItem('userName');
       if (userName) {
         setUser({ name: userName });
@@ -40,8 +49,17 @@ export const AuthProvider = ({ children }) => {
 
   const logout = async () => {
     try {
+      // Tokens, the offline cache and the outbox go even if the server can't
+      // be told, so nothing of this account reaches the next one
+      await api.logout().catch(error => console.error('Error ending session:', error));
       await AsyncStorage.removeItem('userName');
       await AsyncStorage.removeItem('token');
+      await recurringExpenses.clear();
+      await budgets.clear();
+      await currency.clear();
+      await categoryRules.clear();
+      queryClient.clear();
+      await reminders.cancelAll();
       setUser(null);
     } catch (error) {
       console.error('Error during logout:', error);
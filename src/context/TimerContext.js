@@ -0,0 +1,154 @@
+import React, { createContext, useContext, useState, useEffect } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import reminders from '../services/reminders';
+import { useAuth } from './AuthContext';
+import { useLogTimeEntry } from '../hooks/useTasks';
+import {
+  POMODORO_BREAK_MINUTES,
+  createTimeEntry,
+  getPhaseEnd,
+} from '../utils/timeTracking';
+
+const STORAGE_KEY = 'activeTimer';
+const WORK_NOTIFICATION = 'pomodoro-work';
+const BREAK_NOTIFICATION = 'pomodoro-break';
+
+const TimerContext = createContext();
+
+export const useTimer = () => {
+  return useContext(TimerContext);
+};
+
+// Current time, ticking every second while a timer runs
+export const useTimerClock = () => {
+  const { timer } = useTimer();
+  const [now, setNow] = useState(Date.now());
+
+  useEffect(() => {
+    if (!timer) return undefined;
+    setNow(Date.now());
+    const interval = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  return now;
+};
+
+// One timer runs at a time: { taskId, taskTitle, type: 'timer' | 'pomodoro',
+// phase: 'work' | 'break', startedAt }. It is kept in AsyncStorage so it keeps
+// counting across restarts; only work phases are logged against the task.
+export const TimerProvider = ({ children }) => {
+  const { user } = useAuth();
+  const logTimeEntry = useLogTimeEntry();
+  const [timer, setTimer] = useState(null);
+
+  useEffect(() => {
+    AsyncStorage.getItem(STORAGE_KEY)
+      .then(stored => {
+        if (stored) setTimer(JSON.parse(stored));
+      })
+      .catch(error => console.error('Error loading timer:', error));
+  }, []);
+
+  const saveTimer = (next) => {
+    setTimer(next);
+    const request = next
+      ? AsyncStorage.setItem(STORAGE_KEY, JSON.stringify(next))
+      : AsyncStorage.removeItem(STORAGE_KEY);
+    request.catch(error => console.error('Error saving timer:', error));
+  };
+
+  const logWork = (current, endedAt) => {
+    if (current.phase !== 'work' || endedAt - current.startedAt < 1000) return;
+    logTimeEntry.mutate(
+      { taskId: current.taskId, entry: createTimeEntry(current.startedAt, endedAt, current.type) },
+      { onError: (error) => console.error('Error logging time:', error) }
+    );
+  };
+
+  const cancelNotifications = () => {
+    reminders.cancelNotification(WORK_NOTIFICATION);
+    reminders.cancelNotification(BREAK_NOTIFICATION);
+  };
+
+  // Moves a pomodoro on once its phase is over. Runs on a one-second check so
+  // phases that ended while the app was closed are caught up on the next launch.
+  useEffect(() => {
+    if (!timer || timer.type !== 'pomodoro') return undefined;
+
+    const check = () => {
+      const phaseEnd = getPhaseEnd(timer);
+      if (Date.now() < phaseEnd) return;
+
+      if (timer.phase === 'work') {
+        logWork(timer, phaseEnd);
+        saveTimer({ ...timer, phase: 'break', startedAt: phaseEnd });
+      } else {
+        saveTimer(null);
+      }
+    };
+
+    check();
+    const interval = setInterval(check, 1000);
+    return () => clearInterval(interval);
+  }, [timer]);
+
+  // A signed-out user has nowhere to log time to
+  useEffect(() => {
+    if (!user && timer) {
+      cancelNotifications();
+      saveTimer(null);
+    }
+  }, [user, timer]);
+
+  const stopTimer = () => {
+    if (!timer) return;
+    const phaseEnd = getPhaseEnd(timer);
+    logWork(timer, phaseEnd ? Math.min(Date.now(), phaseEnd) : Date.now());
+    cancelNotifications();
+    saveTimer(null);
+  };
+
+  const startTimer = async (task, type = 'timer') => {
+    stopTimer();
+
+    const startedAt = Date.now();
+    const next = {
+      taskId: task.id,
+      taskTitle: task.title,
+      type,
+      phase: 'work',
+      startedAt,
+    };
+    saveTimer(next);
+
+    if (type === 'pomodoro' && await reminders.requestPermission()) {
+      const workEnd = getPhaseEnd(next);
+      reminders.notifyAt(WORK_NOTIFICATION, {
+        title: 'Pomodoro complete',
+        body: `Time for a ${POMODORO_BREAK_MINUTES} minute break from "${task.title || 'Untitled Task'}"`,
+        date: new Date(workEnd),
+      });
+      reminders.notifyAt(BREAK_NOTIFICATION, {
+        title: 'Break over',
+        body: 'Ready for the next pomodoro?',
+        date: new Date(getPhaseEnd({ ...next, phase: 'break', startedAt: workEnd })),
+      });
+    }
+  };
+
+  const isTimingTask = (taskId) => !!timer && String(timer.taskId) === String(taskId);
+
+  const value = {
+    timer,
+    startTimer,
+    stopTimer,
+    isTimingTask,
+  };
+
+  return (
+    <TimerContext.Provider value={value}>
+      {children}
+    </TimerContext.Provider>
+  );
+};
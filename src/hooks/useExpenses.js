@@ -0,0 +1,238 @@
+import { useEffect, useMemo } from 'react';
+import { keepPreviousData, useInfiniteQuery, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import api from '../services/api';
+import budgets from '../services/budgets';
+import categoryRules from '../services/categoryRules';
+import currency from '../services/currency';
+import recurringExpenses from '../services/recurringExpenses';
+import { queryKeys } from '../services/queryClient';
+import useOptimisticMutation from './useOptimisticMutation';
+import { getMonthKey, getMonthSpending } from '../utils/budgets';
+import { toDateKey } from '../utils/calendar';
+import { EMPTY_EXPENSE_FILTERS, getNextExpensePage } from '../utils/expenseFilters';
+import { toExpensePayload } from '../utils/expenses';
+
+const sameId = (a, b) => String(a) === String(b);
+
+const EXPENSES_PER_PAGE = 20;
+
+// Expense queries hold the dashboard, plain or paginated lists, or the pages of
+// the infinite list; drop the expense from whichever list each one has
+const removeExpense = (data, expenseId) => {
+  const keep = (list) => list.filter(expense => !sameId(expense.id, expenseId));
+  if (Array.isArray(data)) return keep(data);
+  if (data.pages) return { ...data, pages: data.pages.map(page => removeExpense(page, expenseId)) };
+  if (data.recent_expenses) return { ...data, recent_expenses: keep(data.recent_expenses) };
+  if (Array.isArray(data.data)) return { ...data, data: keep(data.data) };
+  return data;
+};
+
+export const useExpenseDashboard = () => {
+  return useQuery({
+    queryKey: queryKeys.expenseDashboard,
+    queryFn: () => api.getExpenseDashboard(),
+  });
+};
+
+// Every expense on every page, with those still waiting to sync, for totals
+// that can't stop at the first page
+export const useAllExpenses = () => {
+  return useQuery({
+    queryKey: queryKeys.allExpenses,
+    queryFn: () => api.getAllExpenses(),
+  });
+};
+
+// Every expense dated `from` to `to` (YYYY-MM-DD keys), with those waiting
+// to sync; idle until both are known
+export const useExpensesBetween = (from, to) => {
+  return useQuery({
+    queryKey: queryKeys.expenseRange(from, to),
+    queryFn: () => api.getAllExpenses({ ...EMPTY_EXPENSE_FILTERS, from, to }),
+    enabled: Boolean(from && to),
+  });
+};
+
+// Every expense matching `filters`, a page at a time
+export const useExpensePages = (filters) => {
+  return useInfiniteQuery({
+    queryKey: queryKeys.expensePages(filters),
+    queryFn: ({ pageParam }) => api.fetchExpenses(filters, pageParam, EXPENSES_PER_PAGE),
+    initialPageParam: 1,
+    getNextPageParam: getNextExpensePage,
+    placeholderData: keepPreviousData,
+  });
+};
+
+// What has been spent so far this month, overall and per category, in the
+// home currency. Reads every page of the month, with entries waiting to sync.
+export const useMonthSpending = () => {
+  const now = new Date();
+  const { data, ...query } = useQuery({
+    queryKey: queryKeys.monthExpenses(getMonthKey(now)),
+    queryFn: () => api.getAllExpenses({
+      ...EMPTY_EXPENSE_FILTERS,
+      from: toDateKey(new Date(now.getFullYear(), now.getMonth(), 1)),
+      to: toDateKey(new Date(now.getFullYear(), now.getMonth() + 1, 0)),
+    }),
+  });
+  const { data: currencySettings } = useCurrency();
+  const spending = useMemo(
+    () => getMonthSpending(data || [], currencySettings),
+    [data, currencySettings]
+  );
+  return { ...query, data: spending };
+};
+
+export const useCurrency = () => {
+  return useQuery({
+    queryKey: queryKeys.currency,
+    queryFn: () => currency.get(),
+    staleTime: Infinity,
+  });
+};
+
+export const useSaveCurrency = () => {
+  return useOptimisticMutation({
+    mutationFn: (next) => currency.save(next),
+    queryKey: queryKeys.currency,
+    updater: (current, next) => next,
+  });
+};
+
+export const useBudgets = () => {
+  return useQuery({
+    queryKey: queryKeys.budgets,
+    queryFn: () => budgets.get(),
+    staleTime: Infinity,
+  });
+};
+
+export const useSaveBudgets = () => {
+  return useOptimisticMutation({
+    mutationFn: (next) => budgets.save(next),
+    queryKey: queryKeys.budgets,
+    updater: (current, next) => next,
+  });
+};
+
+export const useRecurringExpenses = () => {
+  return useQuery({
+    queryKey: queryKeys.recurringExpenses,
+    queryFn: () => recurringExpenses.getAll(),
+    staleTime: Infinity,
+  });
+};
+
+export const useSaveRecurringExpense = () => {
+  return useOptimisticMutation({
+    mutationFn: (template) => recurringExpenses.save(template),
+    queryKey: queryKeys.recurringExpenses,
+    updater: (templates, template) => (
+      templates.some(item => item.id === template.id)
+        ? templates.map(item => (item.id === template.id ? template : item))
+        : [...templates, template]
+    ),
+  });
+};
+
+export const useDeleteRecurringExpense = () => {
+  return useOptimisticMutation({
+    mutationFn: (templateId) => recurringExpenses.remove(templateId),
+    queryKey: queryKeys.recurringExpenses,
+    updater: (templates, templateId) => templates.filter(item => item.id !== templateId),
+  });
+};
+
+// Enters recurring charges that have come due, on mount and whenever the
+// templates change
+export const useRecurringCharges = () => {
+  const queryClient = useQueryClient();
+  const { data: templates } = useRecurringExpenses();
+
+  useEffect(() => {
+    if (!templates?.length) return;
+    recurringExpenses.generateDue()
+      .then(added => {
+        if (added === 0) return;
+        queryClient.invalidateQueries({ queryKey: queryKeys.expenses });
+        queryClient.invalidateQueries({ queryKey: queryKeys.recurringExpenses });
+      })
+      .catch(error => console.error('Error adding recurring expenses:', error));
+  }, [templates, queryClient]);
+};
+
+export const useCategoryRules = () => {
+  return useQuery({
+    queryKey: queryKeys.categoryRules,
+    queryFn: () => categoryRules.get(),
+    staleTime: Infinity,
+  });
+};
+
+export const useSaveCategoryRules = () => {
+  return useOptimisticMutation({
+    mutationFn: (next) => categoryRules.save(next),
+    queryKey: queryKeys.categoryRules,
+    updater: (current, next) => next,
+  });
+};
+
+export const useExpenseCategories = () => {
+  return useQuery({
+    queryKey: queryKeys.expenseCategories,
+    queryFn: async () => {
+      const data = (await api.getExpenseCategories()) || [];
+      return data.filter(cat => typeof cat === 'string' && cat.trim());
+    },
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+export const useCreateExpense = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (expenseData) => api.createExpense(expenseData),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.expenses }),
+  });
+};
+
+export const useImportExpenses = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (list) => api.createExpenses(list),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.expenses }),
+  });
+};
+
+export const useUpdateExpense = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ expenseId, expenseData }) => api.updateExpense(expenseId, expenseData),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.expenses }),
+  });
+};
+
+export const useDeleteExpense = () => {
+  return useOptimisticMutation({
+    mutationFn: (expenseId) => api.deleteExpense(expenseId),
+    queryKey: queryKeys.expenses,
+    updater: removeExpense,
+  });
+};
+
+// Moves existing expenses to new categories: [{ expense, category }]
+export const useRecategorizeExpenses = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (changes) => api.updateExpenses(changes.map(({ expense, category }) => ({
+      expenseId: expense.id,
+      expenseData: toExpensePayload(expense, { category }),
+    }))),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.expenses }),
+  });
+};
@@ -0,0 +1,67 @@
+import { keepPreviousData, useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import api from '../services/api';
+import { queryKeys } from '../services/queryClient';
+import useOptimisticMutation from './useOptimisticMutation';
+
+const sameId = (a, b) => String(a) === String(b);
+
+// Notes queries hold a paginated response; patch the page's `data` list
+const updateNotes = (updater) => (page, variables) => ({
+  ...page,
+  data: updater(page.data || [], variables),
+});
+
+export const useNotes = ({ searchQuery, perPage, page, status }) => {
+  return useQuery({
+    queryKey: queryKeys.noteList({ searchQuery: searchQuery || '', perPage, page, status }),
+    queryFn: () => api.fetchNotes(searchQuery, perPage, page, status),
+    placeholderData: keepPreviousData,
+  });
+};
+
+export const useCreateNote = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (noteData) => api.createNote(noteData),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.notes }),
+  });
+};
+
+export const useUpdateNote = () => {
+  return useOptimisticMutation({
+    mutationFn: ({ noteId, noteData }) => api.updateNote(noteId, noteData),
+    queryKey: queryKeys.notes,
+    updater: updateNotes((notes, { noteId, noteData }) => notes.map(note => (
+      sameId(note.id, noteId) ? { ...note, ...noteData } : note
+    ))),
+  });
+};
+
+export const useDeleteNote = () => {
+  return useOptimisticMutation({
+    mutationFn: (noteId) => api.deleteNote(noteId),
+    queryKey: queryKeys.notes,
+    updater: updateNotes((notes, noteId) => notes.filter(note => !sameId(note.id, noteId))),
+  });
+};
+
+export const usePinNote = () => {
+  return useOptimisticMutation({
+    mutationFn: ({ noteId, isPinned }) => api.pinNote(noteId, isPinned),
+    queryKey: queryKeys.notes,
+    updater: updateNotes((notes, { noteId, isPinned }) => notes.map(note => (
+      sameId(note.id, noteId) ? { ...note, is_pinned: isPinned } : note
+    ))),
+  });
+};
+
+export const useArchiveNote = () => {
+  return useOptimisticMutation({
+    mutationFn: ({ noteId, isArchived }) => api.archiveNote(noteId, isArchived),
+    queryKey: queryKeys.notes,
+    updater: updateNotes((notes, { noteId, isArchived }) => notes.map(note => (
+      sameId(note.id, noteId) ? { ...note, is_archived: isArchived } : note
+    ))),
+  });
+};
@@ -0,0 +1,29 @@
+import { useMutation, useQueryClient } from '@tanstack/react-query';
+
+// Mutation that patches every cached query under `queryKey` before the request
+// resolves, rolls back on error and refetches once settled
+const useOptimisticMutation = ({ mutationFn, queryKey, updater, invalidate = [queryKey] }) => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onMutate: async (variables) => {
+      await queryClient.cancelQueries({ queryKey });
+      const previous = queryClient.getQueriesData({ queryKey });
+      queryClient.setQueriesData({ queryKey }, (data) => (
+        data === undefined ? data : updater(data, variables)
+      ));
+      return { previous };
+    },
+    onError: (error, variables, context) => {
+      context?.previous.forEach(([key, data]) => {
+        queryClient.setQueryData(key, data);
+      });
+    },
+    onSettled: () => {
+      return Promise.all(invalidate.map(key => queryClient.invalidateQueries({ queryKey: key })));
+    },
+  });
+};
+
+export default useOptimisticMutation;
@@ -0,0 +1,28 @@
+import { useEffect, useState } from 'react';
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+// useState backed by AsyncStorage so a choice survives app restarts. The default
+// is used until the stored value has loaded.
+const usePersistentState = (key, defaultValue) => {
+  const [value, setValue] = useState(defaultValue);
+
+  useEffect(() => {
+    AsyncStorage.getItem(key)
+      .then(stored => {
+        if (stored !== null) {
+          setValue(JSON.parse(stored));
+        }
+      })
+      .catch(error => console.error(`Error loading ${key}:`, error));
+  }, [key]);
+
+  const update = (next) => {
+    setValue(next);
+    AsyncStorage.setItem(key, JSON.stringify(next))
+      .catch(error => console.error(`Error saving ${key}:`, error));
+  };
+
+  return [value, update];
+};
+
+export default usePersistentState;
@@ -0,0 +1,23 @@
+import React from 'react';
+import { useQueryClient } from '@tanstack/react-query';
+import { useFocusEffect } from '@react-navigation/native';
+
+// Refetch stale queries when a screen regains focus; fresh data is reused
+// instead of hitting the network again
+const useRefreshOnFocus = (queryKey) => {
+  const queryClient = useQueryClient();
+  const isFirstFocus = React.useRef(true);
+  const key = JSON.stringify(queryKey);
+
+  useFocusEffect(
+    React.useCallback(() => {
+      if (isFirstFocus.current) {
+        isFirstFocus.current = false;
+        return;
+      }
+      queryClient.refetchQueries({ queryKey: JSON.parse(key), stale: true, type: 'active' });
+    }, [queryClient, key])
+  );
+};
+
+export default useRefreshOnFocus;
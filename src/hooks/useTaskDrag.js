@@ -0,0 +1,122 @@
+import { useRef, useState } from 'react';
+import { Animated } from 'react-native';
+
+const measure = (node) => new Promise(resolve => {
+  node.measure((x, y, width, height, pageX, pageY) => resolve({ x: pageX, y: pageY, width, height }));
+});
+
+const contains = (rect, x, y) => (
+  x >= rect.x && x <= rect.x + rect.width && y >= rect.y && y <= rect.y + rect.height
+);
+
+const intersect = (rect, clip) => {
+  const x = Math.max(rect.x, clip.x);
+  const y = Math.max(rect.y, clip.y);
+  return {
+    x,
+    y,
+    width: Math.max(0, Math.min(rect.x + rect.width, clip.x + clip.width) - x),
+    height: Math.max(0, Math.min(rect.y + rect.height, clip.y + clip.height) - y),
+  };
+};
+
+// Long-press-and-drag for tasks. Views register as drop targets with a value and
+// releasing over one calls `onDrop(task, value)`; targets inside a scroll view pass
+// its ref as `clipRef` so rows scrolled out of sight can't be hit. The finger is
+// followed through the container's bubbling touch events, so the pressed card never
+// has to give up the responder and scrolling only needs to be switched off while
+// `dragTask` is set.
+const useTaskDrag = (onDrop) => {
+  const [dragTask, setDragTask] = useState(null);
+  const [hoverKey, setHoverKey] = useState(null);
+  const position = useRef(new Animated.ValueXY()).current;
+  const containerRef = useRef(null);
+  const targets = useRef(new Map()).current;
+  const drag = useRef(null);
+  const isTouching = useRef(false);
+
+  const registerTarget = (key, value, clipRef) => (node) => {
+    if (node) {
+      targets.set(key, { node, value, clipRef });
+    } else {
+      targets.delete(key);
+    }
+  };
+
+  const findTarget = (pageX, pageY) => (
+    drag.current.targets.find(target => contains(target.rect, pageX, pageY))
+  );
+
+  const moveTo = (pageX, pageY) => {
+    const { origin } = drag.current;
+    position.setValue({ x: pageX - origin.x, y: pageY - origin.y });
+    setHoverKey(findTarget(pageX, pageY)?.key ?? null);
+  };
+
+  const stopDrag = () => {
+    drag.current = null;
+    setDragTask(null);
+    setHoverKey(null);
+  };
+
+  const startDrag = async (task, event) => {
+    const { pageX, pageY } = event.nativeEvent;
+    // Targets don't move while dragging since scrolling is off, so measure them once
+    const origin = await measure(containerRef.current);
+    const measured = await Promise.all([...targets].map(async ([key, { node, value, clipRef }]) => {
+      const rect = await measure(node);
+      return {
+        key,
+        value,
+        rect: clipRef?.current ? intersect(rect, await measure(clipRef.current)) : rect,
+      };
+    }));
+
+    // The finger may have lifted while we were measuring
+    if (!isTouching.current) return;
+
+    drag.current = { task, origin, targets: measured };
+    moveTo(pageX, pageY);
+    setDragTask(task);
+  };
+
+  const touchHandlers = {
+    onTouchStart: () => {
+      isTouching.current = true;
+    },
+    onTouchMove: (event) => {
+      if (drag.current) {
+        moveTo(event.nativeEvent.pageX, event.nativeEvent.pageY);
+      }
+    },
+    onTouchEnd: (event) => {
+      isTouching.current = false;
+      if (!drag.current) return;
+
+      const { task } = drag.current;
+      const target = findTarget(event.nativeEvent.pageX, event.nativeEvent.pageY);
+      stopDrag();
+      if (target) {
+        onDrop(task, target.value);
+      }
+    },
+    onTouchCancel: () => {
+      isTouching.current = false;
+      if (drag.current) {
+        stopDrag();
+      }
+    },
+  };
+
+  return {
+    dragTask,
+    hoverKey,
+    position,
+    containerRef,
+    registerTarget,
+    startDrag,
+    touchHandlers,
+  };
+};
+
+export default useTaskDrag;
@@ -0,0 +1,234 @@
+import { useMutation, useQuery, useQueryClient } from '@tanstack/react-query';
+import api from '../services/api';
+import { queryKeys } from '../services/queryClient';
+import reminders from '../services/reminders';
+import useOptimisticMutation from './useOptimisticMutation';
+import { buildNextOccurrence, parseRepeatRule } from '../utils/recurrence';
+import { formatDueDate } from '../utils/calendar';
+import { parseChecklist } from '../utils/checklist';
+import { isClosed } from '../utils/taskStatus';
+import { sortCategories } from '../utils/categoryStyle';
+import { parseTimeEntries } from '../utils/timeTracking';
+
+const sameId = (a, b) => String(a) === String(b);
+
+export const useTasks = () => {
+  return useQuery({
+    queryKey: queryKeys.tasks,
+    queryFn: async () => (await api.getTasks()) || [],
+  });
+};
+
+export const useCategories = () => {
+  return useQuery({
+    queryKey: queryKeys.taskCategories,
+    queryFn: async () => sortCategories((await api.getCategories()) || []),
+    staleTime: 5 * 60 * 1000,
+  });
+};
+
+export const useCreateCategory = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (categoryData) => api.createCategory(categoryData),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: queryKeys.taskCategories }),
+  });
+};
+
+export const useUpdateCategory = () => {
+  return useOptimisticMutation({
+    mutationFn: ({ categoryId, categoryData }) => api.updateCategory(categoryId, categoryData),
+    queryKey: queryKeys.taskCategories,
+    updater: (categories, { categoryId, categoryData }) => categories.map(category => (
+      sameId(category.id, categoryId) ? { ...category, ...categoryData } : category
+    )),
+    // Tasks embed their category, so they pick up a new name or color too
+    invalidate: [queryKeys.taskCategories, queryKeys.tasks],
+  });
+};
+
+// Saves `position` for every category whose place in `categories` changed
+export const useReorderCategories = () => {
+  return useOptimisticMutation({
+    mutationFn: async (categories) => {
+      for (const [position, category] of categories.entries()) {
+        if (category.position !== position) {
+          await api.updateCategory(category.id, { position });
+        }
+      }
+    },
+    queryKey: queryKeys.taskCategories,
+    updater: (current, categories) => categories.map((category, position) => ({ ...category, position })),
+  });
+};
+
+export const useCreateTask = () => {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (taskData) => api.createTask(taskData),
+    onSuccess: (task) => {
+      reminders.schedule(task);
+      return queryClient.invalidateQueries({ queryKey: queryKeys.tasks });
+    },
+  });
+};
+
+const findTask = (queryClient, taskId) => (
+  queryClient.getQueryData(queryKeys.tasks)?.find(task => sameId(task.id, taskId))
+);
+
+export const useUpdateTask = () => {
+  const queryClient = useQueryClient();
+
+  return useOptimisticMutation({
+    mutationFn: async ({ taskId, taskData }) => {
+      const result = await api.updateTask(taskId, taskData);
+      // The form only sends editable fields; the cached task knows the status
+      reminders.schedule({ ...findTask(queryClient, taskId), ...result });
+      return result;
+    },
+    queryKey: queryKeys.tasks,
+    updater: (tasks, { taskId, taskData }) => tasks.map(task => (
+      sameId(task.id, taskId) ? { ...task, ...taskData } : task
+    )),
+  });
+};
+
+// The fields the edit form sends, for updates made outside the form
+const getEditableFields = (task) => ({
+  title: task.title,
+  description: task.description,
+  category_id: task.category_id,
+  due_date: task.due_date,
+  repeat_rule: parseRepeatRule(task.repeat_rule),
+  reminder_minutes: task.reminder_minutes ?? null,
+  checklist: parseChecklist(task.checklist),
+  priority: task.priority || 'none',
+  time_entries: parseTimeEntries(task.time_entries),
+});
+
+// Moves a task to `dueDate`, resending the rest of its fields as the edit form would
+const rescheduleTask = async ({ task, dueDate }) => {
+  const result = await api.updateTask(task.id, {
+    ...getEditableFields(task),
+    due_date: formatDueDate(dueDate),
+  });
+  reminders.schedule({ ...task, ...result });
+  return result;
+};
+
+export const useRescheduleTask = () => {
+  return useOptimisticMutation({
+    mutationFn: rescheduleTask,
+    queryKey: queryKeys.tasks,
+    updater: (tasks, { task, dueDate }) => tasks.map(item => (
+      sameId(item.id, task.id) ? { ...item, due_date: dueDate.toISOString() } : item
+    )),
+  });
+};
+
+// Takes [{ task, dueDate }] and moves them all in one mutation
+export const useRescheduleTasks = () => {
+  return useOptimisticMutation({
+    mutationFn: async (moves) => {
+      const results = [];
+      for (const move of moves) {
+        results.push(await rescheduleTask(move));
+      }
+      return results;
+    },
+    queryKey: queryKeys.tasks,
+    updater: (tasks, moves) => tasks.map(item => {
+      const move = moves.find(({ task }) => sameId(task.id, item.id));
+      return move ? { ...item, due_date: move.dueDate.toISOString() } : item;
+    }),
+  });
+};
+
+// Guards against a second copy when an occurrence is completed, reopened and completed again
+const hasOccurrence = (tasks = [], rule) => tasks.some(task => {
+  const taskRule = parseRepeatRule(task.repeat_rule);
+  return taskRule?.series_id === rule.series_id && taskRule.occurrence === rule.occurrence;
+});
+
+export const useUpdateTaskStatus = () => {
+  const queryClient = useQueryClient();
+
+  return useOptimisticMutation({
+    mutationFn: async ({ taskId, status, task }) => {
+      const result = await api.updateTaskStatus(taskId, status);
+
+      if (task) {
+        reminders.schedule({ ...task, id: taskId, status: result.status });
+      }
+
+      // Closing one occurrence of a repeating task, done or skipped, schedules the next one
+      const next = task && !isClosed(task) && isClosed({ status }) ? buildNextOccurrence(task) : null;
+      if (next && !hasOccurrence(queryClient.getQueryData(queryKeys.tasks), next.repeat_rule)) {
+        reminders.schedule(await api.createTask(next));
+      }
+
+      return result;
+    },
+    queryKey: queryKeys.tasks,
+    updater: (tasks, { taskId, status }) => tasks.map(task => (
+      sameId(task.id, taskId)
+        ? { ...task, status, completed_at: status === 'completed' ? new Date().toISOString() : null }
+        : task
+    )),
+  });
+};
+
+// Appends a finished timer run to the task's `time_entries`. Only the ID is
+// needed since the timer can outlive the screen it was started from.
+export const useLogTimeEntry = () => {
+  return useOptimisticMutation({
+    mutationFn: async ({ taskId, entry }) => {
+      // A timer started offline may still hold the task's temporary ID
+      const id = await api.resolveId(taskId);
+      const task = ((await api.getTasks()) || []).find(item => sameId(item.id, id));
+      if (!task) return null;
+      return api.updateTask(task.id, {
+        ...getEditableFields(task),
+        time_entries: [...parseTimeEntries(task.time_entries), entry],
+      });
+    },
+    queryKey: queryKeys.tasks,
+    updater: (tasks, { taskId, entry }) => tasks.map(task => (
+      sameId(task.id, taskId)
+        ? { ...task, time_entries: [...parseTimeEntries(task.time_entries), entry] }
+        : task
+    )),
+  });
+};
+
+export const useDeleteTask = () => {
+  return useOptimisticMutation({
+    mutationFn: async (taskId) => {
+      const result = await api.deleteTask(taskId);
+      reminders.cancel(taskId);
+      return result;
+    },
+    queryKey: queryKeys.tasks,
+    updater: (tasks, taskId) => tasks.filter(task => !sameId(task.id, taskId)),
+  });
+};
+
+// Moves the category's tasks to `moveToId` before deleting it, so none are left
+// pointing at a category that no longer exists
+export const useDeleteCategory = () => {
+  return useOptimisticMutation({
+    mutationFn: async ({ categoryId, moveToId }) => {
+      const tasks = (await api.getTasks()) || [];
+      for (const task of tasks.filter(item => sameId(item.category_id, categoryId))) {
+        await api.updateTask(task.id, { ...getEditableFields(task), category_id: moveToId });
+      }
+      await api.deleteCategory(categoryId);
+    },
+    queryKey: queryKeys.taskCategories,
+    updater: (categories, { categoryId }) => categories.filter(category => !sameId(category.id, categoryId)),
+    invalidate: [queryKeys.taskCategories, queryKeys.tasks],
+  });
+};
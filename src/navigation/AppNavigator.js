@@ -1,10 +1,12 @@
-import React from 'react';
+import React, { useEffect, useRef } from 'react';
 import { NavigationContainer } from '@react-navigation/native';
 import { createNativeStackNavigator } from '@react-navigation/native-stack';
 import { createBottomTabNavigator } from '@react-navigation/bottom-tabs';
-import { navigationRef } from './RootNavigation';
+import { navigationRef, navigate } from './RootNavigation';
 import { Ionicons } from '@expo/vector-icons';
 import { View } from 'react-native';
+import api from '../services/api';
+import reminders from '../services/reminders';
 
 import LoginScreen from '../screens/LoginScreen';
 import RegisterScreen from '../screens/RegisterScreen';
@@ -14,6 +16,12 @@ import ExpenseScreen from '../screens/ExpenseScreen';
 import NewExpenseScreen from '../screens/NewExpenseScreen';
 import EditTaskScreen from '../screens/EditTaskScreen';
 import NotesScreen from '../screens/NotesScreen';
+import CategoryManagerScreen from '../screens/CategoryManagerScreen';
+import CurrencySettingsScreen from '../screens/CurrencySettingsScreen';
+import RecurringExpenseScreen from '../screens/RecurringExpenseScreen';
+import ImportExpensesScreen from '../screens/ImportExpensesScreen';
+import CategoryRulesScreen from '../screens/CategoryRulesScreen';
+import ExportScreen from '../screens/ExportScreen';
 
 const Stack = createNativeStackNavigator();
 const Tab = createBottomTabNavigator();
@@ -41,6 +49,11 @@ const HomeStack = () => {
         component={EditTaskScreen}
         options={{ headerShown: false }}
       />
+      <Stack.Screen
+        name="Categories"
+        component={CategoryManagerScreen}
+        options={{ headerShown: false }}
+      />
     </Stack.Navigator>
   );
 };
@@ -72,6 +85,22 @@ const ExpenseStack = () => {
           headerShown: false,
         }}
       />
+      <Stack.Screen
+        name="Currencies"
+        component={CurrencySettingsScreen}
+      />
+      <Stack.Screen
+        name="RecurringExpense"
+        component={RecurringExpenseScreen}
+      />
+      <Stack.Screen
+        name="ImportExpenses"
+        component={ImportExpensesScreen}
+      />
+      <Stack.Screen
+        name="CategoryRules"
+        component={CategoryRulesScreen}
+      />
     </Stack.Navigator>
   );
 };
@@ -148,9 +177,61 @@ const TabNavigator = () => {
   );
 };
 
+const isSignedIn = () => {
+  const state = navigationRef.getRootState();
+  return state?.routes[state.index]?.name === 'MainApp';
+};
+
 const AppNavigator = () => {
+  // A reminder tapped before login is opened once the tabs are showing
+  const pendingTaskId = useRef(null);
+
+  const openTask = async (taskId) => {
+    if (!isSignedIn()) {
+      pendingTaskId.current = taskId;
+      return;
+    }
+    pendingTaskId.current = null;
+
+    try {
+      const id = String(await api.resolveId(taskId));
+      const tasks = (await api.getTasks()) || [];
+      const task = tasks.find(item => String(item.id) === id);
+      if (task) {
+        navigate('MainApp', {
+          screen: 'Home',
+          params: { screen: 'EditTask', params: { task } },
+        });
+      }
+    } catch (error) {
+      console.error('Error opening reminder:', error);
+    }
+  };
+
+  useEffect(() => {
+    const subscription = reminders.addResponseListener(openTask);
+    return () => subscription.remove();
+  }, []);
+
+  const handleReady = async () => {
+    const taskId = await reminders.getLaunchTaskId();
+    if (taskId !== undefined) {
+      openTask(taskId);
+    }
+  };
+
+  const handleStateChange = () => {
+    if (pendingTaskId.current !== null && isSignedIn()) {
+      openTask(pendingTaskId.current);
+    }
+  };
+
   return (
-    <NavigationContainer ref={navigationRef}>
+    <NavigationContainer
+      ref={navigationRef}
+      onReady={handleReady}
+      onStateChange={handleStateChange}
+    >
       <Stack.Navigator
         screenOptions={{
           headerShown: false,
@@ -167,6 +248,8 @@ const AppNavigator = () => {
             headerBackVisible: false,
           }}
         />
+        {/* Above the tabs, since tasks, expenses and notes all export from here */}
+        <Stack.Screen name="Export" component={ExportScreen} />
       </Stack.Navigator>
     </NavigationContainer>
   );
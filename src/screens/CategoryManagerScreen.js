@@ -0,0 +1,333 @@
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  Pressable,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import { Ionicons } from '@expo/vector-icons';
+import ScreenHeader from '../components/ScreenHeader';
+import CategoryEditorModal from '../components/CategoryEditorModal';
+import {
+  useCategories,
+  useCreateCategory,
+  useDeleteCategory,
+  useReorderCategories,
+  useTasks,
+  useUpdateCategory,
+} from '../hooks/useTasks';
+import { getCategoryStyle } from '../utils/categoryStyle';
+import { moveItem } from '../utils/lists';
+
+const CategoryManagerScreen = ({ navigation }) => {
+  const { data: categories = [], isLoading } = useCategories();
+  const { data: tasks = [] } = useTasks();
+  const createCategory = useCreateCategory();
+  const updateCategory = useUpdateCategory();
+  const reorderCategories = useReorderCategories();
+  const deleteCategory = useDeleteCategory();
+  // undefined: editor closed, null: creating, otherwise the category being edited
+  const [editing, setEditing] = useState(undefined);
+  const [deleting, setDeleting] = useState(null);
+
+  const usage = useMemo(() => tasks.reduce((counts, task) => {
+    const key = String(task.category_id);
+    counts[key] = (counts[key] || 0) + 1;
+    return counts;
+  }, {}), [tasks]);
+
+  const getUsage = (category) => usage[String(category.id)] || 0;
+
+  const handleSave = async (categoryData) => {
+    const category = editing;
+    setEditing(undefined);
+    try {
+      if (category) {
+        await updateCategory.mutateAsync({ categoryId: category.id, categoryData });
+      } else {
+        await createCategory.mutateAsync({ ...categoryData, position: categories.length });
+      }
+    } catch (error) {
+      console.error('Error saving category:', error);
+      Alert.alert('Error', 'Failed to save category');
+    }
+  };
+
+  const handleMove = (index, offset) => {
+    reorderCategories.mutate(moveItem(categories, index, offset), {
+      onError: (error) => console.error('Error reordering categories:', error),
+    });
+  };
+
+  const confirmDelete = (category, moveToId) => {
+    setDeleting(null);
+    deleteCategory.mutate(
+      { categoryId: category.id, moveToId },
+      {
+        onError: (error) => {
+          console.error('Error deleting category:', error);
+          Alert.alert('Error', 'Failed to delete category');
+        },
+      }
+    );
+  };
+
+  const handleDelete = (category) => {
+    if (getUsage(category) === 0) {
+      Alert.alert(
+        'Delete Category',
+        `Delete "${category.title}"?`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Delete', style: 'destructive', onPress: () => confirmDelete(category) },
+        ]
+      );
+    } else if (categories.length < 2) {
+      Alert.alert(
+        'Category in use',
+        'Create another category first so its tasks have somewhere to go.'
+      );
+    } else {
+      setDeleting(category);
+    }
+  };
+
+  const renderCategory = ({ item, index }) => {
+    const style = getCategoryStyle(item);
+    const count = getUsage(item);
+
+    return (
+      <View style={styles.categoryRow}>
+        <View style={[styles.categoryIcon, { backgroundColor: style.color }]}>
+          <Ionicons name={style.icon} size={20} color="white" />
+        </View>
+        <View style={styles.categoryInfo}>
+          <Text style={styles.categoryTitle} numberOfLines={1}>{item.title}</Text>
+          <Text style={styles.categoryUsage}>{count} {count === 1 ? 'task' : 'tasks'}</Text>
+        </View>
+        <TouchableOpacity
+          style={styles.rowButton}
+          onPress={() => handleMove(index, -1)}
+          disabled={index === 0}
+        >
+          <Icon name="chevron-up" size={22} color={index === 0 ? '#DDD' : '#666'} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.rowButton}
+          onPress={() => handleMove(index, 1)}
+          disabled={index === categories.length - 1}
+        >
+          <Icon name="chevron-down" size={22} color={index === categories.length - 1 ? '#DDD' : '#666'} />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.rowButton} onPress={() => setEditing(item)}>
+          <Icon name="pencil-outline" size={22} color="#666" />
+        </TouchableOpacity>
+        <TouchableOpacity style={styles.rowButton} onPress={() => handleDelete(item)}>
+          <Icon name="trash-can-outline" size={22} color="#FF3B30" />
+        </TouchableOpacity>
+      </View>
+    );
+  };
+
+  const rightComponent = (
+    <TouchableOpacity onPress={() => setEditing(null)} style={styles.addButton}>
+      <Icon name="plus" size={24} color="#fff" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader
+        title="Categories"
+        onBack={() => navigation.goBack()}
+        rightComponent={rightComponent}
+      />
+
+      {isLoading ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      ) : (
+        <FlatList
+          data={categories}
+          renderItem={renderCategory}
+          keyExtractor={item => item.id.toString()}
+          contentContainerStyle={styles.list}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>No categories yet. Tap + to add one.</Text>
+          }
+        />
+      )}
+
+      <CategoryEditorModal
+        visible={editing !== undefined}
+        category={editing}
+        onSave={handleSave}
+        onClose={() => setEditing(undefined)}
+      />
+
+      <Modal
+        visible={!!deleting}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setDeleting(null)}
+      >
+        <Pressable style={styles.overlay} onPress={() => setDeleting(null)}>
+          <View style={styles.sheet}>
+            <Text style={styles.sheetTitle}>Delete "{deleting?.title}"</Text>
+            <Text style={styles.sheetText}>
+              Move its {deleting ? getUsage(deleting) : 0} tasks to:
+            </Text>
+            {categories
+              .filter(category => deleting && String(category.id) !== String(deleting.id))
+              .map(category => {
+                const style = getCategoryStyle(category);
+                return (
+                  <Pressable
+                    key={category.id}
+                    style={({ pressed }) => [styles.moveOption, pressed && styles.moveOptionPressed]}
+                    onPress={() => confirmDelete(deleting, category.id)}
+                  >
+                    <View style={[styles.moveIcon, { backgroundColor: style.color }]}>
+                      <Ionicons name={style.icon} size={14} color="white" />
+                    </View>
+                    <Text style={styles.moveText}>{category.title}</Text>
+                  </Pressable>
+                );
+              })}
+            <TouchableOpacity style={styles.cancelButton} onPress={() => setDeleting(null)}>
+              <Text style={styles.cancelText}>Cancel</Text>
+            </TouchableOpacity>
+          </View>
+        </Pressable>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FD',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  list: {
+    padding: 16,
+    flexGrow: 1,
+  },
+  categoryRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    marginBottom: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  categoryIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  categoryInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  categoryTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  categoryUsage: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  rowButton: {
+    padding: 6,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 32,
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 32,
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 16,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginBottom: 8,
+  },
+  sheetText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 8,
+  },
+  moveOption: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingVertical: 10,
+    paddingHorizontal: 4,
+    borderRadius: 8,
+  },
+  moveOptionPressed: {
+    backgroundColor: '#F5F6F8',
+  },
+  moveIcon: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  moveText: {
+    fontSize: 16,
+    color: '#333',
+  },
+  cancelButton: {
+    alignSelf: 'flex-end',
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    marginTop: 8,
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+});
+
+export default CategoryManagerScreen;
@@ -0,0 +1,326 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import ScreenHeader from '../components/ScreenHeader';
+import CategoryRuleModal from '../components/CategoryRuleModal';
+import {
+  useCategoryRules,
+  useExpenseCategories,
+  useRecategorizeExpenses,
+  useSaveCategoryRules,
+} from '../hooks/useExpenses';
+import categoryRulesService from '../services/categoryRules';
+import { describeRule } from '../utils/categoryRules';
+import { moveItem } from '../utils/lists';
+
+const CategoryRulesScreen = ({ navigation }) => {
+  const { data: settings, isLoading } = useCategoryRules();
+  const { data: categories = [] } = useExpenseCategories();
+  const saveRules = useSaveCategoryRules();
+  const recategorize = useRecategorizeExpenses();
+  // undefined: editor closed, null: new rule, otherwise the rule being edited
+  const [editingRule, setEditingRule] = useState(undefined);
+  const [isChecking, setIsChecking] = useState(false);
+  const rules = settings?.rules || [];
+  const isApplying = isChecking || recategorize.isPending;
+
+  const save = (next) => {
+    saveRules.mutate(next, {
+      onError: (error) => {
+        console.error('Error saving category rules:', error);
+        Alert.alert('Error', 'Failed to save category rules');
+      },
+    });
+  };
+
+  const handleSaveRule = (rule) => {
+    const current = editingRule;
+    setEditingRule(undefined);
+    if (!current) {
+      save({ ...settings, rules: [...rules, rule] });
+    } else if (rule) {
+      save({ ...settings, rules: rules.map(item => (item.id === rule.id ? rule : item)) });
+    } else {
+      save({ ...settings, rules: rules.filter(item => item.id !== current.id) });
+    }
+  };
+
+  const applyChanges = (changes) => {
+    recategorize.mutate(changes, {
+      onSuccess: () => {
+        Alert.alert('Done', `Moved ${changes.length} ${changes.length === 1 ? 'expense' : 'expenses'}.`);
+      },
+      onError: (error) => {
+        console.error('Error recategorizing expenses:', error);
+        Alert.alert('Error', 'Failed to update expenses');
+      },
+    });
+  };
+
+  const handleApply = async () => {
+    setIsChecking(true);
+    let changes;
+    try {
+      changes = await categoryRulesService.findChanges(rules);
+    } catch (error) {
+      console.error('Error loading expenses:', error);
+      Alert.alert('Error', 'Failed to load expenses');
+      return;
+    } finally {
+      setIsChecking(false);
+    }
+
+    if (changes.length === 0) {
+      Alert.alert('Nothing to change', 'Your expenses already match these rules.');
+      return;
+    }
+
+    const counts = {};
+    changes.forEach(({ category }) => {
+      counts[category] = (counts[category] || 0) + 1;
+    });
+    Alert.alert(
+      `Recategorize ${changes.length} ${changes.length === 1 ? 'expense' : 'expenses'}?`,
+      Object.entries(counts).map(([category, count]) => `${count} → ${category}`).join('\n'),
+      [
+        { text: 'Cancel', style: 'cancel' },
+        { text: 'Apply', onPress: () => applyChanges(changes) },
+      ]
+    );
+  };
+
+  const rightComponent = (
+    <TouchableOpacity
+      onPress={() => setEditingRule(null)}
+      style={styles.addButton}
+      disabled={!settings}
+      accessibilityLabel="Add rule"
+    >
+      <Icon name="plus" size={24} color="#fff" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader
+        title="Category Rules"
+        onBack={() => navigation.goBack()}
+        rightComponent={rightComponent}
+      />
+
+      {isLoading || !settings ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      ) : (
+        <ScrollView contentContainerStyle={styles.scrollContent}>
+          <View style={styles.card}>
+            <View style={styles.learnRow}>
+              <View style={styles.learnInfo}>
+                <Text style={styles.learnTitle}>Learn from past expenses</Text>
+                <Text style={styles.learnHint}>
+                  When no rule matches, suggest the category you usually pick for similar titles.
+                </Text>
+              </View>
+              <Switch
+                value={settings.learn}
+                onValueChange={(learn) => save({ ...settings, learn })}
+                trackColor={{ true: '#90CAF9' }}
+                thumbColor={settings.learn ? '#2196F3' : '#f4f3f4'}
+              />
+            </View>
+          </View>
+
+          <Text style={styles.sectionTitle}>Rules</Text>
+          <Text style={styles.sectionHint}>
+            New expenses get the category of the first rule they match. Tap a rule to change it.
+          </Text>
+          {rules.length === 0 ? (
+            <Text style={styles.emptyText}>
+              No rules yet. Tap + to file titles like “uber” under Transport.
+            </Text>
+          ) : (
+            <View style={styles.card}>
+              {rules.map((rule, index) => (
+                <View key={rule.id} style={[styles.ruleRow, index > 0 && styles.rowDivider]}>
+                  <TouchableOpacity style={styles.ruleInfo} onPress={() => setEditingRule(rule)}>
+                    <Text style={styles.ruleText}>{describeRule(rule)}</Text>
+                    <View style={styles.ruleCategory}>
+                      <Icon name="arrow-right" size={16} color="#2196F3" />
+                      <Text style={styles.ruleCategoryText}>{rule.category}</Text>
+                    </View>
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => save({ ...settings, rules: moveItem(rules, index, -1) })}
+                    style={styles.moveButton}
+                    disabled={index === 0}
+                    accessibilityLabel="Move up"
+                  >
+                    <Icon name="chevron-up" size={24} color={index === 0 ? '#E0E0E0' : '#666'} />
+                  </TouchableOpacity>
+                  <TouchableOpacity
+                    onPress={() => save({ ...settings, rules: moveItem(rules, index, 1) })}
+                    style={styles.moveButton}
+                    disabled={index === rules.length - 1}
+                    accessibilityLabel="Move down"
+                  >
+                    <Icon name="chevron-down" size={24} color={index === rules.length - 1 ? '#E0E0E0' : '#666'} />
+                  </TouchableOpacity>
+                </View>
+              ))}
+            </View>
+          )}
+
+          <TouchableOpacity
+            style={[styles.applyButton, (rules.length === 0 || isApplying) && styles.applyButtonDisabled]}
+            onPress={handleApply}
+            disabled={rules.length === 0 || isApplying}
+          >
+            {isApplying ? (
+              <ActivityIndicator color="#fff" />
+            ) : (
+              <>
+                <Icon name="tag-multiple-outline" size={20} color="#fff" />
+                <Text style={styles.applyText}>Apply to existing expenses</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        </ScrollView>
+      )}
+
+      <CategoryRuleModal
+        visible={editingRule !== undefined}
+        rule={editingRule || null}
+        categories={categories}
+        onSave={handleSaveRule}
+        onClose={() => setEditingRule(undefined)}
+      />
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FD',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollContent: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  addButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginBottom: 24,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  learnRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 16,
+  },
+  learnInfo: {
+    flex: 1,
+    marginRight: 12,
+  },
+  learnTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  learnHint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sectionHint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    marginBottom: 24,
+  },
+  ruleRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingLeft: 16,
+    paddingRight: 8,
+    paddingVertical: 12,
+  },
+  ruleInfo: {
+    flex: 1,
+  },
+  ruleText: {
+    fontSize: 15,
+    color: '#333',
+  },
+  ruleCategory: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 4,
+  },
+  ruleCategoryText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2196F3',
+    marginLeft: 4,
+  },
+  moveButton: {
+    padding: 4,
+  },
+  applyButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 12,
+    height: 50,
+  },
+  applyButtonDisabled: {
+    opacity: 0.5,
+  },
+  applyText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+    marginLeft: 8,
+  },
+});
+
+export default CategoryRulesScreen;
@@ -0,0 +1,441 @@
+import React, { useEffect, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Modal,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import ScreenHeader from '../components/ScreenHeader';
+import { useBudgets, useCurrency, useSaveBudgets, useSaveCurrency } from '../hooks/useExpenses';
+import { convertBudgets, hasBudgets } from '../utils/budgets';
+import { CURRENCIES, parseRates, setHomeCurrency } from '../utils/currency';
+
+// Rates are edited as text so half-typed numbers survive re-renders
+const toInputs = (rates) => Object.fromEntries(
+  Object.entries(rates).map(([code, rate]) => [code, String(+rate.toFixed(6))])
+);
+
+const CurrencySettingsScreen = ({ navigation }) => {
+  const { data: settings, isLoading } = useCurrency();
+  const saveCurrency = useSaveCurrency();
+  const { data: budgets } = useBudgets();
+  const saveBudgets = useSaveBudgets();
+  const [home, setHome] = useState(null);
+  const [rateInputs, setRateInputs] = useState({});
+  const [invalidCodes, setInvalidCodes] = useState([]);
+  const [showImport, setShowImport] = useState(false);
+  const [importText, setImportText] = useState('');
+
+  useEffect(() => {
+    if (settings && home === null) {
+      setHome(settings.home);
+      setRateInputs(toInputs(settings.rates));
+    }
+  }, [settings, home]);
+
+  // Codes without a known name (e.g. from an import) are still listed
+  const rateCodes = [
+    ...CURRENCIES.map(currency => currency.code),
+    ...Object.keys(rateInputs).filter(code => !CURRENCIES.some(currency => currency.code === code)),
+  ].filter(code => code !== home);
+
+  const readRates = () => {
+    const rates = {};
+    const invalid = [];
+    Object.entries(rateInputs).forEach(([code, text]) => {
+      if (code === home || !text.trim()) return;
+      const rate = parseFloat(text);
+      if (rate > 0) {
+        rates[code] = rate;
+      } else {
+        invalid.push(code);
+      }
+    });
+    return { rates, invalid };
+  };
+
+  const changeHome = (code) => {
+    const next = setHomeCurrency({ home, rates: readRates().rates }, code);
+    setHome(next.home);
+    setRateInputs(toInputs(next.rates));
+    setInvalidCodes([]);
+  };
+
+  const handleHomePress = (code) => {
+    if (code === home) return;
+    const { rates } = readRates();
+    if (Object.keys(rates).length > 0 && !rates[code]) {
+      Alert.alert(
+        'Exchange rates will be cleared',
+        `There is no ${code} rate to convert your other rates with. Add one first to keep them.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Change anyway', style: 'destructive', onPress: () => changeHome(code) },
+        ]
+      );
+      return;
+    }
+    changeHome(code);
+  };
+
+  const handleRateChange = (code, text) => {
+    setRateInputs(current => ({ ...current, [code]: text }));
+    setInvalidCodes(current => current.filter(item => item !== code));
+  };
+
+  const handleImport = () => {
+    const { rates, invalid } = parseRates(importText);
+    delete rates[home];
+    const imported = Object.keys(rates).length;
+
+    if (imported === 0) {
+      Alert.alert('Nothing to import', 'Paste one rate per line, like "USD 110", or a JSON object.');
+      return;
+    }
+
+    setRateInputs(current => ({ ...current, ...toInputs(rates) }));
+    setShowImport(false);
+    setImportText('');
+    if (invalid.length > 0) {
+      Alert.alert(
+        `Imported ${imported} ${imported === 1 ? 'rate' : 'rates'}`,
+        `Skipped lines that could not be read:\n${invalid.join('\n')}`
+      );
+    }
+  };
+
+  const handleSave = () => {
+    const { rates, invalid } = readRates();
+    if (invalid.length > 0) {
+      setInvalidCodes(invalid);
+      Alert.alert('Error', 'Exchange rates must be positive numbers');
+      return;
+    }
+
+    // Budget limits are amounts in the home currency, so they move with it
+    const previousHome = settings.home;
+    const budgetRate = home !== previousHome && hasBudgets(budgets) ? rates[previousHome] : null;
+
+    const save = () => {
+      saveCurrency.mutate({ ...settings, home, rates }, {
+        onError: (error) => {
+          console.error('Error saving currency settings:', error);
+          Alert.alert('Error', 'Failed to save currency settings');
+        },
+      });
+      if (budgetRate) {
+        saveBudgets.mutate(convertBudgets(budgets, budgetRate), {
+          onError: (error) => console.error('Error converting budgets:', error),
+        });
+      }
+      navigation.goBack();
+    };
+
+    if (home !== previousHome && hasBudgets(budgets) && !budgetRate) {
+      Alert.alert(
+        "Budgets can't be converted",
+        `There is no ${previousHome} rate, so your budget amounts will stay the same numbers in ${home}.`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Save anyway', onPress: save },
+        ]
+      );
+      return;
+    }
+    save();
+  };
+
+  const rightComponent = (
+    <TouchableOpacity onPress={handleSave} style={styles.saveButton} disabled={!home}>
+      <Icon name="check" size={24} color="#fff" />
+    </TouchableOpacity>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader
+        title="Currencies"
+        onBack={() => navigation.goBack()}
+        rightComponent={rightComponent}
+      />
+
+      {isLoading || !home ? (
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      ) : (
+        <KeyboardAvoidingView
+          behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+          style={styles.content}
+        >
+          <ScrollView contentContainerStyle={styles.scrollContent} keyboardShouldPersistTaps="handled">
+            <Text style={styles.sectionTitle}>Home currency</Text>
+            <Text style={styles.sectionHint}>
+              Balances, charts and budgets are shown in this currency.
+            </Text>
+            <View style={styles.card}>
+              {CURRENCIES.map((currency, index) => (
+                <TouchableOpacity
+                  key={currency.code}
+                  style={[styles.currencyRow, index > 0 && styles.rowDivider]}
+                  onPress={() => handleHomePress(currency.code)}
+                  accessibilityRole="radio"
+                  accessibilityState={{ checked: home === currency.code }}
+                >
+                  <Text style={styles.currencyCode}>{currency.code}</Text>
+                  <Text style={styles.currencyName}>{currency.name}</Text>
+                  {home === currency.code && <Icon name="check" size={20} color="#2196F3" />}
+                </TouchableOpacity>
+              ))}
+            </View>
+
+            <View style={styles.sectionHeader}>
+              <Text style={styles.sectionTitle}>Exchange rates</Text>
+              <TouchableOpacity style={styles.importButton} onPress={() => setShowImport(true)}>
+                <Icon name="clipboard-arrow-down-outline" size={18} color="#2196F3" />
+                <Text style={styles.importText}>Import</Text>
+              </TouchableOpacity>
+            </View>
+            <Text style={styles.sectionHint}>
+              Amounts in a currency without a rate are left out of totals.
+            </Text>
+            <View style={styles.card}>
+              {rateCodes.map((code, index) => (
+                <View key={code} style={[styles.rateRow, index > 0 && styles.rowDivider]}>
+                  <Text style={styles.rateLabel}>1 {code} =</Text>
+                  <TextInput
+                    style={[styles.rateInput, invalidCodes.includes(code) && styles.inputError]}
+                    placeholder="—"
+                    placeholderTextColor="#999"
+                    value={rateInputs[code] || ''}
+                    onChangeText={(text) => handleRateChange(code, text)}
+                    keyboardType="decimal-pad"
+                    accessibilityLabel={`${home} per ${code}`}
+                  />
+                  <Text style={styles.rateHome}>{home}</Text>
+                </View>
+              ))}
+            </View>
+          </ScrollView>
+        </KeyboardAvoidingView>
+      )}
+
+      <Modal
+        visible={showImport}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowImport(false)}
+      >
+        <View style={styles.overlay}>
+          <View style={styles.sheet}>
+            <Text style={styles.sheetTitle}>Import rates</Text>
+            <Text style={styles.sheetText}>
+              Paste one rate per line as "USD 110", meaning 1 USD = 110 {home}, or a JSON object.
+            </Text>
+            <TextInput
+              style={styles.importInput}
+              placeholder={'USD 110\nEUR 120.5'}
+              placeholderTextColor="#999"
+              value={importText}
+              onChangeText={setImportText}
+              multiline
+              autoCapitalize="characters"
+              autoCorrect={false}
+              textAlignVertical="top"
+            />
+            <View style={styles.actions}>
+              <TouchableOpacity style={styles.actionButton} onPress={() => setShowImport(false)}>
+                <Text style={styles.cancelText}>Cancel</Text>
+              </TouchableOpacity>
+              <TouchableOpacity
+                style={[styles.actionButton, styles.primaryAction, !importText.trim() && styles.disabledAction]}
+                onPress={handleImport}
+                disabled={!importText.trim()}
+              >
+                <Text style={styles.primaryText}>Import</Text>
+              </TouchableOpacity>
+            </View>
+          </View>
+        </View>
+      </Modal>
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FD',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  content: {
+    flex: 1,
+  },
+  scrollContent: {
+    padding: 16,
+  },
+  saveButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 8,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sectionHint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 8,
+  },
+  importButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 4,
+  },
+  importText: {
+    fontSize: 14,
+    color: '#2196F3',
+    marginLeft: 4,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    marginBottom: 24,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: '#F0F0F0',
+  },
+  currencyRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+  },
+  currencyCode: {
+    width: 48,
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  currencyName: {
+    flex: 1,
+    fontSize: 16,
+    color: '#666',
+  },
+  rateRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 8,
+  },
+  rateLabel: {
+    width: 72,
+    fontSize: 16,
+    color: '#333',
+  },
+  rateInput: {
+    flex: 1,
+    height: 40,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    paddingHorizontal: 12,
+    fontSize: 16,
+    color: '#333',
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  rateHome: {
+    width: 40,
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'right',
+  },
+  overlay: {
+    flex: 1,
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+    justifyContent: 'center',
+    padding: 24,
+  },
+  sheet: {
+    backgroundColor: 'white',
+    borderRadius: 12,
+    padding: 20,
+  },
+  sheetTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+  },
+  sheetText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 4,
+    marginBottom: 16,
+  },
+  importInput: {
+    height: 140,
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    padding: 12,
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 16,
+  },
+  actions: {
+    flexDirection: 'row',
+    justifyContent: 'flex-end',
+  },
+  actionButton: {
+    paddingHorizontal: 16,
+    paddingVertical: 10,
+    borderRadius: 8,
+    marginLeft: 8,
+  },
+  primaryAction: {
+    backgroundColor: '#2196F3',
+  },
+  disabledAction: {
+    opacity: 0.5,
+  },
+  cancelText: {
+    fontSize: 16,
+    color: '#666',
+  },
+  primaryText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: 'white',
+  },
+});
+
+export default CurrencySettingsScreen;
@@ -13,35 +13,45 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import api from '../services/api';
+import { useCategories, useDeleteTask, useTasks, useUpdateTask } from '../hooks/useTasks';
 import ScreenHeader from '../components/ScreenHeader';
+import RepeatRulePicker from '../components/RepeatRulePicker';
+import ReminderPicker from '../components/ReminderPicker';
+import ChecklistEditor from '../components/ChecklistEditor';
+import PriorityPicker from '../components/PriorityPicker';
+import TaskTimer from '../components/TaskTimer';
+import { parseRepeatRule } from '../utils/recurrence';
+import { parseChecklist } from '../utils/checklist';
+import { parseTimeEntries } from '../utils/timeTracking';
 
 const EditTaskScreen = ({ navigation, route }) => {
   const { task } = route.params;
   const [title, setTitle] = useState(task.title);
   const [description, setDescription] = useState(task.description);
   const [categoryId, setCategoryId] = useState(task.category_id?.toString());
-  const [categories, setCategories] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
+  const { data: categories = [], error: categoriesError } = useCategories();
+  const { data: tasks = [] } = useTasks();
+  // Time is logged while the form is open, so read entries from the cache
+  const currentTask = tasks.find(item => String(item.id) === String(task.id)) || task;
+  const updateTask = useUpdateTask();
+  const deleteTask = useDeleteTask();
+  const isLoading = updateTask.isPending;
   const [titleError, setTitleError] = useState(false);
   const [selectedDate, setSelectedDate] = useState(new Date(task.due_date));
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [mode, setMode] = useState('date');
+  const [repeatRule, setRepeatRule] = useState(parseRepeatRule(task.repeat_rule));
+  const [reminderMinutes, setReminderMinutes] = useState(task.reminder_minutes ?? null);
+  const [checklist, setChecklist] = useState(parseChecklist(task.checklist));
+  const [priority, setPriority] = useState(task.priority || 'none');
 
   useEffect(() => {
-    fetchCategories();
-  }, []);
-
-  const fetchCategories = async () => {
-    try {
-      const response = await api.getCategories();
-      setCategories(response);
-    } catch (error) {
-      console.error('Error fetching categories:', error);
+    if (categoriesError) {
+      console.error('Error fetching categories:', categoriesError);
       Alert.alert('Error', 'Failed to load categories');
     }
-  };
+  }, [categoriesError]);
 
   const handleSubmit = async () => {
     if (!title.trim()) {
@@ -49,23 +59,28 @@ const EditTaskScreen = ({ navigation, route }) => {
       return;
     }
     setTitleError(false);
-    setIsLoading(true);
 
     try {
       const formattedDate = selectedDate.toISOString().slice(0, 19).replace('T', ' ');
       
-      await api.updateTask(task.id, {
-        title,
-        description,
-        category_id: categoryId,
-        due_date: formattedDate,
+      await updateTask.mutateAsync({
+        taskId: task.id,
+        taskData: {
+          title,
+          description,
+          category_id: categoryId,
+          due_date: formattedDate,
+          repeat_rule: repeatRule,
+          reminder_minutes: reminderMinutes,
+          checklist,
+          priority,
+          time_entries: parseTimeEntries(currentTask.time_entries),
+        },
       });
       navigation.goBack();
     } catch (error) {
       console.error('Task update error:', error);
       Alert.alert('Error', `Failed to update task: ${error.message || 'Unknown error'}`);
-    } finally {
-      setIsLoading(false);
     }
   };
 
@@ -80,7 +95,7 @@ const EditTaskScreen = ({ navigation, route }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await api.deleteTask(task.id);
+              await deleteTask.mutateAsync(task.id);
               navigation.goBack();
             } catch (error) {
               Alert.alert('Error', 'Failed to delete task');
@@ -176,6 +191,27 @@ const EditTaskScreen = ({ navigation, route }) => {
               </View>
             </View>
 
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Priority</Text>
+              <PriorityPicker
+                value={priority}
+                onChange={setPriority}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Checklist</Text>
+              <ChecklistEditor
+                items={checklist}
+                onChange={setChecklist}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Time Tracking</Text>
+              <TaskTimer task={currentTask} />
+            </View>
+
             <View style={styles.inputContainer}>
               <Text style={styles.label}>Due Date</Text>
               <TouchableOpacity 
@@ -188,6 +224,23 @@ const EditTaskScreen = ({ navigation, route }) => {
               </TouchableOpacity>
             </View>
 
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Repeat</Text>
+              <RepeatRulePicker
+                rule={repeatRule}
+                dueDate={selectedDate}
+                onChange={setRepeatRule}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Reminder</Text>
+              <ReminderPicker
+                value={reminderMinutes}
+                onChange={setReminderMinutes}
+              />
+            </View>
+
             <View style={styles.inputContainer}>
               <Text style={styles.label}>Category</Text>
               <View style={styles.categoryContainer}>
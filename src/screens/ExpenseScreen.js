@@ -1,25 +1,19 @@
-import React, { useState, useEffect } from 'react';
+import React from 'react';
 import { View, StyleSheet, Platform, StatusBar, Text, Pressable, Alert, ActivityIndicator } from 'react-native';
 import { createMaterialTopTabNavigator } from '@react-navigation/material-top-tabs';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
+import { useRecurringCharges } from '../hooks/useExpenses';
 import ExpenseOverview from './tabs/expense/ExpenseOverviewTab';
 import ExpensesList from './tabs/expense/ExpenseListTab';
 import CategoriesTab from './tabs/expense/ExpenseCategoriesTab';
+import SubscriptionsTab from './tabs/expense/SubscriptionsTab';
 
 const Tab = createMaterialTopTabNavigator();
 
 const ExpenseScreen = ({ navigation }) => {
-  const [refresh, setRefresh] = useState(0);
   const { user, logout, loading } = useAuth();
-
-  useEffect(() => {
-    const unsubscribe = navigation.addListener('focus', () => {
-      setRefresh(prev => prev + 1);
-    });
-
-    return unsubscribe;
-  }, [navigation]);
+  useRecurringCharges();
 
   const handleLogout = async () => {
     Alert.alert(
@@ -65,20 +59,51 @@ const ExpenseScreen = ({ navigation }) => {
           <Ionicons name="person-circle-outline" size={24} color="#2196F3" />
           <Text style={styles.username}>{user?.name || 'User'}</Text>
         </View>
-        <Pressable
-          style={({ pressed }) => [
-            styles.logoutButton,
-            pressed && styles.logoutButtonPressed
-          ]}
-          onPress={handleLogout}
-        >
-          <Ionicons name="log-out-outline" size={24} color="#666" />
-        </Pressable>
+        <View style={styles.headerActions}>
+          <Pressable
+            style={({ pressed }) => [
+              styles.logoutButton,
+              pressed && styles.logoutButtonPressed
+            ]}
+            onPress={() => navigation.navigate('ImportExpenses')}
+            accessibilityLabel="Import statement"
+          >
+            <Ionicons name="download-outline" size={24} color="#666" />
+          </Pressable>
+          <Pressable
+            style={({ pressed }) => [
+              styles.logoutButton,
+              pressed && styles.logoutButtonPressed
+            ]}
+            onPress={() => navigation.navigate('Export', { dataset: 'expenses' })}
+            accessibilityLabel="Export"
+          >
+            <Ionicons name="share-outline" size={24} color="#666" />
+          </Pressable>
+          <Pressable
+            style={({ pressed }) => [
+              styles.logoutButton,
+              pressed && styles.logoutButtonPressed
+            ]}
+            onPress={() => navigation.navigate('Currencies')}
+            accessibilityLabel="Currencies"
+          >
+            <Ionicons name="cash-outline" size={24} color="#666" />
+          </Pressable>
+          <Pressable
+            style={({ pressed }) => [
+              styles.logoutButton,
+              pressed && styles.logoutButtonPressed
+            ]}
+            onPress={handleLogout}
+          >
+            <Ionicons name="log-out-outline" size={24} color="#666" />
+          </Pressable>
+        </View>
       </View>
 
       <View style={styles.content}>
         <Tab.Navigator
-          key={refresh}
           screenOptions={{
             tabBarActiveTintColor: '#2196F3',
             tabBarInactiveTintColor: '#666',
@@ -107,6 +132,13 @@ const ExpenseScreen = ({ navigation }) => {
               tabBarLabel: 'Categories',
             }}
           />
+          <Tab.Screen
+            name="Subscriptions"
+            component={SubscriptionsTab}
+            options={{
+              tabBarLabel: 'Subscriptions',
+            }}
+          />
         </Tab.Navigator>
       </View>
     </View>
@@ -145,6 +177,10 @@ const styles = StyleSheet.create({
     color: '#333',
     marginLeft: 8,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   logoutButton: {
     padding: 8,
     borderRadius: 8,
@@ -0,0 +1,357 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import ScreenHeader from '../components/ScreenHeader';
+import { useExpenseCategories } from '../hooks/useExpenses';
+import exportsService from '../services/exports';
+import { toDateKey } from '../utils/calendar';
+import { EXPORT_DATASETS, EXPORT_FORMATS } from '../utils/dataExport';
+import { parseExpenseDate } from '../utils/expenses';
+
+const formatDay = (key) => parseExpenseDate(key).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+});
+
+const startOfMonth = (date) => new Date(date.getFullYear(), date.getMonth(), 1);
+
+const ExportScreen = ({ navigation, route }) => {
+  const { data: fetchedCategories = [] } = useExpenseCategories();
+  const [dataset, setDataset] = useState(route.params?.dataset || 'expenses');
+  const [format, setFormat] = useState('csv');
+  // Expense filters; dates are YYYY-MM-DD keys
+  const [from, setFrom] = useState(null);
+  const [to, setTo] = useState(null);
+  const [category, setCategory] = useState(null);
+  const [reportMonth, setReportMonth] = useState(() => startOfMonth(new Date()));
+  // 'from' or 'to' while a date picker is open
+  const [pickingDate, setPickingDate] = useState(null);
+  const [isExporting, setIsExporting] = useState(false);
+
+  const isExpenses = dataset === 'expenses';
+  const isReport = format === 'pdf';
+  const formats = EXPORT_FORMATS.filter(item => isExpenses || !item.expensesOnly);
+  const isCurrentMonth = reportMonth.getTime() === startOfMonth(new Date()).getTime();
+  const pickerValue = pickingDate === 'from' ? from : to;
+
+  const handleDatasetChange = (value) => {
+    setDataset(value);
+    if (value !== 'expenses' && isReport) setFormat('csv');
+  };
+
+  const handleDateChange = (event, selected) => {
+    const field = pickingDate;
+    setPickingDate(null);
+    if (event.type === 'dismissed' || !selected) return;
+
+    const key = toDateKey(selected);
+    // Keep the range the right way round
+    if ((field === 'from' && to && key > to) || (field === 'to' && from && key < from)) {
+      setFrom(key);
+      setTo(key);
+    } else if (field === 'from') {
+      setFrom(key);
+    } else {
+      setTo(key);
+    }
+  };
+
+  const shiftMonth = (offset) => {
+    setReportMonth(current => new Date(current.getFullYear(), current.getMonth() + offset, 1));
+  };
+
+  const handleExport = async () => {
+    setIsExporting(true);
+    try {
+      const count = await exportsService.exportData({
+        dataset,
+        format,
+        filters: isExpenses ? { from, to, category } : {},
+        month: reportMonth,
+      });
+      if (count === 0 && !isReport) {
+        Alert.alert('Nothing exported', 'There were no records to export.');
+      }
+    } catch (error) {
+      console.error('Error exporting data:', error);
+      Alert.alert('Error', error.message || 'Failed to export');
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
+  const renderChip = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={[styles.chip, selected && styles.chipActive]}
+      onPress={onPress}
+      accessibilityRole="button"
+      accessibilityState={{ selected }}
+    >
+      <Text style={[styles.chipText, selected && styles.chipTextActive]}>{label}</Text>
+    </TouchableOpacity>
+  );
+
+  const renderDateButton = (field, label, value, onClear) => (
+    <View style={styles.dateField}>
+      <Text style={styles.fieldLabel}>{label}</Text>
+      <TouchableOpacity style={styles.dateButton} onPress={() => setPickingDate(field)}>
+        <Icon name="calendar" size={20} color="#666" />
+        <Text style={[styles.dateText, !value && styles.placeholderText]}>
+          {value ? formatDay(value) : 'Any'}
+        </Text>
+        {value ? (
+          <TouchableOpacity onPress={onClear} hitSlop={8}>
+            <Icon name="close-circle" size={18} color="#999" />
+          </TouchableOpacity>
+        ) : null}
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader title="Export" onBack={() => navigation.goBack()} />
+
+      <ScrollView contentContainerStyle={styles.form}>
+        <Text style={styles.label}>Data</Text>
+        <View style={styles.card}>
+          {EXPORT_DATASETS.map((item, index) => (
+            <TouchableOpacity
+              key={item.value}
+              style={[styles.datasetRow, index > 0 && styles.rowDivider]}
+              onPress={() => handleDatasetChange(item.value)}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: dataset === item.value }}
+            >
+              <Icon name={item.icon} size={22} color="#666" />
+              <Text style={styles.datasetLabel}>{item.label}</Text>
+              {dataset === item.value && <Icon name="check" size={20} color="#2196F3" />}
+            </TouchableOpacity>
+          ))}
+        </View>
+
+        <Text style={styles.label}>Format</Text>
+        <View style={styles.chipRow}>
+          {formats.map(item => renderChip(item.value, item.label, format === item.value, () => setFormat(item.value)))}
+        </View>
+
+        {isExpenses && isReport && (
+          <>
+            <Text style={styles.label}>Month</Text>
+            <View style={styles.monthRow}>
+              <TouchableOpacity onPress={() => shiftMonth(-1)} style={styles.monthButton} accessibilityLabel="Previous month">
+                <Icon name="chevron-left" size={24} color="#2196F3" />
+              </TouchableOpacity>
+              <Text style={styles.monthText}>
+                {reportMonth.toLocaleDateString('en-US', { month: 'long', year: 'numeric' })}
+              </Text>
+              <TouchableOpacity
+                onPress={() => shiftMonth(1)}
+                style={styles.monthButton}
+                disabled={isCurrentMonth}
+                accessibilityLabel="Next month"
+              >
+                <Icon name="chevron-right" size={24} color={isCurrentMonth ? '#E0E0E0' : '#2196F3'} />
+              </TouchableOpacity>
+            </View>
+          </>
+        )}
+
+        {isExpenses && !isReport && (
+          <>
+            <Text style={styles.label}>Date range</Text>
+            <View style={styles.dateRow}>
+              {renderDateButton('from', 'From', from, () => setFrom(null))}
+              {renderDateButton('to', 'To', to, () => setTo(null))}
+            </View>
+          </>
+        )}
+
+        {isExpenses && (
+          <>
+            <Text style={styles.label}>Category</Text>
+            <View style={styles.chipRow}>
+              {[null, ...fetchedCategories].map(item => (
+                renderChip(item || 'all', item || 'All', category === item, () => setCategory(item))
+              ))}
+            </View>
+          </>
+        )}
+
+        <Text style={styles.hint}>
+          {isReport
+            ? 'A printable summary of the month with totals in your home currency, spending per category and every entry.'
+            : `Every ${isExpenses ? 'matching expense' : dataset.slice(0, -1)} is written to one file you can save or send from the share sheet.`}
+        </Text>
+
+        <TouchableOpacity style={styles.exportButton} onPress={handleExport} disabled={isExporting}>
+          {isExporting ? (
+            <ActivityIndicator color="#fff" />
+          ) : (
+            <>
+              <Icon name="export-variant" size={20} color="#fff" />
+              <Text style={styles.exportText}>Export</Text>
+            </>
+          )}
+        </TouchableOpacity>
+      </ScrollView>
+
+      {pickingDate && (
+        <DateTimePicker
+          value={pickerValue ? parseExpenseDate(pickerValue) : new Date()}
+          mode="date"
+          display="default"
+          onChange={handleDateChange}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FD',
+  },
+  form: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 20,
+    lineHeight: 18,
+  },
+  card: {
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  datasetRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingVertical: 14,
+  },
+  rowDivider: {
+    borderTopWidth: 1,
+    borderTopColor: '#E0E0E0',
+  },
+  datasetLabel: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 12,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  monthRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    padding: 4,
+  },
+  monthButton: {
+    padding: 8,
+  },
+  monthText: {
+    flex: 1,
+    textAlign: 'center',
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  dateRow: {
+    flexDirection: 'row',
+    gap: 8,
+  },
+  dateField: {
+    flex: 1,
+  },
+  fieldLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginBottom: 4,
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  dateText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#333',
+    marginLeft: 8,
+  },
+  placeholderText: {
+    color: '#999',
+  },
+  exportButton: {
+    flexDirection: 'row',
+    justifyContent: 'center',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 12,
+    height: 50,
+    marginTop: 24,
+  },
+  exportText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+    marginLeft: 8,
+  },
+});
+
+export default ExportScreen;
@@ -56,15 +56,27 @@ const HomeScreen = ({ navigation }) => {
           <Ionicons name="person-circle-outline" size={24} color="#2196F3" />
           <Text style={styles.username}>{user?.name || 'User'}</Text>
         </View>
-        <Pressable
-          style={({ pressed }) => [
-            styles.logoutButton,
-            pressed && styles.logoutButtonPressed
-          ]}
-          onPress={handleLogout}
-        >
-          <Ionicons name="log-out-outline" size={24} color="#666" />
-        </Pressable>
+        <View style={styles.headerActions}>
+          <Pressable
+            style={({ pressed }) => [
+              styles.logoutButton,
+              pressed && styles.logoutButtonPressed
+            ]}
+            onPress={() => navigation.navigate('Export', { dataset: 'tasks' })}
+            accessibilityLabel="Export"
+          >
+            <Ionicons name="share-outline" size={24} color="#666" />
+          </Pressable>
+          <Pressable
+            style={({ pressed }) => [
+              styles.logoutButton,
+              pressed && styles.logoutButtonPressed
+            ]}
+            onPress={handleLogout}
+          >
+            <Ionicons name="log-out-outline" size={24} color="#666" />
+          </Pressable>
+        </View>
       </View>
 
       <View style={styles.content}>
@@ -101,6 +113,8 @@ const HomeScreen = ({ navigation }) => {
             component={CalendarTab}
             options={{
               tabBarLabel: 'Calendar',
+              // Horizontal swipes page the calendar instead of switching tabs
+              swipeEnabled: false,
             }}
           />
           <Tab.Screen
@@ -148,6 +162,10 @@ const styles = StyleSheet.create({
     color: '#333',
     marginLeft: 8,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
   logoutButton: {
     padding: 8,
     borderRadius: 8,
@@ -0,0 +1,484 @@
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet,
+  FlatList,
+  ScrollView,
+  ActivityIndicator,
+  Alert,
+  Switch,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import ScreenHeader from '../components/ScreenHeader';
+import {
+  useCurrency,
+  useExpenseCategories,
+  useExpensesBetween,
+  useImportExpenses,
+} from '../hooks/useExpenses';
+import statements from '../services/statements';
+import { toDateKey } from '../utils/calendar';
+import { CURRENCIES, DEFAULT_CURRENCY } from '../utils/currency';
+import {
+  DATE_FORMATS,
+  IMPORT_FIELDS,
+  buildImportRows,
+  detectDateFormat,
+  guessColumnMapping,
+  hasHeaderRow,
+  parseCsv,
+  parseImportDate,
+  toImportedExpense,
+} from '../utils/expenseImport';
+import { INCOME_COLOR, formatAmount, parseExpenseDate } from '../utils/expenses';
+
+const formatDay = (key) => parseExpenseDate(key).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+  year: 'numeric',
+});
+
+const ImportExpensesScreen = ({ navigation }) => {
+  const { data: fetchedCategories = [] } = useExpenseCategories();
+  const { data: currencySettings } = useCurrency();
+  const importExpenses = useImportExpenses();
+
+  // { name, rows } of the chosen file
+  const [file, setFile] = useState(null);
+  const [isPicking, setIsPicking] = useState(false);
+  const [hasHeader, setHasHeader] = useState(true);
+  const [mapping, setMapping] = useState({});
+  const [dateFormat, setDateFormat] = useState(null);
+  const [selectedCurrency, setSelectedCurrency] = useState(null);
+  const [fallbackCategory, setFallbackCategory] = useState('Other');
+  // Rows switched on or off by hand, by key; the rest follow their defaults
+  const [included, setIncluded] = useState({});
+
+  const currency = selectedCurrency || currencySettings?.home || DEFAULT_CURRENCY;
+  const categories = fetchedCategories.includes('Other') ? fetchedCategories : [...fetchedCategories, 'Other'];
+  const dataRows = useMemo(() => (file ? file.rows.slice(hasHeader ? 1 : 0) : []), [file, hasHeader]);
+  const columns = file
+    ? file.rows[0].map((cell, index) => (hasHeader && cell ? cell : `Column ${index + 1}`))
+    : [];
+
+  // Duplicates are looked for among every expense over the statement's dates
+  const [firstDay, lastDay] = useMemo(() => {
+    if (!dateFormat || mapping.date === null || mapping.date === undefined) return [null, null];
+    const keys = dataRows
+      .map(row => parseImportDate(row[mapping.date] || '', dateFormat))
+      .filter(Boolean)
+      .map(toDateKey)
+      .sort();
+    return [keys[0] || null, keys[keys.length - 1] || null];
+  }, [dataRows, mapping, dateFormat]);
+  const { data: expenses, isLoading: isCheckingDuplicates } = useExpensesBetween(firstDay, lastDay);
+
+  const drafts = useMemo(() => (
+    file && dateFormat
+      ? buildImportRows({
+        rows: dataRows,
+        mapping,
+        dateFormat,
+        currency,
+        fallbackCategory,
+        existing: expenses || [],
+      })
+      : []
+  ), [file, dataRows, mapping, dateFormat, currency, fallbackCategory, expenses]);
+
+  const isIncluded = (draft) => !draft.error && (included[draft.key] ?? draft.include);
+  const selected = drafts.filter(isIncluded);
+  const duplicateCount = drafts.filter(draft => draft.duplicate).length;
+  const errorCount = drafts.filter(draft => draft.error).length;
+
+  // Column changes re-detect the date format and reset the row choices
+  const applyMapping = (rows, nextMapping, nextHasHeader) => {
+    const body = rows.slice(nextHasHeader ? 1 : 0);
+    setMapping(nextMapping);
+    setHasHeader(nextHasHeader);
+    setDateFormat(nextMapping.date === null ? null : detectDateFormat(body.map(row => row[nextMapping.date])));
+    setIncluded({});
+  };
+
+  const handlePickFile = async () => {
+    setIsPicking(true);
+    try {
+      const picked = await statements.pickCsv();
+      if (!picked) return;
+
+      const rows = parseCsv(picked.text);
+      if (rows.length === 0) {
+        Alert.alert('Nothing to import', `${picked.name} has no rows.`);
+        return;
+      }
+
+      const header = hasHeaderRow(rows);
+      setFile({ name: picked.name, rows });
+      applyMapping(rows, guessColumnMapping(header ? rows[0] : [], rows[header ? 1 : 0]), header);
+    } catch (error) {
+      console.error('Error reading statement:', error);
+      Alert.alert('Error', 'Failed to read the file. Make sure it is a CSV export.');
+    } finally {
+      setIsPicking(false);
+    }
+  };
+
+  const handleColumnChange = (field, column) => {
+    // A column feeds one field at a time
+    const next = Object.fromEntries(Object.entries(mapping).map(([key, value]) => (
+      [key, value === column ? null : value]
+    )));
+    applyMapping(file.rows, { ...next, [field]: column }, hasHeader);
+  };
+
+  const handleImport = async () => {
+    const missing = IMPORT_FIELDS.filter(field => field.required && mapping[field.value] === null);
+    if (missing.length > 0) {
+      Alert.alert('Choose columns', `Pick the ${missing.map(field => field.label.toLowerCase()).join(' and ')} column.`);
+      return;
+    }
+    if (selected.length === 0) {
+      Alert.alert('Nothing to import', 'Select at least one row.');
+      return;
+    }
+
+    try {
+      await importExpenses.mutateAsync(selected.map(draft => toImportedExpense(draft, currency)));
+      Alert.alert('Import complete', `Added ${selected.length} ${selected.length === 1 ? 'entry' : 'entries'}.`);
+      navigation.goBack();
+    } catch (error) {
+      console.error('Error importing expenses:', error);
+      Alert.alert('Error', 'Failed to import expenses');
+    }
+  };
+
+  const renderChips = (options, value, onSelect) => (
+    <ScrollView horizontal showsHorizontalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+      {options.map(option => (
+        <TouchableOpacity
+          key={String(option.value)}
+          style={[styles.chip, value === option.value && styles.chipActive]}
+          onPress={() => onSelect(option.value)}
+          accessibilityRole="button"
+          accessibilityState={{ selected: value === option.value }}
+        >
+          <Text
+            style={[styles.chipText, value === option.value && styles.chipTextActive]}
+            numberOfLines={1}
+          >
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </ScrollView>
+  );
+
+  const columnOptions = (optional) => [
+    ...(optional ? [{ value: null, label: 'None' }] : []),
+    ...columns.map((label, index) => ({ value: index, label })),
+  ];
+
+  const renderDraft = ({ item: draft }) => {
+    const checked = isIncluded(draft);
+    return (
+      <TouchableOpacity
+        style={[styles.row, draft.error && styles.rowDisabled]}
+        onPress={() => setIncluded(current => ({ ...current, [draft.key]: !checked }))}
+        disabled={!!draft.error}
+        accessibilityRole="checkbox"
+        accessibilityState={{ checked, disabled: !!draft.error }}
+      >
+        <Icon
+          name={draft.error ? 'alert-circle-outline' : checked ? 'checkbox-marked' : 'checkbox-blank-outline'}
+          size={22}
+          color={draft.error ? '#D32F2F' : checked ? '#2196F3' : '#999'}
+        />
+        <View style={styles.rowDetails}>
+          <Text style={styles.rowTitle} numberOfLines={1}>{draft.title || '—'}</Text>
+          {draft.error ? (
+            <Text style={styles.rowError}>{draft.error}</Text>
+          ) : (
+            <Text style={styles.rowMeta} numberOfLines={1}>
+              {formatDay(draft.date)} · {draft.category}
+            </Text>
+          )}
+          {draft.duplicate && <Text style={styles.duplicateText}>Possible duplicate</Text>}
+        </View>
+        {!draft.error && (
+          <Text style={[styles.rowAmount, draft.type === 'income' && { color: INCOME_COLOR }]}>
+            {draft.type === 'income' ? '+' : ''}{formatAmount(draft.amount, currency)}
+          </Text>
+        )}
+      </TouchableOpacity>
+    );
+  };
+
+  const rightComponent = file ? (
+    <TouchableOpacity
+      onPress={handleImport}
+      style={styles.saveButton}
+      disabled={importExpenses.isPending || isCheckingDuplicates}
+    >
+      {importExpenses.isPending
+        ? <ActivityIndicator color="#fff" />
+        : <Icon name="check" size={24} color="#fff" />}
+    </TouchableOpacity>
+  ) : null;
+
+  const settings = file && (
+    <View style={styles.settings}>
+      <View style={styles.fileRow}>
+        <Icon name="file-delimited-outline" size={24} color="#2196F3" />
+        <Text style={styles.fileName} numberOfLines={1}>{file.name}</Text>
+        <TouchableOpacity onPress={handlePickFile} disabled={isPicking}>
+          <Text style={styles.linkText}>Change</Text>
+        </TouchableOpacity>
+      </View>
+
+      <View style={styles.switchRow}>
+        <Text style={styles.switchLabel}>First row has column names</Text>
+        <Switch
+          value={hasHeader}
+          onValueChange={(value) => applyMapping(file.rows, mapping, value)}
+        />
+      </View>
+
+      {IMPORT_FIELDS.map(field => (
+        <View key={field.value}>
+          <Text style={styles.label}>{field.label}{field.required ? '' : ' (optional)'}</Text>
+          {renderChips(columnOptions(!field.required), mapping[field.value], (column) => handleColumnChange(field.value, column))}
+        </View>
+      ))}
+
+      {mapping.category === null && (
+        <>
+          <Text style={styles.label}>Category for all rows</Text>
+          {renderChips(categories.map(name => ({ value: name, label: name })), fallbackCategory, setFallbackCategory)}
+        </>
+      )}
+
+      <Text style={styles.label}>Date format</Text>
+      {renderChips(DATE_FORMATS, dateFormat, (format) => {
+        setDateFormat(format);
+        setIncluded({});
+      })}
+
+      <Text style={styles.label}>Currency</Text>
+      {renderChips(CURRENCIES.map(option => ({ value: option.code, label: option.code })), currency, setSelectedCurrency)}
+
+      <Text style={styles.summary}>
+        {selected.length} of {dataRows.length} rows selected
+        {duplicateCount > 0 ? ` · ${duplicateCount} possible ${duplicateCount === 1 ? 'duplicate' : 'duplicates'}` : ''}
+        {errorCount > 0 ? ` · ${errorCount} unreadable` : ''}
+        {isCheckingDuplicates ? ' · checking for duplicates…' : ''}
+      </Text>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader
+        title="Import Statement"
+        onBack={() => navigation.goBack()}
+        rightComponent={rightComponent}
+      />
+
+      {file ? (
+        <FlatList
+          data={drafts}
+          keyExtractor={draft => draft.key}
+          renderItem={renderDraft}
+          ListHeaderComponent={settings}
+          ListEmptyComponent={
+            <Text style={styles.emptyText}>
+              {dateFormat ? 'No rows to import' : 'Pick the date column to preview the rows'}
+            </Text>
+          }
+          contentContainerStyle={styles.listContent}
+        />
+      ) : (
+        <View style={styles.emptyState}>
+          <Icon name="file-upload-outline" size={56} color="#2196F3" />
+          <Text style={styles.emptyTitle}>Import a bank statement</Text>
+          <Text style={styles.emptyHint}>
+            Choose a CSV export from your bank. You can match its columns and pick the rows to add before anything is saved.
+          </Text>
+          <TouchableOpacity style={styles.pickButton} onPress={handlePickFile} disabled={isPicking}>
+            {isPicking
+              ? <ActivityIndicator color="#fff" />
+              : <Text style={styles.pickButtonText}>Choose CSV file</Text>}
+          </TouchableOpacity>
+        </View>
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FD',
+  },
+  listContent: {
+    paddingBottom: 32,
+  },
+  settings: {
+    padding: 16,
+  },
+  fileRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  fileName: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginHorizontal: 12,
+  },
+  linkText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#2196F3',
+  },
+  switchRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginTop: 12,
+  },
+  switchLabel: {
+    fontSize: 14,
+    color: '#333',
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  chip: {
+    maxWidth: 160,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#fff',
+    marginRight: 8,
+  },
+  chipActive: {
+    borderColor: '#2196F3',
+    backgroundColor: '#E3F2FD',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#2196F3',
+    fontWeight: '600',
+  },
+  summary: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 20,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    paddingHorizontal: 16,
+    paddingVertical: 12,
+    borderBottomWidth: 1,
+    borderBottomColor: '#E0E0E0',
+  },
+  rowDisabled: {
+    opacity: 0.6,
+  },
+  rowDetails: {
+    flex: 1,
+    marginHorizontal: 12,
+  },
+  rowTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  rowMeta: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 2,
+  },
+  rowError: {
+    fontSize: 13,
+    color: '#D32F2F',
+    marginTop: 2,
+  },
+  duplicateText: {
+    fontSize: 12,
+    fontWeight: '600',
+    color: '#FFA000',
+    marginTop: 2,
+  },
+  rowAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 16,
+  },
+  emptyState: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    padding: 32,
+  },
+  emptyTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+  },
+  emptyHint: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 8,
+    lineHeight: 20,
+  },
+  pickButton: {
+    backgroundColor: '#2196F3',
+    borderRadius: 12,
+    paddingHorizontal: 24,
+    paddingVertical: 14,
+    marginTop: 24,
+    minWidth: 180,
+    alignItems: 'center',
+  },
+  pickButtonText: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#fff',
+  },
+  saveButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+});
+
+export default ImportExpensesScreen;
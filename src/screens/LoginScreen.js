@@ -15,11 +15,11 @@ import {
   StatusBar,
 } from 'react-native';
 import AsyncStorage from '@react-native-async-storage/async-storage';
-import * as LocalAuthentication from 'expo-local-authentication';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import { Ionicons } from '@expo/vector-icons';
 import { useAuth } from '../context/AuthContext';
 import api from '../services/api';
+import biometricAuth from '../services/biometricAuth';
 
 const { width } = Dimensions.get('window');
 
@@ -30,14 +30,13 @@ const LoginScreen = ({ navigation }) => {
   const [isLoading, setIsLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [isBiometricSupported, setIsBiometricSupported] = useState(false);
-  const [savedCredentials, setSavedCredentials] = useState(null);
+  const [isBiometricEnabled, setIsBiometricEnabled] = useState(false);
   const [lastLoggedInUser, setLastLoggedInUser] = useState(null);
   const [emailError, setEmailError] = useState(false);
   const [passwordError, setPasswordError] = useState(false);
 
   useEffect(() => {
     checkBiometricSupport();
-    loadSavedCredentials();
     loadLastLoggedInUser();
     StatusBar.setBarStyle('dark-content');
     if (Platform.OS === 'android') {
@@ -46,8 +45,8 @@ const LoginScreen = ({ navigation }) => {
   }, []);
 
   const checkBiometricSupport = async () => {
-    const compatible = await LocalAuthentication.hasHardwareAsync();
-    setIsBiometricSupported(compatible);
+    setIsBiometricSupported(await biometricAuth.isSupported());
+    setIsBiometricEnabled(await biometricAuth.isEnabled());
   };
 
   const loadLastLoggedInUser = async () => {
@@ -63,59 +62,45 @@ const LoginScreen = ({ navigation }) => {
     }
   };
 
-  const loadSavedCredentials = async () => {
-    try {
-      const credentials = await AsyncStorage.getItem('savedCredentials');
-      if (credentials) {
-        setSavedCredentials(JSON.parse(credentials));
-      }
-    } catch (error) {
-      console.error('Error loading saved credentials:', error);
-    }
-  };
-
   const validateEmail = (email) => {
     return /\S+@\S+\.\S+/.test(email);
   };
 
   const handleBiometricAuth = async () => {
-    if (!lastLoggedInUser || !savedCredentials) {
+    if (!lastLoggedInUser || !isBiometricEnabled) {
       Alert.alert('Error', 'Please login with email and password first');
       return;
     }
 
+    let refreshToken;
     try {
-      const result = await LocalAuthentication.authenticateAsync({
-        promptMessage: `Login as ${lastLoggedInUser.name}`,
-        disableDeviceFallback: true,
-      });
-
-      if (result.success) {
-        setIsLoading(true);
-        try {
-          const response = await api.login(
-            savedCredentials.email,
-            savedCredentials.password
-          );
-          await AsyncStorage.setItem('token', response.token);
-          await authLogin({ name: response.name });
-          
-          // Update last logged in user
-          const userData = { name: response.name, email: savedCredentials.email };
-          await AsyncStorage.setItem('lastLoggedInUser', JSON.stringify(userData));
-          
-          navigation.reset({
-            index: 0,
-            routes: [{ name: 'MainApp' }],
-          });
-        } catch (error) {
-          Alert.alert('Error', error.message || 'Login failed');
-        } finally {
-          setIsLoading(false);
-        }
-      }
+      refreshToken = await biometricAuth.unlock(`Login as ${lastLoggedInUser.name}`);
     } catch (error) {
       Alert.alert('Error', 'Biometric authentication failed');
+      return;
+    }
+    if (!refreshToken) {
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await api.loginWithRefreshToken(refreshToken);
+      await AsyncStorage.setItem('token', response.token);
+      await authLogin({ name: response.name || lastLoggedInUser.name });
+
+      navigation.reset({
+        index: 0,
+        routes: [{ name: 'MainApp' }],
+      });
+    } catch (error) {
+      if (error.status === 401) {
+        await biometricAuth.disable();
+        setIsBiometricEnabled(false);
+      }
+      Alert.alert('Error', error.message || 'Login failed');
+    } finally {
+      setIsLoading(false);
     }
   };
 
@@ -143,9 +128,10 @@ const LoginScreen = ({ navigation }) => {
       await AsyncStorage.setItem('token', response.token);
       await authLogin({ name: response.name });
       
-      // Save credentials for biometric login
-      const credentials = { email, password };
-      await AsyncStorage.setItem('savedCredentials', JSON.stringify(credentials));
+      // Keep a device-bound token for biometric login; the password is never stored
+      if (response.refresh_token) {
+        await biometricAuth.enable(response.refresh_token);
+      }
       
       // Save last logged in user
       const userData = { name: response.name, email };
@@ -163,7 +149,7 @@ const LoginScreen = ({ navigation }) => {
   };
 
   const renderBiometricButton = () => {
-    if (!isBiometricSupported || !lastLoggedInUser) return null;
+    if (!isBiometricSupported || !isBiometricEnabled || !lastLoggedInUser) return null;
 
     return (
       <View style={styles.biometricContainer}>
@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useEffect, useMemo, useRef } from 'react';
 import {
   View,
   Text,
@@ -11,15 +11,58 @@ import {
   KeyboardAvoidingView,
   Platform,
   Modal,
+  Image,
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import api from '../services/api';
+import {
+  useAllExpenses,
+  useBudgets,
+  useCategoryRules,
+  useCreateExpense,
+  useCurrency,
+  useDeleteExpense,
+  useExpenseCategories,
+  useMonthSpending,
+  useSaveRecurringExpense,
+  useUpdateExpense,
+} from '../hooks/useExpenses';
 import ScreenHeader from '../components/ScreenHeader';
+import ReceiptViewer from '../components/ReceiptViewer';
+import budgetService from '../services/budgets';
+import receiptService from '../services/receipts';
+import { getBudgetImpact, getMonthKey } from '../utils/budgets';
+import { toDateKey } from '../utils/calendar';
+import { learnCategories, suggestCategory } from '../utils/categoryRules';
+import { CURRENCIES, DEFAULT_CURRENCY, convertAmount, getCurrencySymbol } from '../utils/currency';
+import {
+  INCOME_CATEGORIES,
+  INCOME_COLOR,
+  formatAmount,
+  getExpenseCurrency,
+  getHomeAmount,
+  isIncome,
+  parseExpenseDate,
+} from '../utils/expenses';
+import {
+  RECURRING_FREQUENCIES,
+  createRecurringTemplate,
+  getFollowingCharge,
+} from '../utils/recurringExpenses';
+
+const TRANSACTION_TYPES = [
+  { value: 'expense', label: 'Expense', icon: 'arrow-up-circle-outline', color: '#2196F3' },
+  { value: 'income', label: 'Income', icon: 'arrow-down-circle-outline', color: INCOME_COLOR },
+];
 
 const NewExpenseScreen = ({ navigation, route }) => {
   const editingExpense = route.params?.expense;
   const isEditing = !!editingExpense;
+  const [type, setType] = useState(
+    editingExpense ? (isIncome(editingExpense) ? 'income' : 'expense') : route.params?.type || 'expense'
+  );
+  const isIncomeType = type === 'income';
+  const noun = isIncomeType ? 'Income' : 'Expense';
 
   const [title, setTitle] = useState(editingExpense?.title || '');
   const [amount, setAmount] = useState(
@@ -28,9 +71,26 @@ const NewExpenseScreen = ({ navigation, route }) => {
       : ''
   );
   const [category, setCategory] = useState(editingExpense?.category || '');
-  const [categories, setCategories] = useState([]);
+  const {
+    data: fetchedCategories = [],
+    isLoading: isCategoryLoading,
+    error: categoriesError,
+  } = useExpenseCategories();
+  const [addedCategories, setAddedCategories] = useState([]);
+  const baseCategories = isIncomeType ? INCOME_CATEGORIES : fetchedCategories;
+  const categories = [
+    ...baseCategories,
+    ...addedCategories.filter(cat => !baseCategories.includes(cat)),
+  ];
   const [showCategoryPicker, setShowCategoryPicker] = useState(false);
   const [customCategory, setCustomCategory] = useState('');
+  // New expenses get their category from the rules or past entries until one
+  // is picked by hand. `suggestedBy` is 'rule' or 'history' while one applies.
+  const { data: ruleSettings } = useCategoryRules();
+  const { data: pastExpenses } = useAllExpenses();
+  const learnedCategories = useMemo(() => learnCategories(pastExpenses || []), [pastExpenses]);
+  const [categoryPicked, setCategoryPicked] = useState(false);
+  const [suggestedBy, setSuggestedBy] = useState(null);
   const [selectedDate, setSelectedDate] = useState(() => {
     if (editingExpense?.expense_date) {
       const [month, day, year] = editingExpense.expense_date.replace(',', '').split(' ');
@@ -41,34 +101,99 @@ const NewExpenseScreen = ({ navigation, route }) => {
     return new Date();
   });
   const [showDatePicker, setShowDatePicker] = useState(false);
-  const [isLoading, setIsLoading] = useState(false);
-  const [isCategoryLoading, setIsCategoryLoading] = useState(true);
+  const [receipts, setReceipts] = useState(editingExpense?.receipts || []);
+  // Index of the receipt open full screen
+  const [viewingReceipt, setViewingReceipt] = useState(null);
+  // Photos taken here are only kept if the expense is saved. Earlier ones may
+  // still be queued for upload, so their files are left alone.
+  const [savedReceiptIds] = useState(() => new Set(receipts.map(receipt => receipt.id)));
+  const isNewReceipt = (receipt) => !savedReceiptIds.has(receipt.id);
+  const receiptsRef = useRef(receipts);
+  const savedRef = useRef(false);
+  const createExpense = useCreateExpense();
+  const updateExpense = useUpdateExpense();
+  const deleteExpense = useDeleteExpense();
+  const saveRecurring = useSaveRecurringExpense();
+  // Frequency to repeat a new entry at, or null for a one-off
+  const [repeat, setRepeat] = useState(null);
+  const isLoading = createExpense.isPending || updateExpense.isPending;
   const [titleError, setTitleError] = useState(false);
   const [amountError, setAmountError] = useState(false);
+  const { data: spending } = useMonthSpending();
+  const { data: budgets } = useBudgets();
+  const { data: currencySettings } = useCurrency();
+  const homeCurrency = currencySettings?.home || DEFAULT_CURRENCY;
+  // New entries start in the home currency once the settings have loaded
+  const [selectedCurrency, setSelectedCurrency] = useState(
+    editingExpense ? getExpenseCurrency(editingExpense) : null
+  );
+  const currency = selectedCurrency || homeCurrency;
+  const homeAmount = convertAmount(parseFloat(amount) || 0, currency, currencySettings);
+
+  // Budgets only cover this month's spending, so income and other dates leave
+  // them alone
+  const thisMonth = getMonthKey(new Date());
+  const previousDate = isEditing && !isIncome(editingExpense)
+    ? parseExpenseDate(editingExpense.expense_date)
+    : null;
+  const budgetImpact = budgets && category && !isIncomeType && getMonthKey(selectedDate) === thisMonth
+    ? getBudgetImpact({
+      budgets,
+      spending,
+      category,
+      amount: homeAmount || 0,
+      previous: previousDate && getMonthKey(previousDate) === thisMonth
+        ? { category: editingExpense.category, amount: getHomeAmount(editingExpense, currencySettings) || 0 }
+        : null,
+    })
+    : [];
+  const overBudget = budgetImpact.filter(item => item.after > item.limit && item.after > item.before);
 
   useEffect(() => {
-    fetchCategories();
+    receiptsRef.current = receipts;
+  }, [receipts]);
+
+  useEffect(() => () => {
+    if (!savedRef.current) {
+      receiptsRef.current.filter(isNewReceipt).forEach(receiptService.discard);
+    }
   }, []);
 
-  const fetchCategories = async () => {
-    try {
-      const data = await api.getExpenseCategories();
-      const validCategories = data.filter(cat => typeof cat === 'string' && cat.trim());
-      setCategories(validCategories);
-    } catch (error) {
-      console.error('Error fetching categories:', error);
+  useEffect(() => {
+    if (categoriesError) {
+      console.error('Error fetching categories:', categoriesError);
       Alert.alert('Error', 'Failed to load categories');
-    } finally {
-      setIsCategoryLoading(false);
     }
+  }, [categoriesError]);
+
+  useEffect(() => {
+    if (isEditing || isIncomeType || categoryPicked || !ruleSettings) return;
+    const suggestion = suggestCategory(ruleSettings, learnedCategories, { title, amount: parseFloat(amount) });
+    setCategory(suggestion?.category || '');
+    setSuggestedBy(suggestion?.source || null);
+  }, [isEditing, isIncomeType, categoryPicked, ruleSettings, learnedCategories, title, amount]);
+
+  const pickCategory = (value) => {
+    setCategory(value);
+    setCategoryPicked(true);
+    setSuggestedBy(null);
+  };
+
+  const handleTypeChange = (nextType) => {
+    if (nextType === type) return;
+    setType(nextType);
+    setCategory('');
+    setCategoryPicked(false);
+    setSuggestedBy(null);
+    setAddedCategories([]);
   };
 
   const handleAddCustomCategory = () => {
     if (!customCategory.trim()) return;
     
     const newCategory = customCategory.trim();
-    setCategories(prevCategories => [...prevCategories, newCategory]);
-    setCategory(newCategory);
+    setAddedCategories(prevCategories => [...prevCategories, newCategory]);
+    pickCategory(newCategory);
     setCustomCategory('');
     setShowCategoryPicker(false);
   };
@@ -89,33 +214,110 @@ const NewExpenseScreen = ({ navigation, route }) => {
 
     setTitleError(false);
     setAmountError(false);
-    setIsLoading(true);
 
+    if (overBudget.length > 0) {
+      Alert.alert(
+        'Over budget',
+        `This expense will put you over budget:\n${overBudget.map(describeOverspend).join('\n')}`,
+        [
+          { text: 'Cancel', style: 'cancel' },
+          { text: 'Save anyway', onPress: saveExpense },
+        ]
+      );
+      return;
+    }
+
+    saveExpense();
+  };
+
+  const describeOverspend = (item) => (
+    `${item.name || 'Monthly budget'}: ${formatAmount(item.after, homeCurrency)} of ${formatAmount(item.limit, homeCurrency)}`
+  );
+
+  const saveExpense = async () => {
     try {
       const expenseData = {
         title,
         amount: parseFloat(amount),
         category,
+        type,
+        currency,
         expense_date: selectedDate.toISOString(),
+        receipts,
       };
 
+      savedRef.current = true;
       if (isEditing) {
-        await api.updateExpense(editingExpense.id, expenseData);
+        await updateExpense.mutateAsync({ expenseId: editingExpense.id, expenseData });
       } else {
-        await api.createExpense(expenseData);
+        await createExpense.mutateAsync(expenseData);
+        if (repeat) saveRepeat();
+      }
+
+      if (budgets?.alerts) {
+        budgetImpact.forEach(item => budgetService.notifyThresholds({ ...item, currency: homeCurrency }));
       }
       navigation.goBack();
     } catch (error) {
-      Alert.alert('Error', error.message || 'Failed to save expense');
-    } finally {
-      setIsLoading(false);
+      savedRef.current = false;
+      Alert.alert('Error', error.message || `Failed to save ${noun.toLowerCase()}`);
     }
   };
 
+  // This entry is the first charge, so the template starts from the one after it
+  const saveRepeat = () => {
+    const startDate = toDateKey(selectedDate);
+    saveRecurring.mutate(createRecurringTemplate({
+      title: title.trim(),
+      amount: parseFloat(amount),
+      currency,
+      category,
+      type,
+      frequency: repeat,
+      start_date: startDate,
+      next_date: getFollowingCharge({ frequency: repeat, start_date: startDate }, startDate),
+      reminder_days: isIncomeType ? null : 1,
+    }), {
+      onError: (error) => console.error('Error saving recurring expense:', error),
+    });
+  };
+
+  const addReceipts = async (source) => {
+    try {
+      const picked = await receiptService.pick(source);
+      if (picked === null) {
+        Alert.alert(
+          'Permission needed',
+          source === 'camera'
+            ? 'Allow camera access in Settings to photograph receipts.'
+            : 'Allow photo access in Settings to attach receipts.'
+        );
+        return;
+      }
+      setReceipts(current => [...current, ...picked]);
+    } catch (error) {
+      console.error('Error adding receipt:', error);
+      Alert.alert('Error', 'Failed to add the receipt photo');
+    }
+  };
+
+  const handleAddReceipt = () => {
+    Alert.alert('Add receipt', undefined, [
+      { text: 'Take photo', onPress: () => addReceipts('camera') },
+      { text: 'Choose from library', onPress: () => addReceipts('library') },
+      { text: 'Cancel', style: 'cancel' },
+    ]);
+  };
+
+  const handleRemoveReceipt = (receipt) => {
+    setReceipts(current => current.filter(item => item.id !== receipt.id));
+    receiptService.discard(receipt);
+  };
+
   const handleDelete = async () => {
     Alert.alert(
-      'Delete Expense',
-      'Are you sure you want to delete this expense?',
+      `Delete ${noun}`,
+      `Are you sure you want to delete this ${noun.toLowerCase()}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -123,10 +325,10 @@ const NewExpenseScreen = ({ navigation, route }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await api.deleteExpense(editingExpense.id);
+              await deleteExpense.mutateAsync(editingExpense.id);
               navigation.goBack();
             } catch (error) {
-              Alert.alert('Error', 'Failed to delete expense');
+              Alert.alert('Error', `Failed to delete ${noun.toLowerCase()}`);
             }
           },
         },
@@ -172,7 +374,7 @@ const NewExpenseScreen = ({ navigation, route }) => {
   return (
     <View style={styles.container}>
       <ScreenHeader 
-        title={isEditing ? 'Edit Expense' : 'Add Expense'} 
+        title={isEditing ? `Edit ${noun}` : `Add ${noun}`} 
         onBack={() => navigation.goBack()} 
         rightComponent={rightComponent}
       />
@@ -183,13 +385,39 @@ const NewExpenseScreen = ({ navigation, route }) => {
       >
         <ScrollView style={styles.scrollView}>
           <View style={styles.form}>
+            <View style={styles.typeToggle}>
+              {TRANSACTION_TYPES.map(option => (
+                <TouchableOpacity
+                  key={option.value}
+                  style={[styles.typeOption, type === option.value && styles.typeOptionActive]}
+                  onPress={() => handleTypeChange(option.value)}
+                  accessibilityRole="button"
+                  accessibilityState={{ selected: type === option.value }}
+                >
+                  <Icon
+                    name={option.icon}
+                    size={20}
+                    color={type === option.value ? option.color : '#666'}
+                  />
+                  <Text
+                    style={[
+                      styles.typeOptionText,
+                      type === option.value && { color: option.color, fontWeight: '600' },
+                    ]}
+                  >
+                    {option.label}
+                  </Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+
             <View style={styles.inputContainer}>
               <Text style={styles.label}>Title</Text>
               <View style={[styles.inputWrapper, titleError && styles.inputError]}>
                 <Icon name="format-title" size={24} color="#666" />
                 <TextInput
                   style={styles.input}
-                  placeholder="Enter expense title"
+                  placeholder={isIncomeType ? 'Where did it come from?' : 'Enter expense title'}
                   value={title}
                   onChangeText={(text) => {
                     setTitle(text);
@@ -200,9 +428,9 @@ const NewExpenseScreen = ({ navigation, route }) => {
             </View>
 
             <View style={styles.inputContainer}>
-              <Text style={styles.label}>Amount (৳)</Text>
+              <Text style={styles.label}>Amount ({getCurrencySymbol(currency).trim()})</Text>
               <View style={[styles.inputWrapper, amountError && styles.inputError]}>
-                <Icon name="currency-bdt" size={24} color="#666" />
+                <Icon name="cash" size={24} color="#666" />
                 <TextInput
                   style={styles.input}
                   placeholder="Enter amount"
@@ -214,6 +442,33 @@ const NewExpenseScreen = ({ navigation, route }) => {
                   keyboardType="decimal-pad"
                 />
               </View>
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                style={styles.currencyList}
+                keyboardShouldPersistTaps="handled"
+              >
+                {CURRENCIES.map(option => (
+                  <TouchableOpacity
+                    key={option.code}
+                    style={[styles.chip, currency === option.code && styles.chipActive]}
+                    onPress={() => setSelectedCurrency(option.code)}
+                    accessibilityRole="button"
+                    accessibilityState={{ selected: currency === option.code }}
+                  >
+                    <Text style={[styles.chipText, currency === option.code && styles.chipTextActive]}>
+                      {option.code}
+                    </Text>
+                  </TouchableOpacity>
+                ))}
+              </ScrollView>
+              {currency !== homeCurrency && (
+                <Text style={[styles.conversionText, homeAmount === null && styles.conversionMissing]}>
+                  {homeAmount === null
+                    ? `No ${currency} rate yet, so totals will leave this out. Add one under Currencies.`
+                    : `≈ ${formatAmount(homeAmount, homeCurrency)}`}
+                </Text>
+              )}
             </View>
 
             <View style={styles.inputContainer}>
@@ -228,6 +483,22 @@ const NewExpenseScreen = ({ navigation, route }) => {
                 </Text>
                 <Icon name="chevron-down" size={24} color="#666" />
               </TouchableOpacity>
+              {suggestedBy && category ? (
+                <View style={styles.suggestionHint}>
+                  <Icon name="auto-fix" size={16} color="#2196F3" />
+                  <Text style={styles.suggestionHintText}>
+                    {suggestedBy === 'rule' ? 'Suggested by your category rules' : 'Suggested from past expenses'}
+                  </Text>
+                </View>
+              ) : null}
+              {overBudget.map(item => (
+                <View key={item.name || 'overall'} style={styles.budgetWarning}>
+                  <Icon name="alert-circle-outline" size={16} color="#D32F2F" />
+                  <Text style={styles.budgetWarningText}>
+                    {item.name ? `${item.name} budget` : 'Monthly budget'} will be {formatAmount(item.after - item.limit, homeCurrency)} over
+                  </Text>
+                </View>
+              ))}
             </View>
 
             <View style={styles.inputContainer}>
@@ -241,6 +512,67 @@ const NewExpenseScreen = ({ navigation, route }) => {
                 <Icon name="chevron-right" size={24} color="#666" />
               </TouchableOpacity>
             </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Receipts</Text>
+              <ScrollView
+                horizontal
+                showsHorizontalScrollIndicator={false}
+                contentContainerStyle={styles.receiptList}
+              >
+                {receipts.map((receipt, index) => (
+                  <TouchableOpacity
+                    key={receipt.id}
+                    style={styles.receiptThumb}
+                    onPress={() => setViewingReceipt(index)}
+                    accessibilityLabel={`Receipt ${index + 1}`}
+                  >
+                    <Image source={{ uri: receipt.url }} style={styles.receiptImage} />
+                    {/* Saved receipts stay with the expense */}
+                    {isNewReceipt(receipt) && (
+                      <TouchableOpacity
+                        style={styles.receiptRemove}
+                        onPress={() => handleRemoveReceipt(receipt)}
+                        hitSlop={8}
+                        accessibilityLabel="Remove receipt"
+                      >
+                        <Icon name="close" size={14} color="#fff" />
+                      </TouchableOpacity>
+                    )}
+                  </TouchableOpacity>
+                ))}
+                <TouchableOpacity style={styles.receiptAdd} onPress={handleAddReceipt}>
+                  <Icon name="camera-plus-outline" size={26} color="#2196F3" />
+                  <Text style={styles.receiptAddText}>Add</Text>
+                </TouchableOpacity>
+              </ScrollView>
+            </View>
+
+            {!isEditing && (
+              <View style={styles.inputContainer}>
+                <Text style={styles.label}>Repeat</Text>
+                <View style={styles.repeatRow}>
+                  {[{ value: null, label: 'Never' }, ...RECURRING_FREQUENCIES].map(option => (
+                    <TouchableOpacity
+                      key={option.value || 'never'}
+                      style={[styles.chip, repeat === option.value && styles.chipActive]}
+                      onPress={() => setRepeat(option.value)}
+                      accessibilityRole="button"
+                      accessibilityState={{ selected: repeat === option.value }}
+                    >
+                      <Text style={[styles.chipText, repeat === option.value && styles.chipTextActive]}>
+                        {option.label}
+                      </Text>
+                    </TouchableOpacity>
+                  ))}
+                </View>
+                {repeat && (
+                  <Text style={styles.conversionText}>
+                    Later charges are added automatically. Manage them under Subscriptions.
+                  </Text>
+                )}
+              </View>
+            )}
           </View>
         </ScrollView>
       </KeyboardAvoidingView>
@@ -254,6 +586,12 @@ const NewExpenseScreen = ({ navigation, route }) => {
         />
       )}
 
+      <ReceiptViewer
+        receipts={viewingReceipt === null ? null : receipts}
+        initialIndex={viewingReceipt || 0}
+        onClose={() => setViewingReceipt(null)}
+      />
+
       <Modal
         visible={showCategoryPicker}
         transparent
@@ -315,7 +653,7 @@ const NewExpenseScreen = ({ navigation, route }) => {
                       category === cat && styles.selectedCategory,
                     ]}
                     onPress={() => {
-                      setCategory(cat);
+                      pickCategory(cat);
                       setShowCategoryPicker(false);
                     }}
                   >
@@ -353,6 +691,29 @@ const styles = StyleSheet.create({
   form: {
     padding: 16,
   },
+  typeToggle: {
+    flexDirection: 'row',
+    backgroundColor: '#F0F0F0',
+    borderRadius: 12,
+    padding: 4,
+    marginBottom: 24,
+  },
+  typeOption: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingVertical: 10,
+    borderRadius: 10,
+  },
+  typeOptionActive: {
+    backgroundColor: '#fff',
+  },
+  typeOptionText: {
+    fontSize: 16,
+    color: '#666',
+    marginLeft: 8,
+  },
   inputContainer: {
     marginBottom: 24,
   },
@@ -374,6 +735,62 @@ const styles = StyleSheet.create({
   inputError: {
     borderColor: '#FF3B30',
   },
+  currencyList: {
+    marginTop: 8,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+    backgroundColor: '#fff',
+    marginRight: 8,
+  },
+  chipActive: {
+    borderColor: '#2196F3',
+    backgroundColor: '#E3F2FD',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#2196F3',
+    fontWeight: '600',
+  },
+  repeatRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  conversionText: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 8,
+  },
+  conversionMissing: {
+    color: '#D32F2F',
+  },
+  suggestionHint: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  suggestionHintText: {
+    fontSize: 14,
+    color: '#2196F3',
+    marginLeft: 6,
+  },
+  budgetWarning: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  budgetWarningText: {
+    fontSize: 14,
+    color: '#D32F2F',
+    marginLeft: 6,
+  },
   input: {
     flex: 1,
     height: 48,
@@ -431,6 +848,48 @@ const styles = StyleSheet.create({
     color: '#333',
     marginLeft: 12,
   },
+  receiptList: {
+    paddingTop: 6,
+    paddingRight: 6,
+  },
+  receiptThumb: {
+    width: 72,
+    height: 72,
+    marginRight: 8,
+  },
+  receiptImage: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+    backgroundColor: '#E0E0E0',
+  },
+  receiptRemove: {
+    position: 'absolute',
+    top: -6,
+    right: -6,
+    width: 22,
+    height: 22,
+    borderRadius: 11,
+    backgroundColor: '#FF3B30',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  receiptAdd: {
+    width: 72,
+    height: 72,
+    borderRadius: 8,
+    borderWidth: 1,
+    borderStyle: 'dashed',
+    borderColor: '#2196F3',
+    backgroundColor: '#fff',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  receiptAddText: {
+    fontSize: 12,
+    color: '#2196F3',
+    marginTop: 2,
+  },
   modalOverlay: {
     flex: 1,
     backgroundColor: 'rgba(0, 0, 0, 0.5)',
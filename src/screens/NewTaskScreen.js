@@ -13,37 +13,42 @@ import {
 } from 'react-native';
 import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
 import DateTimePicker from '@react-native-community/datetimepicker';
-import api from '../services/api';
+import { useCategories, useCreateTask } from '../hooks/useTasks';
 import ScreenHeader from '../components/ScreenHeader';
+import RepeatRulePicker from '../components/RepeatRulePicker';
+import ReminderPicker from '../components/ReminderPicker';
+import ChecklistEditor from '../components/ChecklistEditor';
+import PriorityPicker from '../components/PriorityPicker';
 
 const NewTaskScreen = ({ navigation }) => {
   const [title, setTitle] = useState('');
   const [description, setDescription] = useState('');
   const [categoryId, setCategoryId] = useState('');
-  const [categories, setCategories] = useState([]);
-  const [isLoading, setIsLoading] = useState(false);
+  const { data: categories = [], error: categoriesError } = useCategories();
+  const createTask = useCreateTask();
+  const isLoading = createTask.isPending;
   const [titleError, setTitleError] = useState(false);
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [showDatePicker, setShowDatePicker] = useState(false);
   const [showTimePicker, setShowTimePicker] = useState(false);
   const [mode, setMode] = useState('date');
+  const [repeatRule, setRepeatRule] = useState(null);
+  const [reminderMinutes, setReminderMinutes] = useState(null);
+  const [checklist, setChecklist] = useState([]);
+  const [priority, setPriority] = useState('none');
 
   useEffect(() => {
-    fetchCategories();
-  }, []);
+    if (!categoryId && categories.length > 0) {
+      setCategoryId(categories[0].id);
+    }
+  }, [categories]);
 
-  const fetchCategories = async () => {
-    try {
-      const response = await api.getCategories();
-      setCategories(response);
-      if (response.length > 0) {
-        setCategoryId(response[0].id);
-      }
-    } catch (error) {
-      console.error('Error fetching categories:', error);
+  useEffect(() => {
+    if (categoriesError) {
+      console.error('Error fetching categories:', categoriesError);
       Alert.alert('Error', 'Failed to load categories');
     }
-  };
+  }, [categoriesError]);
 
   const handleSubmit = async () => {
     if (!title.trim()) {
@@ -51,24 +56,25 @@ const NewTaskScreen = ({ navigation }) => {
       return;
     }
     setTitleError(false);
-    setIsLoading(true);
 
     try {
       // Format the date in YYYY-MM-DD HH:mm:ss format
       const formattedDate = selectedDate.toISOString().slice(0, 19).replace('T', ' ');
       
-      await api.createTask({
+      await createTask.mutateAsync({
         title,
         description,
         category_id: categoryId,
         due_date: formattedDate, // Changed dueDate to due_date and using formatted date
+        repeat_rule: repeatRule,
+        reminder_minutes: reminderMinutes,
+        checklist,
+        priority,
       });
       navigation.goBack();
     } catch (error) {
       console.error('Task creation error:', error);
       Alert.alert('Error', `Failed to create task: ${error.message || 'Unknown error'}`);
-    } finally {
-      setIsLoading(false);
     }
   };
 
@@ -149,6 +155,22 @@ const NewTaskScreen = ({ navigation }) => {
               </View>
             </View>
 
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Priority</Text>
+              <PriorityPicker
+                value={priority}
+                onChange={setPriority}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Checklist</Text>
+              <ChecklistEditor
+                items={checklist}
+                onChange={setChecklist}
+              />
+            </View>
+
             <View style={styles.inputContainer}>
               <Text style={styles.label}>Due Date</Text>
               <TouchableOpacity 
@@ -161,6 +183,23 @@ const NewTaskScreen = ({ navigation }) => {
               </TouchableOpacity>
             </View>
 
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Repeat</Text>
+              <RepeatRulePicker
+                rule={repeatRule}
+                dueDate={selectedDate}
+                onChange={setRepeatRule}
+              />
+            </View>
+
+            <View style={styles.inputContainer}>
+              <Text style={styles.label}>Reminder</Text>
+              <ReminderPicker
+                value={reminderMinutes}
+                onChange={setReminderMinutes}
+              />
+            </View>
+
             <View style={styles.inputContainer}>
               <Text style={styles.label}>Category</Text>
               <View style={styles.categoryContainer}>
@@ -0,0 +1,375 @@
+import React, { useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  StyleSheet,
+  Alert,
+  ScrollView,
+  KeyboardAvoidingView,
+  Platform,
+} from 'react-native';
+import Icon from 'react-native-vector-icons/MaterialCommunityIcons';
+import DateTimePicker from '@react-native-community/datetimepicker';
+import ScreenHeader from '../components/ScreenHeader';
+import {
+  useCurrency,
+  useDeleteRecurringExpense,
+  useExpenseCategories,
+  useSaveRecurringExpense,
+} from '../hooks/useExpenses';
+import { toDateKey } from '../utils/calendar';
+import { CURRENCIES, DEFAULT_CURRENCY, getCurrencySymbol } from '../utils/currency';
+import { INCOME_CATEGORIES, parseExpenseDate } from '../utils/expenses';
+import {
+  CHARGE_REMINDERS,
+  RECURRING_FREQUENCIES,
+  createRecurringTemplate,
+} from '../utils/recurringExpenses';
+
+const formatDay = (key) => parseExpenseDate(key).toLocaleDateString();
+
+const RecurringExpenseScreen = ({ navigation, route }) => {
+  const template = route.params?.template;
+  const isEditing = !!template;
+  const isIncome = template?.type === 'income';
+
+  const { data: currencySettings } = useCurrency();
+  const { data: fetchedCategories = [] } = useExpenseCategories();
+  const saveTemplate = useSaveRecurringExpense();
+  const deleteTemplate = useDeleteRecurringExpense();
+
+  const [title, setTitle] = useState(template?.title || '');
+  const [amount, setAmount] = useState(template ? String(template.amount) : '');
+  const [selectedCurrency, setSelectedCurrency] = useState(template?.currency || null);
+  const [category, setCategory] = useState(template?.category || '');
+  const [frequency, setFrequency] = useState(template?.frequency || 'monthly');
+  // The next charge for an existing template, the first one for a new template
+  const [nextDate, setNextDate] = useState(template?.next_date || toDateKey(new Date()));
+  const [endDate, setEndDate] = useState(template?.end_date || null);
+  const [reminderDays, setReminderDays] = useState(template ? template.reminder_days : 1);
+  // 'next' or 'end' while a date picker is open
+  const [pickingDate, setPickingDate] = useState(null);
+  const [titleError, setTitleError] = useState(false);
+  const [amountError, setAmountError] = useState(false);
+
+  const currency = selectedCurrency || currencySettings?.home || DEFAULT_CURRENCY;
+  const baseCategories = isIncome ? INCOME_CATEGORIES : fetchedCategories;
+  const categories = category && !baseCategories.includes(category)
+    ? [...baseCategories, category]
+    : baseCategories;
+
+  const handleDateChange = (event, selected) => {
+    const field = pickingDate;
+    setPickingDate(null);
+    if (event.type === 'dismissed' || !selected) return;
+    if (field === 'next') {
+      setNextDate(toDateKey(selected));
+    } else {
+      setEndDate(toDateKey(selected));
+    }
+  };
+
+  const handleSave = () => {
+    const parsedAmount = parseFloat(amount);
+    if (!title.trim()) {
+      setTitleError(true);
+      return;
+    }
+    if (!(parsedAmount > 0)) {
+      setAmountError(true);
+      return;
+    }
+    if (!category) {
+      Alert.alert('Error', 'Please select a category');
+      return;
+    }
+    if (endDate && endDate < nextDate) {
+      Alert.alert('Error', 'The end date must be after the next charge');
+      return;
+    }
+
+    const fields = {
+      title: title.trim(),
+      amount: parsedAmount,
+      currency,
+      category,
+      frequency,
+      end_date: endDate,
+      reminder_days: reminderDays,
+      next_date: nextDate,
+    };
+    // Moving the next charge moves the day later charges fall on as well
+    const next = isEditing
+      ? { ...template, ...fields, start_date: nextDate === template.next_date ? template.start_date : nextDate }
+      : createRecurringTemplate({ ...fields, start_date: nextDate });
+
+    saveTemplate.mutate(next, {
+      onError: (error) => {
+        console.error('Error saving recurring expense:', error);
+        Alert.alert('Error', 'Failed to save recurring expense');
+      },
+    });
+    navigation.goBack();
+  };
+
+  const handleDelete = () => {
+    Alert.alert(
+      'Stop Recurring Expense',
+      `Stop adding "${template.title}"? Expenses already added are kept.`,
+      [
+        { text: 'Cancel', style: 'cancel' },
+        {
+          text: 'Stop',
+          style: 'destructive',
+          onPress: () => {
+            deleteTemplate.mutate(template.id, {
+              onError: (error) => console.error('Error deleting recurring expense:', error),
+            });
+            navigation.goBack();
+          },
+        },
+      ]
+    );
+  };
+
+  const renderChips = (options, selected, onSelect) => (
+    <View style={styles.chipRow}>
+      {options.map(option => (
+        <TouchableOpacity
+          key={String(option.value)}
+          style={[styles.chip, selected === option.value && styles.chipActive]}
+          onPress={() => onSelect(option.value)}
+        >
+          <Text style={[styles.chipText, selected === option.value && styles.chipTextActive]}>
+            {option.label}
+          </Text>
+        </TouchableOpacity>
+      ))}
+    </View>
+  );
+
+  const rightComponent = (
+    <View style={styles.headerButtons}>
+      {isEditing && (
+        <TouchableOpacity onPress={handleDelete} style={[styles.headerButton, styles.deleteButton]}>
+          <Icon name="trash-can-outline" size={24} color="#FF3B30" />
+        </TouchableOpacity>
+      )}
+      <TouchableOpacity onPress={handleSave} style={[styles.headerButton, styles.saveButton]}>
+        <Icon name="check" size={24} color="#fff" />
+      </TouchableOpacity>
+    </View>
+  );
+
+  return (
+    <View style={styles.container}>
+      <ScreenHeader
+        title={isEditing ? 'Edit Recurring' : 'New Recurring Expense'}
+        onBack={() => navigation.goBack()}
+        rightComponent={rightComponent}
+      />
+
+      <KeyboardAvoidingView
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+        style={styles.content}
+      >
+        <ScrollView style={styles.content} contentContainerStyle={styles.form} keyboardShouldPersistTaps="handled">
+          <Text style={styles.label}>Title</Text>
+          <View style={[styles.inputWrapper, titleError && styles.inputError]}>
+            <Icon name="format-title" size={24} color="#666" />
+            <TextInput
+              style={styles.input}
+              placeholder="Rent, phone bill, streaming…"
+              value={title}
+              onChangeText={(text) => {
+                setTitle(text);
+                setTitleError(false);
+              }}
+            />
+          </View>
+
+          <Text style={styles.label}>Amount ({getCurrencySymbol(currency).trim()})</Text>
+          <View style={[styles.inputWrapper, amountError && styles.inputError]}>
+            <Icon name="cash" size={24} color="#666" />
+            <TextInput
+              style={styles.input}
+              placeholder="Enter amount"
+              value={amount}
+              onChangeText={(text) => {
+                setAmount(text);
+                setAmountError(false);
+              }}
+              keyboardType="decimal-pad"
+            />
+          </View>
+          <ScrollView horizontal showsHorizontalScrollIndicator={false} style={styles.currencyList}>
+            {renderChips(
+              CURRENCIES.map(option => ({ value: option.code, label: option.code })),
+              currency,
+              setSelectedCurrency
+            )}
+          </ScrollView>
+
+          <Text style={styles.label}>Category</Text>
+          {categories.length === 0 ? (
+            <Text style={styles.hint}>Add an expense first to create categories</Text>
+          ) : renderChips(categories.map(name => ({ value: name, label: name })), category, setCategory)}
+
+          <Text style={styles.label}>Repeats</Text>
+          {renderChips(RECURRING_FREQUENCIES, frequency, setFrequency)}
+
+          <Text style={styles.label}>{isEditing ? 'Next charge' : 'First charge'}</Text>
+          <TouchableOpacity style={styles.dateButton} onPress={() => setPickingDate('next')}>
+            <Icon name="calendar" size={24} color="#666" />
+            <Text style={styles.dateText}>{formatDay(nextDate)}</Text>
+            <Icon name="chevron-right" size={24} color="#666" />
+          </TouchableOpacity>
+          {!isEditing && nextDate <= toDateKey(new Date()) && (
+            <Text style={styles.hint}>Charges up to today are added as soon as you save</Text>
+          )}
+
+          <Text style={styles.label}>Ends</Text>
+          <TouchableOpacity style={styles.dateButton} onPress={() => setPickingDate('end')}>
+            <Icon name="calendar-end" size={24} color="#666" />
+            <Text style={[styles.dateText, !endDate && styles.placeholderText]}>
+              {endDate ? formatDay(endDate) : 'Never'}
+            </Text>
+            {endDate ? (
+              <TouchableOpacity onPress={() => setEndDate(null)} hitSlop={8}>
+                <Icon name="close-circle" size={20} color="#999" />
+              </TouchableOpacity>
+            ) : (
+              <Icon name="chevron-right" size={24} color="#666" />
+            )}
+          </TouchableOpacity>
+
+          <Text style={styles.label}>Remind me</Text>
+          {renderChips(CHARGE_REMINDERS, reminderDays, setReminderDays)}
+        </ScrollView>
+      </KeyboardAvoidingView>
+
+      {pickingDate && (
+        <DateTimePicker
+          value={parseExpenseDate(pickingDate === 'next' ? nextDate : endDate || nextDate)}
+          mode="date"
+          display="default"
+          minimumDate={pickingDate === 'end' ? parseExpenseDate(nextDate) : undefined}
+          onChange={handleDateChange}
+        />
+      )}
+    </View>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F8F9FD',
+  },
+  content: {
+    flex: 1,
+  },
+  form: {
+    padding: 16,
+    paddingBottom: 32,
+  },
+  label: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 16,
+    marginBottom: 8,
+  },
+  hint: {
+    fontSize: 13,
+    color: '#666',
+    marginTop: 6,
+  },
+  inputWrapper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    paddingHorizontal: 16,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  inputError: {
+    borderColor: '#FF3B30',
+  },
+  input: {
+    flex: 1,
+    height: 48,
+    marginLeft: 12,
+    fontSize: 16,
+    color: '#333',
+  },
+  currencyList: {
+    marginTop: 8,
+  },
+  chipRow: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    gap: 8,
+  },
+  chip: {
+    paddingHorizontal: 14,
+    paddingVertical: 8,
+    borderRadius: 20,
+    backgroundColor: '#fff',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: '#fff',
+    fontWeight: '600',
+  },
+  dateButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#fff',
+    borderRadius: 12,
+    padding: 12,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  dateText: {
+    flex: 1,
+    fontSize: 16,
+    color: '#333',
+    marginLeft: 12,
+  },
+  placeholderText: {
+    color: '#999',
+  },
+  headerButtons: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginLeft: 8,
+  },
+  deleteButton: {
+    backgroundColor: '#FFF0F0',
+  },
+  saveButton: {
+    backgroundColor: '#2196F3',
+  },
+});
+
+export default RecurringExpenseScreen;
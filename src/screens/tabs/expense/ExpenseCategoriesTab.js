@@ -1,36 +1,73 @@
-import React, { useState } from 'react';
-import { View, Text, StyleSheet, ScrollView, ActivityIndicator, RefreshControl, SafeAreaView } from 'react-native';
-import { useFocusEffect } from '@react-navigation/native';
-import api from '../../../services/api';
+import React, { useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  StyleSheet,
+  ScrollView,
+  ActivityIndicator,
+  RefreshControl,
+  SafeAreaView,
+  Switch,
+  TouchableOpacity,
+} from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import {
+  useAllExpenses,
+  useBudgets,
+  useCategoryRules,
+  useCurrency,
+  useExpenseCategories,
+  useMonthSpending,
+  useSaveBudgets,
+} from '../../../hooks/useExpenses';
+import useRefreshOnFocus from '../../../hooks/useRefreshOnFocus';
+import { queryKeys } from '../../../services/queryClient';
+import BudgetProgress from '../../../components/BudgetProgress';
+import BudgetEditorModal from '../../../components/BudgetEditorModal';
+import { setBudgetLimit } from '../../../utils/budgets';
+import { DEFAULT_CURRENCY } from '../../../utils/currency';
+import { formatAmount, getCategoryTotals } from '../../../utils/expenses';
 
 const CategoriesTab = ({ navigation }) => {
-  const [categories, setCategories] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchCategories = async () => {
-    try {
-      const data = await api.getExpenseDashboard();
-      setCategories(data.category_breakdown || []);
-    } catch (error) {
-      console.error('Error fetching categories:', error);
-    } finally {
-      setIsLoading(false);
-      setRefreshing(false);
-    }
-  };
+  const { data: expenses, isLoading, isRefetching, refetch } = useAllExpenses();
+  const { data: categoryNames = [] } = useExpenseCategories();
+  const { data: spending } = useMonthSpending();
+  const { data: budgets } = useBudgets();
+  const { data: currency } = useCurrency();
+  const { data: ruleSettings } = useCategoryRules();
+  const ruleCount = ruleSettings?.rules.length || 0;
+  const home = currency?.home || DEFAULT_CURRENCY;
+  const saveBudgets = useSaveBudgets();
+  // undefined: editor closed, null: overall budget, otherwise a category name
+  const [editingBudget, setEditingBudget] = useState(undefined);
+  const categories = useMemo(
+    () => getCategoryTotals(expenses || [], currency),
+    [expenses, currency]
+  );
+  const alertsEnabled = budgets?.alerts ?? true;
+  // Categories with nothing spent yet can still be given a budget
+  const unusedCategories = categoryNames.filter(name => (
+    !categories.some(category => category.category === name)
+  ));
 
   const onRefresh = async () => {
-    setRefreshing(true);
-    await fetchCategories();
+    await refetch();
   };
 
   // Refresh categories when screen comes into focus
-  useFocusEffect(
-    React.useCallback(() => {
-      fetchCategories();
-    }, [])
-  );
+  useRefreshOnFocus(queryKeys.expenses);
+
+  const saveBudget = (next) => {
+    saveBudgets.mutate(next, {
+      onError: (error) => console.error('Error saving budget:', error),
+    });
+  };
+
+  const handleSaveBudget = (amount) => {
+    const name = editingBudget;
+    setEditingBudget(undefined);
+    saveBudget(setBudgetLimit(budgets, name, amount));
+  };
 
   if (isLoading) {
     return (
@@ -47,16 +84,76 @@ const CategoriesTab = ({ navigation }) => {
       <ScrollView 
         style={styles.scrollView}
         refreshControl={
-          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          <RefreshControl refreshing={isRefetching} onRefresh={onRefresh} />
         }
       >
+        <View style={styles.budgetCard}>
+          <Text style={styles.budgetTitle}>Monthly budget</Text>
+          <BudgetProgress
+            spent={spending.total}
+            limit={budgets?.overall}
+            currency={home}
+            onPress={() => setEditingBudget(null)}
+          />
+          <View style={styles.alertRow}>
+            <Text style={styles.alertText}>Notify me at 80% and 100%</Text>
+            <Switch
+              value={alertsEnabled}
+              onValueChange={(alerts) => saveBudget({ ...budgets, alerts })}
+              trackColor={{ true: '#90CAF9' }}
+              thumbColor={alertsEnabled ? '#2196F3' : '#f4f3f4'}
+            />
+          </View>
+        </View>
+
+        <TouchableOpacity style={styles.rulesRow} onPress={() => navigation.navigate('CategoryRules')}>
+          <Ionicons name="color-wand-outline" size={22} color="#2196F3" />
+          <View style={styles.rulesInfo}>
+            <Text style={styles.rulesTitle}>Category rules</Text>
+            <Text style={styles.rulesText}>
+              {ruleCount ? `${ruleCount} ${ruleCount === 1 ? 'rule' : 'rules'}` : 'Fill in categories automatically'}
+            </Text>
+          </View>
+          <Ionicons name="chevron-forward" size={20} color="#666" />
+        </TouchableOpacity>
+
         {categories.map((category, index) => (
           <View key={index} style={styles.categoryItem}>
-            <Text style={styles.categoryName}>{category.category}</Text>
-            <Text style={styles.categoryAmount}>{category.formatted_total}</Text>
+            <View style={styles.categoryHeader}>
+              <Text style={styles.categoryName}>{category.category}</Text>
+              <Text style={styles.categoryAmount}>{formatAmount(category.total, home)}</Text>
+            </View>
+            <BudgetProgress
+              label="This month"
+              spent={spending.byCategory[category.category] || 0}
+              limit={budgets?.categories[category.category]}
+              currency={home}
+              onPress={() => setEditingBudget(category.category)}
+            />
+          </View>
+        ))}
+        {unusedCategories.map(name => (
+          <View key={name} style={styles.categoryItem}>
+            <Text style={styles.categoryName}>{name}</Text>
+            <BudgetProgress
+              label="This month"
+              spent={spending.byCategory[name] || 0}
+              limit={budgets?.categories[name]}
+              currency={home}
+              onPress={() => setEditingBudget(name)}
+            />
           </View>
         ))}
       </ScrollView>
+
+      <BudgetEditorModal
+        visible={editingBudget !== undefined}
+        title={editingBudget ? `${editingBudget} budget` : 'Monthly budget'}
+        value={editingBudget ? budgets?.categories[editingBudget] : budgets?.overall}
+        currency={home}
+        onSave={handleSaveBudget}
+        onClose={() => setEditingBudget(undefined)}
+      />
     </SafeAreaView>
   );
 };
@@ -74,9 +171,61 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
-  categoryItem: {
+  budgetCard: {
+    backgroundColor: 'white',
+    padding: 16,
+    margin: 16,
+    marginBottom: 8,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  budgetTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  alertRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
+    alignItems: 'center',
+    marginTop: 8,
+  },
+  alertText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  rulesRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 16,
+    marginHorizontal: 16,
+    marginVertical: 8,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  rulesInfo: {
+    flex: 1,
+    marginLeft: 12,
+  },
+  rulesTitle: {
+    fontSize: 16,
+    color: '#333',
+  },
+  rulesText: {
+    fontSize: 14,
+    color: '#666',
+    marginTop: 2,
+  },
+  categoryItem: {
     backgroundColor: 'white',
     padding: 16,
     marginHorizontal: 16,
@@ -88,6 +237,10 @@ const styles = StyleSheet.create({
     shadowOpacity: 0.1,
     shadowRadius: 4,
   },
+  categoryHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+  },
   categoryName: {
     fontSize: 16,
     color: '#333',
@@ -1,46 +1,135 @@
-import React, { useState } from 'react';
-import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, RefreshControl, SafeAreaView, Alert } from 'react-native';
+import React, { useEffect, useMemo, useState } from 'react';
+import {
+  View,
+  Text,
+  TextInput,
+  StyleSheet,
+  TouchableOpacity,
+  SectionList,
+  ActivityIndicator,
+  RefreshControl,
+  SafeAreaView,
+  Alert,
+} from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { useFocusEffect } from '@react-navigation/native';
-import api from '../../../services/api';
+import {
+  useCurrency,
+  useDeleteExpense,
+  useExpenseCategories,
+  useExpensePages,
+} from '../../../hooks/useExpenses';
+import useRefreshOnFocus from '../../../hooks/useRefreshOnFocus';
+import { queryKeys } from '../../../services/queryClient';
+import ExpenseFilterModal from '../../../components/ExpenseFilterModal';
+import ReceiptViewer from '../../../components/ReceiptViewer';
+import { DEFAULT_CURRENCY } from '../../../utils/currency';
+import {
+  EMPTY_EXPENSE_FILTERS,
+  countExpenseFilters,
+  filterExpenses,
+  groupExpensesByDay,
+} from '../../../utils/expenseFilters';
+import {
+  INCOME_CATEGORIES,
+  INCOME_COLOR,
+  formatAmount,
+  formatTransactionAmount,
+  getExpenseCurrency,
+  getExpenseRows,
+  getHomeAmount,
+  isIncome,
+  parseExpenseDate,
+} from '../../../utils/expenses';
+
+const SEARCH_DELAY = 300;
+
+const formatFilterDate = (key) => (
+  key ? parseExpenseDate(key).toLocaleDateString('en-US', { month: 'short', day: 'numeric' }) : '…'
+);
 
 const ExpensesList = ({ navigation }) => {
-  const [expenses, setExpenses] = useState([]);
-  const [isLoading, setIsLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchExpenses = async () => {
-    try {
-      const data = await api.getExpenseDashboard();
-      setExpenses(data.recent_expenses || []);
-    } catch (error) {
-      console.error('Error fetching expenses:', error);
-    } finally {
-      setIsLoading(false);
-      setRefreshing(false);
-    }
-  };
+  const [filters, setFilters] = useState(EMPTY_EXPENSE_FILTERS);
+  const [searchText, setSearchText] = useState('');
+  const [showFilters, setShowFilters] = useState(false);
+  const [viewingReceipts, setViewingReceipts] = useState(null);
+  const {
+    data,
+    isLoading,
+    isRefetching,
+    isFetchingNextPage,
+    hasNextPage,
+    fetchNextPage,
+    refetch,
+  } = useExpensePages(filters);
+  const { data: expenseCategories = [] } = useExpenseCategories();
+  const deleteExpense = useDeleteExpense();
+  const { data: currency } = useCurrency();
+  const home = currency?.home || DEFAULT_CURRENCY;
+  const filterCount = countExpenseFilters(filters);
+
+  // Wait for a pause in typing before searching
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      setFilters(current => (
+        current.search === searchText ? current : { ...current, search: searchText }
+      ));
+    }, SEARCH_DELAY);
+    return () => clearTimeout(timeout);
+  }, [searchText]);
+
+  // Expenses queued offline are added to every cached page, so keep the first copy
+  const sections = useMemo(() => {
+    const seen = new Set();
+    const expenses = (data?.pages || []).flatMap(getExpenseRows).filter(expense => {
+      const key = String(expense.id);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    return groupExpensesByDay(filterExpenses(expenses, filters), currency);
+  }, [data, filters, currency]);
+
+  const categories = useMemo(() => [
+    ...expenseCategories,
+    ...INCOME_CATEGORIES.filter(category => !expenseCategories.includes(category)),
+  ], [expenseCategories]);
+
+  const activeFilters = [
+    filters.category && { key: 'category', label: filters.category, clear: { category: null } },
+    (filters.from || filters.to) && {
+      key: 'date',
+      label: `${formatFilterDate(filters.from)} – ${formatFilterDate(filters.to)}`,
+      clear: { from: null, to: null },
+    },
+    (filters.minAmount || filters.maxAmount) && {
+      key: 'amount',
+      label: `${filters.minAmount || '0'} – ${filters.maxAmount || '∞'}`,
+      clear: { minAmount: '', maxAmount: '' },
+    },
+  ].filter(Boolean);
 
   const onRefresh = async () => {
-    setRefreshing(true);
-    await fetchExpenses();
+    await refetch();
   };
 
   // Refresh expenses when screen comes into focus
-  useFocusEffect(
-    React.useCallback(() => {
-      fetchExpenses();
-    }, [])
-  );
+  useRefreshOnFocus(queryKeys.expenses);
+
+  const handleEndReached = () => {
+    if (hasNextPage && !isFetchingNextPage) {
+      fetchNextPage();
+    }
+  };
 
   const handleEdit = (expense) => {
     navigation.navigate('NewExpense', { expense });
   };
 
-  const handleDelete = async (expenseId) => {
+  const handleDelete = async (expense) => {
+    const noun = isIncome(expense) ? 'income' : 'expense';
     Alert.alert(
-      'Delete Expense',
-      'Are you sure you want to delete this expense?',
+      isIncome(expense) ? 'Delete Income' : 'Delete Expense',
+      `Are you sure you want to delete this ${noun}?`,
       [
         { text: 'Cancel', style: 'cancel' },
         {
@@ -48,10 +137,9 @@ const ExpensesList = ({ navigation }) => {
           style: 'destructive',
           onPress: async () => {
             try {
-              await api.deleteExpense(expenseId);
-              await fetchExpenses(); // Refresh the list after deletion
+              await deleteExpense.mutateAsync(expense.id);
             } catch (error) {
-              Alert.alert('Error', error.message || 'Failed to delete expense');
+              Alert.alert('Error', error.message || `Failed to delete ${noun}`);
             }
           },
         },
@@ -69,44 +157,142 @@ const ExpensesList = ({ navigation }) => {
     );
   }
 
+  const renderExpense = ({ item: expense }) => (
+    <TouchableOpacity
+      style={styles.expenseItem}
+      onPress={() => handleEdit(expense)}
+    >
+      <View style={styles.expenseDetails}>
+        <Text style={styles.expenseName}>{expense.title}</Text>
+        <Text style={styles.expenseDate}>{expense.category}</Text>
+      </View>
+      <View style={styles.expenseActions}>
+        {expense.receipts?.length > 0 && (
+          <TouchableOpacity
+            onPress={() => setViewingReceipts(expense.receipts)}
+            style={styles.receiptButton}
+            accessibilityLabel={`View ${expense.receipts.length} receipt${expense.receipts.length === 1 ? '' : 's'}`}
+          >
+            <Ionicons name="receipt-outline" size={20} color="#2196F3" />
+          </TouchableOpacity>
+        )}
+        <View style={styles.expenseAmounts}>
+          <Text style={[styles.expenseAmount, isIncome(expense) && { color: INCOME_COLOR }]}>
+            {formatTransactionAmount(expense)}
+          </Text>
+          {getExpenseCurrency(expense) !== home && getHomeAmount(expense, currency) !== null && (
+            <Text style={styles.expenseConverted}>
+              ≈ {formatAmount(getHomeAmount(expense, currency), home)}
+            </Text>
+          )}
+        </View>
+        <TouchableOpacity
+          onPress={() => handleDelete(expense)}
+          style={styles.deleteButton}
+        >
+          <Ionicons name="trash-outline" size={20} color="#FF5252" />
+        </TouchableOpacity>
+      </View>
+    </TouchableOpacity>
+  );
+
+  const renderSectionHeader = ({ section }) => (
+    <View style={styles.dayHeader}>
+      <Text style={styles.dayTitle}>{section.title}</Text>
+      <Text style={styles.dayTotal}>
+        {section.spent > 0 && `-${formatAmount(section.spent, home)}`}
+        {section.spent > 0 && section.income > 0 && ' · '}
+        {section.income > 0 && (
+          <Text style={{ color: INCOME_COLOR }}>+{formatAmount(section.income, home)}</Text>
+        )}
+      </Text>
+    </View>
+  );
+
   return (
     <SafeAreaView style={styles.container}>
-      <ScrollView 
-        style={styles.scrollView}
+      <View style={styles.toolbar}>
+        <View style={styles.searchBox}>
+          <Ionicons name="search" size={18} color="#999" />
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Search expenses"
+            placeholderTextColor="#999"
+            value={searchText}
+            onChangeText={setSearchText}
+            returnKeyType="search"
+          />
+          {searchText ? (
+            <TouchableOpacity onPress={() => setSearchText('')} hitSlop={8}>
+              <Ionicons name="close-circle" size={18} color="#999" />
+            </TouchableOpacity>
+          ) : null}
+        </View>
+        <TouchableOpacity
+          style={[styles.filterButton, filterCount > 0 && styles.filterButtonActive]}
+          onPress={() => setShowFilters(true)}
+          accessibilityLabel={filterCount > 0 ? `Filters, ${filterCount} active` : 'Filters'}
+        >
+          <Ionicons name="options-outline" size={20} color={filterCount > 0 ? 'white' : '#666'} />
+          {filterCount > 0 && <Text style={styles.filterCount}>{filterCount}</Text>}
+        </TouchableOpacity>
+      </View>
+
+      {activeFilters.length > 0 && (
+        <View style={styles.activeFilters}>
+          {activeFilters.map(filter => (
+            <TouchableOpacity
+              key={filter.key}
+              style={styles.activeFilter}
+              onPress={() => setFilters(current => ({ ...current, ...filter.clear }))}
+            >
+              <Text style={styles.activeFilterText}>{filter.label}</Text>
+              <Ionicons name="close" size={14} color="#2196F3" />
+            </TouchableOpacity>
+          ))}
+        </View>
+      )}
+
+      <SectionList
+        sections={sections}
+        keyExtractor={item => String(item.id)}
+        renderItem={renderExpense}
+        renderSectionHeader={renderSectionHeader}
+        stickySectionHeadersEnabled={false}
+        onEndReached={handleEndReached}
+        onEndReachedThreshold={0.5}
+        contentContainerStyle={styles.listContent}
         refreshControl={
-          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          <RefreshControl refreshing={isRefetching && !isFetchingNextPage} onRefresh={onRefresh} />
         }
-      >
-        {expenses.map((expense) => (
-          <TouchableOpacity
-            key={expense.id}
-            style={styles.expenseItem}
-            onPress={() => handleEdit(expense)}
-          >
-            <View style={styles.expenseDetails}>
-              <Text style={styles.expenseName}>{expense.title}</Text>
-              <Text style={styles.expenseDate}>
-                {expense.expense_date} • {expense.category}
-              </Text>
-            </View>
-            <View style={styles.expenseActions}>
-              <Text style={styles.expenseAmount}>{expense.formatted_amount}</Text>
-              <TouchableOpacity
-                onPress={() => handleDelete(expense.id)}
-                style={styles.deleteButton}
-              >
-                <Ionicons name="trash-outline" size={20} color="#FF5252" />
-              </TouchableOpacity>
-            </View>
-          </TouchableOpacity>
-        ))}
-      </ScrollView>
+        ListFooterComponent={isFetchingNextPage ? (
+          <ActivityIndicator style={styles.footerLoader} color="#2196F3" />
+        ) : null}
+        ListEmptyComponent={
+          <Text style={styles.emptyText}>
+            {filterCount > 0 || filters.search ? 'No expenses match these filters' : 'No expenses yet'}
+          </Text>
+        }
+      />
       <TouchableOpacity
         style={styles.fab}
         onPress={() => navigation.navigate('NewExpense')}
       >
         <Ionicons name="add" size={24} color="#fff" />
       </TouchableOpacity>
+
+      <ExpenseFilterModal
+        visible={showFilters}
+        filters={filters}
+        categories={categories}
+        onApply={(next) => {
+          setShowFilters(false);
+          setFilters(next);
+        }}
+        onClose={() => setShowFilters(false)}
+      />
+
+      <ReceiptViewer receipts={viewingReceipts} onClose={() => setViewingReceipts(null)} />
     </SafeAreaView>
   );
 };
@@ -116,8 +302,100 @@ const styles = StyleSheet.create({
     flex: 1,
     backgroundColor: '#F5F6F8',
   },
-  scrollView: {
+  toolbar: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 12,
+  },
+  searchBox: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    borderRadius: 8,
+    paddingHorizontal: 12,
+    height: 40,
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  searchInput: {
     flex: 1,
+    fontSize: 15,
+    color: '#333',
+    marginLeft: 8,
+  },
+  filterButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    height: 40,
+    paddingHorizontal: 10,
+    marginLeft: 8,
+    borderRadius: 8,
+    backgroundColor: 'white',
+    borderWidth: 1,
+    borderColor: '#E0E0E0',
+  },
+  filterButtonActive: {
+    backgroundColor: '#2196F3',
+    borderColor: '#2196F3',
+  },
+  filterCount: {
+    fontSize: 13,
+    fontWeight: '600',
+    color: 'white',
+    marginLeft: 4,
+  },
+  activeFilters: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    paddingHorizontal: 16,
+    paddingTop: 8,
+  },
+  activeFilter: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#E3F2FD',
+    borderRadius: 14,
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    marginRight: 8,
+    marginBottom: 4,
+  },
+  activeFilterText: {
+    fontSize: 13,
+    color: '#2196F3',
+    marginRight: 4,
+  },
+  listContent: {
+    paddingBottom: 88,
+    flexGrow: 1,
+  },
+  dayHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    paddingHorizontal: 16,
+    paddingTop: 16,
+    paddingBottom: 4,
+  },
+  dayTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+  },
+  dayTotal: {
+    fontSize: 14,
+    color: '#666',
+  },
+  footerLoader: {
+    marginVertical: 16,
+  },
+  emptyText: {
+    fontSize: 16,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 32,
   },
   loadingContainer: {
     flex: 1,
@@ -155,11 +433,23 @@ const styles = StyleSheet.create({
     flexDirection: 'row',
     alignItems: 'center',
   },
+  expenseAmounts: {
+    alignItems: 'flex-end',
+    marginRight: 12,
+  },
   expenseAmount: {
     fontSize: 16,
     fontWeight: 'bold',
     color: '#333',
-    marginRight: 12,
+  },
+  expenseConverted: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  receiptButton: {
+    padding: 4,
+    marginRight: 4,
   },
   deleteButton: {
     padding: 4,
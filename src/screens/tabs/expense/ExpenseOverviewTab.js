@@ -1,37 +1,63 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, ScrollView, ActivityIndicator, RefreshControl, SafeAreaView } from 'react-native';
+import React, { useMemo, useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator, RefreshControl, SafeAreaView, Pressable } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import api from '../../../services/api';
+import {
+  useAllExpenses,
+  useBudgets,
+  useCurrency,
+  useExpenseDashboard,
+  useMonthSpending,
+  useSaveBudgets,
+} from '../../../hooks/useExpenses';
+import useRefreshOnFocus from '../../../hooks/useRefreshOnFocus';
+import { queryKeys } from '../../../services/queryClient';
+import BarChart from '../../../components/charts/BarChart';
+import DonutChart from '../../../components/charts/DonutChart';
+import LineChart from '../../../components/charts/LineChart';
+import BudgetProgress from '../../../components/BudgetProgress';
+import BudgetEditorModal from '../../../components/BudgetEditorModal';
+import { setBudgetLimit } from '../../../utils/budgets';
+import { formatCompact } from '../../../utils/chartGeometry';
+import { DEFAULT_CURRENCY } from '../../../utils/currency';
+import {
+  INCOME_COLOR,
+  formatAmount,
+  formatTransactionAmount,
+  getBalance,
+  getCategoryTotals,
+  getExpenseCategoryColor,
+  getExpenseCurrency,
+  getHomeAmount,
+  getMissingRates,
+  getMonthlyTotals,
+  isIncome,
+} from '../../../utils/expenses';
 
 const ExpenseOverview = ({ navigation }) => {
-  const [dashboardData, setDashboardData] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-
-  const fetchDashboardData = async () => {
-    try {
-      const data = await api.getExpenseDashboard();
-      setDashboardData(data);
-    } catch (error) {
-      console.error('Error fetching dashboard:', error);
-    } finally {
-      setIsLoading(false);
-    }
-  };
+  const { data: dashboardData, isLoading, isRefetching, refetch } = useExpenseDashboard();
+  const { data: allExpenses = [], refetch: refetchAllExpenses } = useAllExpenses();
+  const { data: spending } = useMonthSpending();
+  const { data: budgets } = useBudgets();
+  const { data: currency } = useCurrency();
+  const saveBudgets = useSaveBudgets();
+  // undefined: editor closed, null: overall budget, otherwise a category name
+  const [editingBudget, setEditingBudget] = useState(undefined);
 
   const onRefresh = async () => {
-    setRefreshing(true);
-    await fetchDashboardData();
-    setRefreshing(false);
+    await Promise.all([refetch(), refetchAllExpenses()]);
   };
 
-  useEffect(() => {
-    fetchDashboardData();
-    const unsubscribe = navigation.addListener('focus', () => {
-      fetchDashboardData();
-    });
-    return unsubscribe;
-  }, [navigation]);
+  // Totals and breakdowns are worked out here rather than by the server, so
+  // every currency can be converted to the home one first
+  const home = currency?.home || DEFAULT_CURRENCY;
+  const monthlyTotals = useMemo(() => getMonthlyTotals(allExpenses, currency), [allExpenses, currency]);
+  const balance = useMemo(() => getBalance(allExpenses, currency), [allExpenses, currency]);
+  const breakdown = useMemo(() => getCategoryTotals(allExpenses, currency), [allExpenses, currency]);
+  const missingRates = useMemo(() => getMissingRates(allExpenses, currency), [allExpenses, currency]);
+  const thisMonth = monthlyTotals[monthlyTotals.length - 1];
+  const lastMonth = monthlyTotals[monthlyTotals.length - 2];
+
+  useRefreshOnFocus(queryKeys.expenses);
 
   if (isLoading) {
     return (
@@ -43,6 +69,22 @@ const ExpenseOverview = ({ navigation }) => {
     );
   }
 
+  const format = (value) => formatAmount(value, home);
+  const categoryBudgets = Object.entries(budgets?.categories || {});
+
+  const handleSaveBudget = (amount) => {
+    const name = editingBudget;
+    setEditingBudget(undefined);
+    saveBudgets.mutate(setBudgetLimit(budgets, name, amount), {
+      onError: (error) => console.error('Error saving budget:', error),
+    });
+  };
+
+  const getCategoryColor = (name) => {
+    const index = breakdown.findIndex(item => item.category === name);
+    return getExpenseCategoryColor(Math.max(index, 0));
+  };
+
   const getIconName = (category) => {
     const icons = {
       'Food': 'restaurant',
@@ -50,6 +92,11 @@ const ExpenseOverview = ({ navigation }) => {
       'Shopping': 'cart',
       'Entertainment': 'game-controller',
       'Bills': 'receipt',
+      'Salary': 'briefcase',
+      'Freelance': 'laptop',
+      'Business': 'business',
+      'Investments': 'trending-up',
+      'Gifts': 'gift',
       'Other': 'grid',
     };
     return icons[category] || 'grid';
@@ -60,51 +107,137 @@ const ExpenseOverview = ({ navigation }) => {
       <ScrollView 
         style={styles.scrollView}
         refreshControl={
-          <RefreshControl refreshing={refreshing} onRefresh={onRefresh} />
+          <RefreshControl refreshing={isRefetching} onRefresh={onRefresh} />
         }
       >
         {/* Header Card */}
         <View style={styles.headerCard}>
           <Text style={styles.headerTitle}>Total Balance</Text>
-          <Text style={styles.headerAmount}>
-            {dashboardData?.summary?.total_expenses?.formatted || '৳0.00'}
+          <Text style={styles.headerAmount}>{format(balance.balance)}</Text>
+          <Text style={styles.headerMeta}>
+            {format(balance.income)} in · {format(balance.spent)} out
           </Text>
         </View>
 
+        {missingRates.length > 0 && (
+          <Pressable
+            style={({ pressed }) => [styles.rateNotice, pressed && styles.rateNoticePressed]}
+            onPress={() => navigation.navigate('Currencies')}
+          >
+            <Ionicons name="alert-circle-outline" size={20} color="#D32F2F" />
+            <Text style={styles.rateNoticeText}>
+              Add exchange rates for {missingRates.join(', ')} to include them in these totals
+            </Text>
+            <Ionicons name="chevron-forward" size={20} color="#D32F2F" />
+          </Pressable>
+        )}
+
         {/* Summary Cards */}
         <View style={styles.summaryContainer}>
-          <View style={[styles.summaryCard, { backgroundColor: '#E3F2FD' }]}>
+          <View style={[styles.summaryCard, { backgroundColor: '#E8F5E9' }]}>
             <View style={styles.summaryIconContainer}>
-              <Ionicons name="calendar" size={24} color="#1976D2" />
+              <Ionicons name="arrow-down-circle" size={24} color={INCOME_COLOR} />
             </View>
-            <Text style={styles.summaryLabel}>This Month</Text>
-            <Text style={styles.summaryAmount}>
-              {dashboardData?.summary?.this_month?.formatted || '৳0.00'}
-            </Text>
+            <Text style={styles.summaryLabel}>Income this month</Text>
+            <Text style={styles.summaryAmount}>{format(thisMonth.income)}</Text>
+            <Text style={styles.summaryMeta}>{format(lastMonth.income)} last month</Text>
           </View>
 
-          <View style={[styles.summaryCard, { backgroundColor: '#E8F5E9' }]}>
+          <View style={[styles.summaryCard, { backgroundColor: '#E3F2FD' }]}>
             <View style={styles.summaryIconContainer}>
-              <Ionicons name="time" size={24} color="#388E3C" />
+              <Ionicons name="arrow-up-circle" size={24} color="#1976D2" />
             </View>
-            <Text style={styles.summaryLabel}>Last Month</Text>
-            <Text style={styles.summaryAmount}>
-              {dashboardData?.summary?.last_month?.formatted || '৳0.00'}
+            <Text style={styles.summaryLabel}>Spent this month</Text>
+            <Text style={styles.summaryAmount}>{format(thisMonth.total)}</Text>
+            <Text style={styles.summaryMeta}>{format(lastMonth.total)} last month</Text>
+          </View>
+        </View>
+
+        {/* Net Savings */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Net Savings</Text>
+          <View style={styles.chartCard}>
+            <Text style={[styles.savingsText, thisMonth.net < 0 && styles.overspentText]}>
+              {thisMonth.net < 0
+                ? `${format(-thisMonth.net)} more spent than earned this month`
+                : `${format(thisMonth.net)} saved this month`}
             </Text>
+            <LineChart
+              data={monthlyTotals.map(month => ({ label: month.label, value: month.net }))}
+              color={INCOME_COLOR}
+              formatValue={format}
+              accessibilityLabel={`Income minus spending over the last ${monthlyTotals.length} months. ${monthlyTotals
+                .map(month => `${month.label}: ${format(month.net)}`)
+                .join(', ')}`}
+            />
+          </View>
+        </View>
+
+        {/* Budgets */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Budgets</Text>
+          <View style={styles.chartCard}>
+            <BudgetProgress
+              label="This month"
+              spent={spending.total}
+              limit={budgets?.overall}
+              currency={home}
+              onPress={() => setEditingBudget(null)}
+            />
+            {categoryBudgets.map(([name, limit]) => (
+              <BudgetProgress
+                key={name}
+                label={name}
+                spent={spending.byCategory[name] || 0}
+                limit={limit}
+                currency={home}
+                onPress={() => setEditingBudget(name)}
+              />
+            ))}
+            {categoryBudgets.length === 0 && (
+              <Text style={styles.budgetHint}>Set budgets for single categories from the Categories tab</Text>
+            )}
+          </View>
+        </View>
+
+        {/* Monthly Totals */}
+        <View style={styles.sectionContainer}>
+          <Text style={styles.sectionTitle}>Monthly Spending</Text>
+          <View style={styles.chartCard}>
+            <BarChart
+              data={monthlyTotals.map(month => ({ label: month.label, value: month.total }))}
+              formatValue={format}
+              formatAxis={formatCompact}
+              accessibilityLabel={`Spending over the last ${monthlyTotals.length} months. ${monthlyTotals
+                .map(month => `${month.label}: ${format(month.total)}`)
+                .join(', ')}`}
+            />
           </View>
         </View>
 
         {/* Category Breakdown */}
         <View style={styles.sectionContainer}>
           <Text style={styles.sectionTitle}>Spending by Category</Text>
+          {breakdown.length > 0 && (
+            <View style={styles.chartCard}>
+              <DonutChart
+                data={breakdown.map((category, index) => ({
+                  label: category.category,
+                  value: category.total,
+                  color: getExpenseCategoryColor(index),
+                }))}
+                formatValue={format}
+              />
+            </View>
+          )}
           <View style={styles.categoryGrid}>
-            {dashboardData?.category_breakdown?.map((category, index) => (
+            {breakdown.map((category, index) => (
               <View key={index} style={styles.categoryCard}>
-                <View style={[styles.categoryIcon, { backgroundColor: getRandomColor() }]}>
+                <View style={[styles.categoryIcon, { backgroundColor: getExpenseCategoryColor(index) }]}>
                   <Ionicons name={getIconName(category.category)} size={24} color="white" />
                 </View>
                 <Text style={styles.categoryName}>{category.category}</Text>
-                <Text style={styles.categoryAmount}>{category.formatted_total}</Text>
+                <Text style={styles.categoryAmount}>{format(category.total)}</Text>
               </View>
             ))}
           </View>
@@ -115,7 +248,7 @@ const ExpenseOverview = ({ navigation }) => {
           <Text style={styles.sectionTitle}>Recent Transactions</Text>
           {dashboardData?.recent_expenses?.map((expense) => (
             <View key={expense.id} style={styles.transactionCard}>
-              <View style={[styles.transactionIcon, { backgroundColor: getRandomColor() }]}>
+              <View style={[styles.transactionIcon, { backgroundColor: isIncome(expense) ? INCOME_COLOR : getCategoryColor(expense.category) }]}>
                 <Ionicons name={getIconName(expense.category)} size={24} color="white" />
               </View>
               <View style={styles.transactionDetails}>
@@ -124,23 +257,31 @@ const ExpenseOverview = ({ navigation }) => {
                   {expense.expense_date} • {expense.category}
                 </Text>
               </View>
-              <Text style={styles.transactionAmount}>{expense.formatted_amount}</Text>
+              <View style={styles.transactionAmounts}>
+                <Text style={[styles.transactionAmount, isIncome(expense) && { color: INCOME_COLOR }]}>
+                  {formatTransactionAmount(expense)}
+                </Text>
+                {getExpenseCurrency(expense) !== home && getHomeAmount(expense, currency) !== null && (
+                  <Text style={styles.transactionConverted}>≈ {format(getHomeAmount(expense, currency))}</Text>
+                )}
+              </View>
             </View>
           ))}
         </View>
       </ScrollView>
+
+      <BudgetEditorModal
+        visible={editingBudget !== undefined}
+        title={editingBudget ? `${editingBudget} budget` : 'Monthly budget'}
+        value={editingBudget ? budgets?.categories[editingBudget] : budgets?.overall}
+        currency={home}
+        onSave={handleSaveBudget}
+        onClose={() => setEditingBudget(undefined)}
+      />
     </SafeAreaView>
   );
 };
 
-const getRandomColor = () => {
-  const colors = [
-    '#1976D2', '#388E3C', '#D32F2F', '#7B1FA2', 
-    '#C2185B', '#00796B', '#FFA000', '#5D4037'
-  ];
-  return colors[Math.floor(Math.random() * colors.length)];
-};
-
 const styles = StyleSheet.create({
   container: {
     flex: 1,
@@ -175,6 +316,29 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: 'white',
   },
+  headerMeta: {
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginTop: 8,
+  },
+  rateNotice: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#FFEBEE',
+    padding: 12,
+    marginHorizontal: 16,
+    marginBottom: 16,
+    borderRadius: 12,
+  },
+  rateNoticePressed: {
+    opacity: 0.7,
+  },
+  rateNoticeText: {
+    flex: 1,
+    fontSize: 14,
+    color: '#D32F2F',
+    marginHorizontal: 8,
+  },
   summaryContainer: {
     flexDirection: 'row',
     paddingHorizontal: 16,
@@ -204,6 +368,11 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  summaryMeta: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
   sectionContainer: {
     padding: 16,
   },
@@ -213,6 +382,31 @@ const styles = StyleSheet.create({
     color: '#333',
     marginBottom: 16,
   },
+  chartCard: {
+    backgroundColor: 'white',
+    padding: 16,
+    borderRadius: 12,
+    marginBottom: 12,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 1 },
+    shadowOpacity: 0.1,
+    shadowRadius: 2,
+  },
+  savingsText: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: INCOME_COLOR,
+    marginBottom: 12,
+  },
+  overspentText: {
+    color: '#D32F2F',
+  },
+  budgetHint: {
+    fontSize: 12,
+    color: '#999',
+    marginTop: 4,
+  },
   categoryGrid: {
     flexDirection: 'row',
     flexWrap: 'wrap',
@@ -282,11 +476,19 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  transactionAmounts: {
+    alignItems: 'flex-end',
+  },
   transactionAmount: {
     fontSize: 16,
     fontWeight: 'bold',
     color: '#333',
   },
+  transactionConverted: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
 });
 
 export default ExpenseOverview;
@@ -0,0 +1,228 @@
+import React, { useMemo } from 'react';
+import { View, Text, StyleSheet, TouchableOpacity, ScrollView, ActivityIndicator, SafeAreaView } from 'react-native';
+import { Ionicons } from '@expo/vector-icons';
+import { useCurrency, useRecurringExpenses } from '../../../hooks/useExpenses';
+import { DEFAULT_CURRENCY, convertAmount } from '../../../utils/currency';
+import { INCOME_COLOR, formatAmount, parseExpenseDate } from '../../../utils/expenses';
+import { describeDaysUntil, describeFrequency, getAnnualCost } from '../../../utils/recurringExpenses';
+
+const formatChargeDate = (key) => parseExpenseDate(key).toLocaleDateString('en-US', {
+  month: 'short',
+  day: 'numeric',
+});
+
+const SubscriptionsTab = ({ navigation }) => {
+  const { data: templates = [], isLoading } = useRecurringExpenses();
+  const { data: currency } = useCurrency();
+  const home = currency?.home || DEFAULT_CURRENCY;
+
+  const upcoming = useMemo(() => templates
+    .filter(template => template.next_date)
+    .sort((a, b) => a.next_date.localeCompare(b.next_date)), [templates]);
+  const ended = templates.filter(template => !template.next_date);
+
+  // Yearly cost of the active recurring expenses in the home currency; income
+  // and charges without an exchange rate are left out
+  const annualTotal = upcoming
+    .filter(template => template.type !== 'income')
+    .reduce((sum, template) => (
+      sum + (convertAmount(getAnnualCost(template), template.currency, currency) || 0)
+    ), 0);
+
+  const openTemplate = (template) => navigation.navigate('RecurringExpense', { template });
+
+  const renderTemplate = (template) => {
+    const isIncome = template.type === 'income';
+    return (
+      <TouchableOpacity key={template.id} style={styles.item} onPress={() => openTemplate(template)}>
+        <View style={[styles.itemIcon, isIncome && { backgroundColor: '#E8F5E9' }]}>
+          <Ionicons name="repeat" size={20} color={isIncome ? INCOME_COLOR : '#2196F3'} />
+        </View>
+        <View style={styles.itemDetails}>
+          <Text style={styles.itemTitle} numberOfLines={1}>{template.title}</Text>
+          <Text style={styles.itemMeta}>
+            {describeFrequency(template.frequency)} · {template.next_date
+              ? `next ${formatChargeDate(template.next_date)}, ${describeDaysUntil(template.next_date)}`
+              : 'ended'}
+          </Text>
+        </View>
+        <View style={styles.itemAmounts}>
+          <Text style={[styles.itemAmount, isIncome && { color: INCOME_COLOR }]}>
+            {isIncome ? '+' : ''}{formatAmount(template.amount, template.currency)}
+          </Text>
+          <Text style={styles.itemAnnual}>
+            {formatAmount(getAnnualCost(template), template.currency)}/yr
+          </Text>
+        </View>
+      </TouchableOpacity>
+    );
+  };
+
+  if (isLoading) {
+    return (
+      <SafeAreaView style={styles.container}>
+        <View style={styles.loadingContainer}>
+          <ActivityIndicator size="large" color="#2196F3" />
+        </View>
+      </SafeAreaView>
+    );
+  }
+
+  return (
+    <SafeAreaView style={styles.container}>
+      <ScrollView style={styles.scrollView} contentContainerStyle={styles.scrollContent}>
+        <View style={styles.summaryCard}>
+          <Text style={styles.summaryLabel}>Recurring costs</Text>
+          <Text style={styles.summaryAmount}>{formatAmount(annualTotal / 12, home)} / month</Text>
+          <Text style={styles.summaryMeta}>{formatAmount(annualTotal, home)} a year</Text>
+        </View>
+
+        <Text style={styles.sectionTitle}>Upcoming charges</Text>
+        {upcoming.length === 0 ? (
+          <Text style={styles.emptyText}>
+            No subscriptions yet. Tap + to add rent, bills or a streaming service.
+          </Text>
+        ) : upcoming.map(renderTemplate)}
+
+        {ended.length > 0 && (
+          <>
+            <Text style={styles.sectionTitle}>Ended</Text>
+            {ended.map(renderTemplate)}
+          </>
+        )}
+      </ScrollView>
+
+      <TouchableOpacity
+        style={styles.fab}
+        onPress={() => navigation.navigate('RecurringExpense')}
+      >
+        <Ionicons name="add" size={24} color="#fff" />
+      </TouchableOpacity>
+    </SafeAreaView>
+  );
+};
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: '#F5F6F8',
+  },
+  loadingContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  scrollView: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingBottom: 88,
+  },
+  summaryCard: {
+    backgroundColor: '#2196F3',
+    padding: 20,
+    margin: 16,
+    borderRadius: 16,
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.2,
+    shadowRadius: 4,
+  },
+  summaryLabel: {
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginBottom: 6,
+  },
+  summaryAmount: {
+    fontSize: 26,
+    fontWeight: 'bold',
+    color: 'white',
+  },
+  summaryMeta: {
+    fontSize: 14,
+    color: 'rgba(255, 255, 255, 0.8)',
+    marginTop: 4,
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+    marginHorizontal: 16,
+    marginTop: 8,
+    marginBottom: 4,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: '#666',
+    marginHorizontal: 16,
+    marginTop: 8,
+  },
+  item: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: 'white',
+    padding: 16,
+    marginHorizontal: 16,
+    marginVertical: 6,
+    borderRadius: 8,
+    elevation: 2,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.1,
+    shadowRadius: 4,
+  },
+  itemIcon: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    backgroundColor: '#E3F2FD',
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  itemDetails: {
+    flex: 1,
+    marginRight: 8,
+  },
+  itemTitle: {
+    fontSize: 16,
+    color: '#333',
+    marginBottom: 4,
+  },
+  itemMeta: {
+    fontSize: 13,
+    color: '#666',
+  },
+  itemAmounts: {
+    alignItems: 'flex-end',
+  },
+  itemAmount: {
+    fontSize: 16,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  itemAnnual: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  fab: {
+    position: 'absolute',
+    right: 16,
+    bottom: 16,
+    width: 56,
+    height: 56,
+    borderRadius: 28,
+    backgroundColor: '#2196F3',
+    justifyContent: 'center',
+    alignItems: 'center',
+    elevation: 4,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 2 },
+    shadowOpacity: 0.25,
+    shadowRadius: 4,
+  },
+});
+
+export default SubscriptionsTab;
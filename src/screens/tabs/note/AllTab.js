@@ -1,4 +1,4 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState } from 'react';
 import {
     View,
     Text,
@@ -9,52 +9,28 @@ import {
     RefreshControl,
     ScrollView
 } from 'react-native';
-import { useFocusEffect } from '@react-navigation/native';
-import api from '../../../services/api';
+import { useNotes } from '../../../hooks/useNotes';
+import useRefreshOnFocus from '../../../hooks/useRefreshOnFocus';
+import { queryKeys } from '../../../services/queryClient';
 import NoteCard from '../../../components/NoteCard';
 import NoteSearch from '../../../components/NoteSearch';
 import NoteCreateEditModal from '../../../components/NoteCreateEditModal';
 
 const AllTab = ({ navigation }) => {
-    const [notes, setNotes] = useState([]);
-    const [isLoading, setIsLoading] = useState(true);
-    const [refreshing, setRefreshing] = useState(false);
     const [searchQuery, setSearchQuery] = useState(null);
     const [perPage, setPerPage] = useState(10);
     const [page, setPage] = useState(1);
-    const [totalPages, setTotalPages] = useState(1);
     const [modalVisible, setModalVisible] = useState(false);
+    const { data, isLoading, isRefetching, refetch } = useNotes({ searchQuery, perPage, page, status: '' });
+    const notes = data?.data || [];
+    const totalPages = Math.ceil((data?.total || 0) / perPage) || 1;
 
-    useEffect(() => {
-        fetchNotes();
-    }, [searchQuery, perPage, page]);
-
-    // Refresh tasks when screen comes into focus
-    useFocusEffect(
-        React.useCallback(() => {
-            fetchNotes();
-        }, [])
-    );
-
-
-
-    const fetchNotes = async () => {
-        try {
-            const response = await api.fetchNotes(searchQuery, perPage, page, '');
-            setTotalPages(Math.ceil(response.total / perPage) || 1);
-            setNotes(response.data || []);
-        } catch (error) {
-            console.error('Error fetching notes:', error);
-        } finally {
-            setIsLoading(false);
-            setRefreshing(false);
-        }
-    };
+    // Refresh notes when screen comes into focus
+    useRefreshOnFocus(queryKeys.notes);
 
     const onRefresh = React.useCallback(() => {
-        setRefreshing(true);
-        fetchNotes();
-    }, []);
+        refetch();
+    }, [refetch]);
 
     const renderEmptyList = () => (
         <View style={styles.emptyContainer}>
@@ -81,10 +57,7 @@ const AllTab = ({ navigation }) => {
             <FlatList
                 data={notes}
                 renderItem={({ item }) => (
-                    <NoteCard
-                        item={item}
-                        refreshNotes={onRefresh}
-                    />
+                    <NoteCard item={item} />
                 )}
                 keyExtractor={(item) => item.id.toString()}
                 contentContainerStyle={styles.listContainer}
@@ -95,13 +68,7 @@ const AllTab = ({ navigation }) => {
                             <>
                                 <TouchableOpacity
                                     style={styles.paginationButton}
-                                    onPress={() => {
-                                        setPage(prevPage => {
-                                            const newPage = prevPage - 1;
-                                            setIsLoading(true);
-                                            return newPage;
-                                        });
-                                    }}
+                                    onPress={() => setPage(prevPage => prevPage - 1)}
                                     disabled={page === 1}
                                 >
                                     <Text style={styles.paginationButtonText}>Prev</Text>
@@ -109,13 +76,7 @@ const AllTab = ({ navigation }) => {
                                 <Text style={styles.paginationText}>{page}</Text>
                                 <TouchableOpacity
                                     style={styles.paginationButton}
-                                    onPress={() => {
-                                        setPage(prevPage => {
-                                            const newPage = prevPage + 1;
-                                            setIsLoading(true);
-                                            return newPage;
-                                        });
-                                    }}
+                                    onPress={() => setPage(prevPage => prevPage + 1)}
                                     disabled={page === totalPages}
                                 >
                                     <Text style={styles.paginationButtonText}>Next</Text>
@@ -128,7 +89,7 @@ const AllTab = ({ navigation }) => {
                 }
                 refreshControl={
                     <RefreshControl
-                        refreshing={refreshing}
+                        refreshing={isRefetching}
                         onRefresh={onRefresh}
                         colors={['#007AFF']}
                     />
@@ -146,7 +107,6 @@ const AllTab = ({ navigation }) => {
                 modalVisible={modalVisible}
                 onClose={() => setModalVisible(false)}
                 note={null}
-                refreshNotes={onRefresh}
             />
         </View>
     );
@@ -1,73 +1,113 @@
-import React, { useState } from 'react';
-import { View, Text, StyleSheet, ScrollView, ActivityIndicator, Platform } from 'react-native';
+import React, { useMemo, useState } from 'react';
+import { View, Text, StyleSheet, ScrollView, ActivityIndicator, Platform, TouchableOpacity } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { useFocusEffect } from '@react-navigation/native';
-import api from '../../../services/api';
+import { useTasks } from '../../../hooks/useTasks';
+import useRefreshOnFocus from '../../../hooks/useRefreshOnFocus';
+import { queryKeys } from '../../../services/queryClient';
+import { getChecklistProgress, getTaskProgress } from '../../../utils/checklist';
+import { TASK_STATUSES, getTaskStatus, isClosed } from '../../../utils/taskStatus';
+import { startOfWeek } from '../../../utils/calendar';
+import { formatDuration, getTimeByCategory, getTrackedSecondsSince } from '../../../utils/timeTracking';
+import BarChart from '../../../components/charts/BarChart';
+import DonutChart from '../../../components/charts/DonutChart';
+import LineChart from '../../../components/charts/LineChart';
+import {
+  DATE_RANGES,
+  WEEKDAY_LABELS,
+  getCompletionsByWeekday,
+  getCompletionsPerDay,
+  getCompletionsPerWeek,
+  getOnTimeStats,
+  getRangeStart,
+  getStreaks,
+} from '../../../utils/productivity';
 
 const AnalyticsTab = () => {
-  const [analytics, setAnalytics] = useState(null);
-  const [isLoading, setIsLoading] = useState(true);
+  const { data: tasks, isLoading } = useTasks();
+  const [rangeWeeks, setRangeWeeks] = useState(12);
+  const [granularity, setGranularity] = useState('week');
 
   // Refresh analytics when screen comes into focus
-  useFocusEffect(
-    React.useCallback(() => {
-      fetchAnalytics();
-    }, [])
-  );
-
-  const fetchAnalytics = async () => {
-    try {
-      const response = await api.getTasks();
-      const stats = calculateStats(response || []);
-      setAnalytics(stats);
-    } catch (error) {
-      console.error('Error fetching analytics:', error);
-      setAnalytics({
-        total: 0,
-        completed: 0,
-        pending: 0,
-        inProgress: 0,
-        completionRate: 0,
-        categories: {}
-      });
-    } finally {
-      setIsLoading(false);
-    }
-  };
+  useRefreshOnFocus(queryKeys.tasks);
 
   const calculateStats = (tasks) => {
     const total = tasks.length;
-    const completed = tasks.filter(task => task.status === 'completed').length;
-    const pending = tasks.filter(task => task.status === 'pending').length;
+    const byStatus = TASK_STATUSES.reduce((acc, status) => ({ ...acc, [status.value]: 0 }), {});
+    tasks.forEach(task => {
+      byStatus[getTaskStatus(task)]++;
+    });
+    const partial = tasks.filter(task => !isClosed(task) && getTaskProgress(task) > 0).length;
+
+    // Cancelled tasks are left out of the rate; unfinished ones count for the
+    // share of their checklist that is ticked
+    const counted = tasks.filter(task => getTaskStatus(task) !== 'cancelled');
+    const progress = counted.reduce((sum, task) => sum + getTaskProgress(task), 0);
+    const checklistItems = tasks.reduce((sum, task) => {
+      const { done, total: items } = getChecklistProgress(task.checklist);
+      return { done: sum.done + done, total: sum.total + items };
+    }, { done: 0, total: 0 });
 
     // Group tasks by category
     const categories = tasks.reduce((acc, task) => {
       const categoryName = task.category?.title || 'Uncategorized';
       if (!acc[categoryName]) {
         acc[categoryName] = {
+          color: task.category?.color || null,
           total: 0,
           completed: 0,
-          pending: 0
+          open: 0
         };
       }
       acc[categoryName].total++;
-      if (task.status === 'completed') {
+      if (getTaskStatus(task) === 'completed') {
         acc[categoryName].completed++;
-      } else {
-        acc[categoryName].pending++;
+      } else if (!isClosed(task)) {
+        acc[categoryName].open++;
       }
       return acc;
     }, {});
 
+    const now = new Date();
+    const timeByCategory = getTimeByCategory(tasks);
+
     return {
       total,
-      completed,
-      pending,
-      completionRate: total ? Math.round((completed / total) * 100) : 0,
-      categories
+      byStatus,
+      partial,
+      checklistItems,
+      completionRate: counted.length ? Math.round((progress / counted.length) * 100) : 0,
+      categories,
+      timeByCategory,
+      trackedToday: getTrackedSecondsSince(tasks, new Date(now.getFullYear(), now.getMonth(), now.getDate())),
+      trackedThisWeek: getTrackedSecondsSince(tasks, startOfWeek(now)),
+      trackedTotal: timeByCategory.reduce((sum, category) => sum + category.seconds, 0),
     };
   };
 
+  const analytics = useMemo(() => calculateStats(tasks || []), [tasks]);
+
+  const trends = useMemo(() => {
+    const list = tasks || [];
+    const since = getRangeStart(rangeWeeks);
+    const series = granularity === 'day'
+      ? getCompletionsPerDay(list, since)
+      : getCompletionsPerWeek(list, since);
+    const byWeekday = getCompletionsByWeekday(list, since);
+    const busiest = Math.max(...byWeekday);
+
+    return {
+      series,
+      completed: series.reduce((sum, point) => sum + point.count, 0),
+      streaks: getStreaks(list),
+      onTime: getOnTimeStats(list, since),
+      byWeekday,
+      busiestDay: busiest > 0 ? byWeekday.indexOf(busiest) : null,
+    };
+  }, [tasks, rangeWeeks, granularity]);
+
+  const formatShortDate = (date) => date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+  const onTimeTotal = trends.onTime.onTime + trends.onTime.late;
+
   if (isLoading) {
     return (
       <View style={styles.loadingContainer}>
@@ -100,39 +140,161 @@ const AnalyticsTab = () => {
       <View style={styles.section}>
         <Text style={styles.sectionTitle}>Status Breakdown</Text>
         <View style={styles.statusContainer}>
-          <View style={styles.statusCard}>
-            <View style={[styles.statusIcon, { backgroundColor: '#4CAF50' }]}>
-              <Ionicons name="checkmark" size={20} color="white" />
+          {TASK_STATUSES.map(status => (
+            <View key={status.value} style={styles.statusCard}>
+              <View style={[styles.statusIcon, { backgroundColor: status.color }]}>
+                <Ionicons name={status.icon || 'time'} size={20} color="white" />
+              </View>
+              <Text style={styles.statusLabel}>{status.label}</Text>
+              <Text style={styles.statusValue}>{analytics.byStatus[status.value]}</Text>
             </View>
-            <Text style={styles.statusLabel}>Completed</Text>
-            <Text style={styles.statusValue}>{analytics.completed}</Text>
+          ))}
+        </View>
+        {analytics.checklistItems.total > 0 && (
+          <Text style={styles.checklistSummary}>
+            {analytics.checklistItems.done} of {analytics.checklistItems.total} checklist items done
+            {analytics.partial > 0 && `, ${analytics.partial} open tasks partly done`}
+          </Text>
+        )}
+      </View>
+
+      {/* Productivity Trends */}
+      <View style={styles.section}>
+        <Text style={styles.sectionTitle}>Productivity Trends</Text>
+        <ScrollView horizontal showsHorizontalScrollIndicator={false} contentContainerStyle={styles.chipRow}>
+          {DATE_RANGES.map(range => (
+            <TouchableOpacity
+              key={range.value}
+              style={[styles.chip, rangeWeeks === range.value && styles.chipActive]}
+              onPress={() => setRangeWeeks(range.value)}
+            >
+              <Text style={[styles.chipText, rangeWeeks === range.value && styles.chipTextActive]}>
+                {range.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        <View style={styles.trendHeader}>
+          <Text style={styles.trendTotal}>{trends.completed} completed</Text>
+          <View style={styles.segmented}>
+            {[{ value: 'day', label: 'Daily' }, { value: 'week', label: 'Weekly' }].map(option => (
+              <TouchableOpacity
+                key={option.value}
+                style={[styles.segment, granularity === option.value && styles.segmentActive]}
+                onPress={() => setGranularity(option.value)}
+              >
+                <Text style={[styles.segmentText, granularity === option.value && styles.segmentTextActive]}>
+                  {option.label}
+                </Text>
+              </TouchableOpacity>
+            ))}
           </View>
+        </View>
 
-          <View style={styles.statusCard}>
-            <View style={[styles.statusIcon, { backgroundColor: '#FFA000' }]}>
-              <Ionicons name="time" size={20} color="white" />
-            </View>
-            <Text style={styles.statusLabel}>Pending</Text>
-            <Text style={styles.statusValue}>{analytics.pending}</Text>
+        <LineChart
+          data={trends.series.map(point => ({ label: formatShortDate(point.date), value: point.count }))}
+          formatValue={(value) => `${value} completed`}
+          formatAxis={(value) => `${Math.round(value)}`}
+          accessibilityLabel={`Tasks completed per ${granularity}: ${trends.completed} in total`}
+        />
+
+        <View style={styles.streakRow}>
+          <View style={styles.streakCard}>
+            <Ionicons name="flame" size={24} color="#F4511E" />
+            <Text style={styles.streakValue}>{trends.streaks.current}</Text>
+            <Text style={styles.streakLabel}>Current streak (days)</Text>
+          </View>
+          <View style={styles.streakCard}>
+            <Ionicons name="trophy" size={24} color="#FFA000" />
+            <Text style={styles.streakValue}>{trends.streaks.longest}</Text>
+            <Text style={styles.streakLabel}>Longest streak (days)</Text>
           </View>
         </View>
+
+        <Text style={styles.subsectionTitle}>On time vs late</Text>
+        {onTimeTotal > 0 ? (
+          <>
+            <View style={styles.splitBar}>
+              <View style={[styles.splitOnTime, { flex: trends.onTime.onTime }]} />
+              <View style={[styles.splitLate, { flex: trends.onTime.late }]} />
+            </View>
+            <View style={styles.barAxis}>
+              <Text style={styles.onTimeText}>
+                {Math.round((trends.onTime.onTime / onTimeTotal) * 100)}% on time ({trends.onTime.onTime})
+              </Text>
+              <Text style={styles.lateText}>{trends.onTime.late} late</Text>
+            </View>
+          </>
+        ) : (
+          <Text style={styles.emptyTrendText}>No completed tasks with a due date in this range</Text>
+        )}
+
+        <Text style={styles.subsectionTitle}>
+          Busiest day{trends.busiestDay !== null ? `: ${WEEKDAY_LABELS[trends.busiestDay]}` : ''}
+        </Text>
+        <BarChart
+          data={trends.byWeekday.map((count, day) => ({ label: WEEKDAY_LABELS[day], value: count }))}
+          height={120}
+          color="#90CAF9"
+          highlightIndex={trends.busiestDay}
+          formatValue={(value) => `${value} completed`}
+          formatAxis={(value) => `${Math.round(value)}`}
+        />
       </View>
 
       {/* Category Distribution */}
       {Object.keys(analytics.categories).length > 0 && (
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Category Distribution</Text>
+          <DonutChart
+            data={Object.entries(analytics.categories).map(([category, stats], index) => ({
+              label: category,
+              value: stats.total,
+              color: stats.color || getCategoryColor(index),
+            }))}
+            formatValue={(value) => `${value} tasks`}
+          />
           {Object.entries(analytics.categories).map(([category, stats], index) => (
             <View key={index} style={styles.categoryRow}>
               <View style={styles.categoryInfo}>
-                <View style={[styles.categoryDot, { backgroundColor: getCategoryColor(index) }]} />
+                <View style={[styles.categoryDot, { backgroundColor: stats.color || getCategoryColor(index) }]} />
                 <Text style={styles.categoryName}>{category}</Text>
               </View>
-              <Text style={styles.categoryCount}>{stats.total} tasks ({stats.completed} completed, {stats.pending} pending)</Text>
+              <Text style={styles.categoryCount}>{stats.total} tasks ({stats.completed} completed, {stats.open} open)</Text>
             </View>
           ))}
         </View>
       )}
+
+      {/* Time Spent */}
+      {analytics.timeByCategory.length > 0 && (
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Time Spent</Text>
+          <View style={styles.timeSummary}>
+            <View style={styles.timeSummaryItem}>
+              <Text style={styles.timeSummaryValue}>{formatDuration(analytics.trackedToday)}</Text>
+              <Text style={styles.timeSummaryLabel}>Today</Text>
+            </View>
+            <View style={styles.timeSummaryItem}>
+              <Text style={styles.timeSummaryValue}>{formatDuration(analytics.trackedThisWeek)}</Text>
+              <Text style={styles.timeSummaryLabel}>This week</Text>
+            </View>
+            <View style={styles.timeSummaryItem}>
+              <Text style={styles.timeSummaryValue}>{formatDuration(analytics.trackedTotal)}</Text>
+              <Text style={styles.timeSummaryLabel}>All time</Text>
+            </View>
+          </View>
+          <DonutChart
+            data={analytics.timeByCategory.map((category, index) => ({
+              label: category.title,
+              value: category.seconds,
+              color: category.color || getCategoryColor(index),
+            }))}
+            formatValue={formatDuration}
+          />
+        </View>
+      )}
     </ScrollView>
   );
 };
@@ -204,13 +366,13 @@ const styles = StyleSheet.create({
   },
   statusContainer: {
     flexDirection: 'row',
-    justifyContent: 'space-between',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
   },
   statusCard: {
-    flex: 1,
+    width: '33%',
     alignItems: 'center',
-    padding: 16,
-    marginHorizontal: 4,
+    padding: 12,
   },
   statusIcon: {
     width: 36,
@@ -230,6 +392,12 @@ const styles = StyleSheet.create({
     fontWeight: 'bold',
     color: '#333',
   },
+  checklistSummary: {
+    fontSize: 14,
+    color: '#666',
+    textAlign: 'center',
+    marginTop: 8,
+  },
   categoryRow: {
     flexDirection: 'row',
     justifyContent: 'space-between',
@@ -256,6 +424,136 @@ const styles = StyleSheet.create({
     fontSize: 14,
     color: '#666',
   },
+  chipRow: {
+    marginBottom: 12,
+  },
+  chip: {
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    borderRadius: 16,
+    backgroundColor: '#F0F0F0',
+    marginRight: 8,
+  },
+  chipActive: {
+    backgroundColor: '#2196F3',
+  },
+  chipText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  chipTextActive: {
+    color: 'white',
+  },
+  trendHeader: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    alignItems: 'center',
+    marginBottom: 12,
+  },
+  trendTotal: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: '#333',
+  },
+  segmented: {
+    flexDirection: 'row',
+    backgroundColor: '#F0F0F0',
+    borderRadius: 8,
+    padding: 2,
+  },
+  segment: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 6,
+  },
+  segmentActive: {
+    backgroundColor: 'white',
+  },
+  segmentText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  segmentTextActive: {
+    color: '#2196F3',
+    fontWeight: '600',
+  },
+  barAxis: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: 6,
+  },
+  streakRow: {
+    flexDirection: 'row',
+    marginTop: 20,
+  },
+  streakCard: {
+    flex: 1,
+    alignItems: 'center',
+    padding: 12,
+    marginHorizontal: 4,
+    borderRadius: 12,
+    backgroundColor: '#F5F6F8',
+  },
+  streakValue: {
+    fontSize: 24,
+    fontWeight: 'bold',
+    color: '#333',
+    marginTop: 4,
+  },
+  streakLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 2,
+  },
+  subsectionTitle: {
+    fontSize: 14,
+    fontWeight: '600',
+    color: '#333',
+    marginTop: 20,
+    marginBottom: 8,
+  },
+  splitBar: {
+    flexDirection: 'row',
+    height: 12,
+    borderRadius: 6,
+    overflow: 'hidden',
+  },
+  splitOnTime: {
+    backgroundColor: '#4CAF50',
+  },
+  splitLate: {
+    backgroundColor: '#D32F2F',
+  },
+  onTimeText: {
+    fontSize: 12,
+    color: '#388E3C',
+  },
+  lateText: {
+    fontSize: 12,
+    color: '#D32F2F',
+  },
+  emptyTrendText: {
+    fontSize: 14,
+    color: '#666',
+  },
+  timeSummary: {
+    flexDirection: 'row',
+    marginBottom: 8,
+  },
+  timeSummaryItem: {
+    flex: 1,
+    alignItems: 'center',
+  },
+  timeSummaryValue: {
+    fontSize: 20,
+    fontWeight: 'bold',
+    color: '#333',
+  },
+  timeSummaryLabel: {
+    fontSize: 12,
+    color: '#666',
+    marginTop: 4,
+  },
 });
 
 export default AnalyticsTab;
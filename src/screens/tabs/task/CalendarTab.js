@@ -1,69 +1,75 @@
-import React, { useState, useEffect } from 'react';
-import { View, Text, StyleSheet, ScrollView, Pressable, ActivityIndicator, FlatList, SafeAreaView } from 'react-native';
+import React, { useState, useMemo } from 'react';
+import { View, Text, StyleSheet, ActivityIndicator, FlatList, SafeAreaView, Animated, Alert } from 'react-native';
 import { Ionicons } from '@expo/vector-icons';
-import { useFocusEffect } from '@react-navigation/native';
-import api from '../../../services/api';
 import TaskCard from '../../../components/TaskCard';
+import MonthCalendar from '../../../components/MonthCalendar';
+import DayTimeline from '../../../components/DayTimeline';
+import UndoBar from '../../../components/UndoBar';
+import { useTasks, useUpdateTaskStatus, useRescheduleTask } from '../../../hooks/useTasks';
+import useRefreshOnFocus from '../../../hooks/useRefreshOnFocus';
+import useTaskDrag from '../../../hooks/useTaskDrag';
+import { queryKeys } from '../../../services/queryClient';
+import { getTaskCountsByDay, isSameDay } from '../../../utils/calendar';
 
 const CalendarTab = ({ navigation }) => {
-  const [tasks, setTasks] = useState([]);
+  const { data: tasks = [], isLoading } = useTasks();
+  const updateTaskStatus = useUpdateTaskStatus();
+  const rescheduleTask = useRescheduleTask();
   const [selectedDate, setSelectedDate] = useState(new Date());
-  const [isLoading, setIsLoading] = useState(true);
-  const [weekDates, setWeekDates] = useState([]);
-  const [updatingTaskId, setUpdatingTaskId] = useState(null);
-
-  useEffect(() => {
-    generateWeekDates();
-  }, []);
+  const [mode, setMode] = useState('month');
+  const [lastMove, setLastMove] = useState(null);
+  const taskCounts = useMemo(() => getTaskCountsByDay(tasks), [tasks]);
 
   // Refresh tasks when screen comes into focus
-  useFocusEffect(
-    React.useCallback(() => {
-      fetchTasks();
-    }, [])
-  );
-
-  const generateWeekDates = () => {
-    const dates = [];
-    const today = new Date();
-    const startDate = new Date(today);
-    startDate.setDate(today.getDate() - 3); // Start from 3 days ago
-
-    for (let i = 0; i < 7; i++) {
-      const date = new Date(startDate);
-      date.setDate(startDate.getDate() + i);
-      dates.push(date);
-    }
-    setWeekDates(dates);
-  };
-
-  const fetchTasks = async () => {
-    try {
-      const response = await api.getTasks();
-      setTasks(response || []);
-    } catch (error) {
-      console.error('Error fetching tasks:', error);
-      setTasks([]);
-    } finally {
-      setIsLoading(false);
-    }
-  };
-
-  const formatDate = (date) => {
-    const days = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
-    return {
-      day: days[date.getDay()],
-      date: date.getDate(),
-    };
-  };
-
-  const isToday = (date) => {
-    const today = new Date();
-    return date.toDateString() === today.toDateString();
+  useRefreshOnFocus(queryKeys.tasks);
+
+  const updatingTaskId = updateTaskStatus.isPending ? updateTaskStatus.variables?.taskId : null;
+
+  // Dropping on a day keeps the time; dropping on a time slot moves it to that hour
+  const handleDrop = (task, { date, hour }) => {
+    const current = new Date(task.due_date);
+    const dueDate = new Date(
+      date.getFullYear(),
+      date.getMonth(),
+      date.getDate(),
+      hour ?? current.getHours(),
+      hour === undefined ? current.getMinutes() : 0
+    );
+    if (dueDate.getTime() === current.getTime()) return;
+
+    rescheduleTask.mutate(
+      { task, dueDate },
+      {
+        onSuccess: () => setLastMove({
+          id: Date.now(),
+          task,
+          message: `Moved to ${dueDate.toLocaleDateString('en-US', { month: 'short', day: 'numeric' })}, ${dueDate.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}`,
+        }),
+        onError: (error) => {
+          console.error('Error rescheduling task:', error);
+          Alert.alert('Error', 'Failed to reschedule task');
+        },
+      }
+    );
   };
 
-  const isSameDay = (date1, date2) => {
-    return date1.toDateString() === date2.toDateString();
+  const {
+    dragTask,
+    hoverKey,
+    position,
+    containerRef,
+    registerTarget,
+    startDrag,
+    touchHandlers,
+  } = useTaskDrag(handleDrop);
+
+  const handleUndo = () => {
+    const { task } = lastMove;
+    setLastMove(null);
+    rescheduleTask.mutate(
+      { task, dueDate: new Date(task.due_date) },
+      { onError: (error) => console.error('Error undoing reschedule:', error) }
+    );
   };
 
   const getFilteredTasks = () => {
@@ -74,32 +80,14 @@ const CalendarTab = ({ navigation }) => {
     });
   };
 
-  const handleDateSelect = (date) => {
-    setSelectedDate(date);
+  const handleChangeStatus = (task, status) => {
+    updateTaskStatus.mutate(
+      { taskId: task.id, status, task },
+      { onError: (error) => console.error('Error updating task status:', error) }
+    );
   };
 
-  const handleToggleStatus = async (task) => {
-    setUpdatingTaskId(task.id);
-    try {
-      // Convert boolean to string for the API
-      const newStatus = task.status ? 'pending' : 'completed';
-      await api.updateTaskStatus(task.id, newStatus);
-      
-      // Update the task in the local state immediately
-      setTasks(currentTasks => 
-        currentTasks.map(t => 
-          t.id === task.id ? { ...t, status: !t.status } : t
-        )
-      );
-      
-      // Refresh the list to ensure sync with server
-      await fetchTasks();
-    } catch (error) {
-      console.error('Error updating task status:', error);
-    } finally {
-      setUpdatingTaskId(null);
-    }
-  };
+  const openTask = (task) => navigation.navigate('EditTask', { task });
 
   const renderEmptyList = () => (
     <View style={styles.emptyContainer}>
@@ -109,13 +97,15 @@ const CalendarTab = ({ navigation }) => {
   );
 
   const renderTask = ({ item }) => (
-    <TaskCard
-      key={item.id}
-      task={item}
-      onPress={() => navigation.navigate('EditTask', { task: item })}
-      onToggleStatus={handleToggleStatus}
-      updatingTaskId={updatingTaskId}
-    />
+    <View style={dragTask?.id === item.id && styles.draggingTask}>
+      <TaskCard
+        task={item}
+        onPress={() => openTask(item)}
+        onLongPress={(event) => startDrag(item, event)}
+        onChangeStatus={handleChangeStatus}
+        updatingTaskId={updatingTaskId}
+      />
+    </View>
   );
 
   if (isLoading) {
@@ -129,49 +119,62 @@ const CalendarTab = ({ navigation }) => {
   const filteredTasks = getFilteredTasks();
 
   return (
-    <View style={styles.container}>
-      {/* Calendar Strip */}
+    <View ref={containerRef} style={styles.container} {...touchHandlers}>
       <SafeAreaView>
-      <ScrollView 
-        horizontal 
-        showsHorizontalScrollIndicator={false}
-        style={styles.calendarStrip}
-      >
-        {weekDates.map((date, index) => (
-          <Pressable
-            key={index}
-            style={[
-              styles.dateCard,
-              isToday(date) && styles.todayCard,
-              isSameDay(date, selectedDate) && styles.selectedDateCard
-            ]}
-            onPress={() => handleDateSelect(date)}
-          >
-            <Text style={[
-              styles.dayText,
-              isToday(date) && styles.todayText,
-              isSameDay(date, selectedDate) && styles.selectedText
-            ]}>
-              {formatDate(date).day}
-            </Text>
-            <Text style={[
-              styles.dateText,
-              isToday(date) && styles.todayText,
-              isSameDay(date, selectedDate) && styles.selectedText
-            ]}>
-              {formatDate(date).date}
-            </Text>
-          </Pressable>
-        ))}
-      </ScrollView>
+        <MonthCalendar
+          selectedDate={selectedDate}
+          onSelectDate={setSelectedDate}
+          mode={mode}
+          onModeChange={setMode}
+          taskCounts={taskCounts}
+          registerTarget={registerTarget}
+          hoverKey={hoverKey}
+        />
       </SafeAreaView>
-      {/* Tasks List */}
-      <FlatList
-        data={filteredTasks}
-        renderItem={renderTask}
-        keyExtractor={item => item.id.toString()}
-        contentContainerStyle={styles.tasksList}
-        ListEmptyComponent={renderEmptyList}
+      <Text style={styles.selectedDateText}>
+        {selectedDate.toLocaleDateString('en-US', { weekday: 'long', month: 'long', day: 'numeric' })}
+      </Text>
+      <Text style={styles.hintText}>Long-press a task and drag it to reschedule</Text>
+
+      {mode === 'day' ? (
+        <DayTimeline
+          date={selectedDate}
+          tasks={filteredTasks}
+          onPressTask={openTask}
+          onLongPressTask={startDrag}
+          registerTarget={registerTarget}
+          hoverKey={hoverKey}
+          dragTaskId={dragTask?.id}
+          scrollEnabled={!dragTask}
+        />
+      ) : (
+        <FlatList
+          data={filteredTasks}
+          renderItem={renderTask}
+          keyExtractor={item => item.id.toString()}
+          contentContainerStyle={styles.tasksList}
+          ListEmptyComponent={renderEmptyList}
+          scrollEnabled={!dragTask}
+        />
+      )}
+
+      {dragTask && (
+        <Animated.View
+          pointerEvents="none"
+          style={[styles.dragGhost, { transform: position.getTranslateTransform() }]}
+        >
+          <Ionicons name="calendar-outline" size={16} color="white" />
+          <Text style={styles.dragGhostText} numberOfLines={1}>
+            {dragTask.title || 'Untitled Task'}
+          </Text>
+        </Animated.View>
+      )}
+
+      <UndoBar
+        key={lastMove?.id}
+        message={lastMove?.message}
+        onUndo={handleUndo}
+        onDismiss={() => setLastMove(null)}
       />
     </View>
   );
@@ -187,61 +190,57 @@ const styles = StyleSheet.create({
     justifyContent: 'center',
     alignItems: 'center',
   },
-  calendarStrip: {
-    height: 120, // Fixed height for the calendar strip
-    backgroundColor: 'white',
-    paddingVertical: 12,
-    paddingHorizontal: 8,
-    borderBottomWidth: 1,
-    borderBottomColor: '#E0E0E0',
-    elevation: 2,
-    shadowColor: '#000',
-    shadowOffset: { width: 0, height: 2 },
-    shadowOpacity: 0.1,
-    shadowRadius: 4,
-  },
-  dateCard: {
-    width: 60,
-    height: 80,
-    justifyContent: 'center',
-    alignItems: 'center',
-    marginHorizontal: 6,
-    borderRadius: 12,
-    backgroundColor: '#F5F6F8',
-  },
-  selectedDateCard: {
-    backgroundColor: '#2196F3',
-  },
-  todayCard: {
-    borderWidth: 2,
-    borderColor: '#2196F3',
-  },
-  dayText: {
-    fontSize: 14,
-    color: '#666',
-    marginBottom: 4,
-  },
-  dateText: {
-    fontSize: 20,
-    fontWeight: 'bold',
+  selectedDateText: {
+    fontSize: 16,
+    fontWeight: '600',
     color: '#333',
+    paddingHorizontal: 16,
+    paddingTop: 16,
   },
-  selectedText: {
-    color: 'white',
-  },
-  todayText: {
-    fontWeight: 'bold',
-    color: '#2196F3',
+  hintText: {
+    fontSize: 12,
+    color: '#999',
+    paddingHorizontal: 16,
+    paddingTop: 4,
   },
   tasksList: {
     padding: 16,
     flexGrow: 1,
   },
+  draggingTask: {
+    opacity: 0.4,
+  },
+  dragGhost: {
+    position: 'absolute',
+    top: 0,
+    left: 0,
+    width: 200,
+    marginLeft: -100,
+    marginTop: -24,
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: '#2196F3',
+    borderRadius: 12,
+    paddingHorizontal: 12,
+    paddingVertical: 10,
+    elevation: 6,
+    shadowColor: '#000',
+    shadowOffset: { width: 0, height: 3 },
+    shadowOpacity: 0.25,
+    shadowRadius: 6,
+  },
+  dragGhostText: {
+    flex: 1,
+    fontSize: 14,
+    fontWeight: '600',
+    color: 'white',
+    marginLeft: 8,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
     alignItems: 'center',
-    paddingTop: 100,
+    paddingTop: 40,
   },
   emptyText: {
     fontSize: 16,
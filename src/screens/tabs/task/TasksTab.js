@@ -1,100 +1,128 @@
-import React, { useState, useEffect } from 'react';
+import React, { useState, useMemo } from 'react';
 import {
   View,
   Text,
   StyleSheet,
   FlatList,
+  SectionList,
   TouchableOpacity,
   ActivityIndicator,
   RefreshControl,
-  ScrollView
+  ScrollView,
+  Alert
 } from 'react-native';
-import { useFocusEffect } from '@react-navigation/native';
+import { Ionicons } from '@expo/vector-icons';
 import TaskCard from '../../../components/TaskCard';
-import api from '../../../services/api';
+import { useCategories, useTasks, useUpdateTaskStatus, useRescheduleTasks } from '../../../hooks/useTasks';
+import useRefreshOnFocus from '../../../hooks/useRefreshOnFocus';
+import usePersistentState from '../../../hooks/usePersistentState';
+import { queryKeys } from '../../../services/queryClient';
+import { SORT_OPTIONS, sortTasks } from '../../../utils/taskSort';
+import { TASK_STATUSES, getTaskStatus } from '../../../utils/taskStatus';
+import { getCategoryStyle } from '../../../utils/categoryStyle';
+import { getTodayDueDate, groupTasks } from '../../../utils/taskGroups';
 
 const TasksTab = ({ navigation }) => {
-  const [tasks, setTasks] = useState([]);
-  const [categories, setCategories] = useState([]);
+  const { data: tasks = [], isLoading, isRefetching, refetch } = useTasks();
+  const { data: categories = [] } = useCategories();
+  const updateTaskStatus = useUpdateTaskStatus();
+  const rescheduleTasks = useRescheduleTasks();
   const [selectedCategory, setSelectedCategory] = useState('all');
-  const [isLoading, setIsLoading] = useState(true);
-  const [refreshing, setRefreshing] = useState(false);
-  const [updatingTaskId, setUpdatingTaskId] = useState(null);
-
-  useEffect(() => {
-    fetchCategories();
-  }, []);
+  const [selectedStatus, setSelectedStatus] = useState('all');
+  const [sortBy, setSortBy] = usePersistentState('taskSortOrder', 'priority');
+  const [viewMode, setViewMode] = usePersistentState('taskViewMode', 'smart');
+  const [collapsedGroups, setCollapsedGroups] = usePersistentState('taskCollapsedGroups', ['earlier']);
 
   // Refresh tasks when screen comes into focus
-  useFocusEffect(
-    React.useCallback(() => {
-      fetchTasks();
-    }, [])
-  );
+  useRefreshOnFocus(queryKeys.tasks);
 
-  const fetchCategories = async () => {
-    try {
-      const response = await api.getCategories();
-      setCategories(response);
-    } catch (error) {
-      console.error('Error fetching categories:', error);
-    }
-  };
+  const updatingTaskId = updateTaskStatus.isPending ? updateTaskStatus.variables?.taskId : null;
 
-  const fetchTasks = async () => {
-    try {
-      const response = await api.getTasks();
-      setTasks(response || []);
-    } catch (error) {
-      console.error('Error fetching tasks:', error);
-    } finally {
-      setIsLoading(false);
-      setRefreshing(false);
-    }
+  const handleChangeStatus = (task, status) => {
+    updateTaskStatus.mutate(
+      { taskId: task.id, status, task },
+      { onError: (error) => console.error('Error updating task status:', error) }
+    );
   };
 
-  const handleToggleStatus = async (task) => {
-    setUpdatingTaskId(task.id);
-    try {
-      // Convert boolean to string for the API
-      const newStatus = task.status ? 'pending' : 'completed';
-      await api.updateTaskStatus(task.id, newStatus);
+  const onRefresh = React.useCallback(() => {
+    refetch();
+  }, [refetch]);
 
-      // Update the task in the local state immediately
-      setTasks(currentTasks =>
-        currentTasks.map(t =>
-          t.id === task.id ? { ...t, status: !t.status } : t
-        )
-      );
+  const visibleTasks = useMemo(() => {
+    const filtered = tasks.filter(task => (
+      (selectedCategory === 'all' || task.category_id.toString() === selectedCategory) &&
+      (selectedStatus === 'all' || getTaskStatus(task) === selectedStatus)
+    ));
+    return sortTasks(filtered, sortBy);
+  }, [tasks, selectedCategory, selectedStatus, sortBy]);
 
-      // Refresh the list to ensure sync with server
-      await fetchTasks();
-    } catch (error) {
-      console.error('Error updating task status:', error);
-    } finally {
-      setUpdatingTaskId(null);
-    }
-  };
+  // Collapsed sections keep their tasks in `tasks` for the header count
+  const sections = useMemo(() => groupTasks(visibleTasks).map(section => ({
+    ...section,
+    tasks: section.data,
+    data: collapsedGroups.includes(section.key) ? [] : section.data,
+  })), [visibleTasks, collapsedGroups]);
 
-  const onRefresh = React.useCallback(() => {
-    setRefreshing(true);
-    fetchTasks();
-  }, []);
+  const toggleGroup = (key) => {
+    setCollapsedGroups(collapsedGroups.includes(key)
+      ? collapsedGroups.filter(item => item !== key)
+      : [...collapsedGroups, key]);
+  };
 
-  const getFilteredTasks = () => {
-    if (selectedCategory === 'all') return tasks;
-    return tasks.filter(task => task.category_id.toString() === selectedCategory);
+  const handleMoveOverdueToToday = (overdueTasks) => {
+    const now = new Date();
+    rescheduleTasks.mutate(
+      overdueTasks.map(task => ({ task, dueDate: getTodayDueDate(task, now) })),
+      {
+        onError: (error) => {
+          console.error('Error moving overdue tasks:', error);
+          Alert.alert('Error', 'Failed to move overdue tasks');
+        },
+      }
+    );
   };
 
   const renderTask = ({ item }) => (
     <TaskCard
       task={item}
       onPress={() => navigation.navigate('EditTask', { task: item })}
-      onToggleStatus={() => handleToggleStatus(item)}
+      onChangeStatus={handleChangeStatus}
       updatingTaskId={updatingTaskId}
     />
   );
 
+  const renderSectionHeader = ({ section }) => {
+    const collapsed = collapsedGroups.includes(section.key);
+    return (
+      <View style={styles.sectionHeader}>
+        <TouchableOpacity style={styles.sectionToggle} onPress={() => toggleGroup(section.key)}>
+          <Ionicons name={collapsed ? 'chevron-forward' : 'chevron-down'} size={18} color="#666" />
+          <Text style={[styles.sectionTitle, { color: section.color }]}>{section.title}</Text>
+          <View style={styles.sectionCount}>
+            <Text style={styles.sectionCountText}>{section.tasks.length}</Text>
+          </View>
+        </TouchableOpacity>
+        {section.key === 'overdue' && (
+          <TouchableOpacity
+            style={styles.moveOverdueButton}
+            onPress={() => handleMoveOverdueToToday(section.tasks)}
+            disabled={rescheduleTasks.isPending}
+          >
+            {rescheduleTasks.isPending ? (
+              <ActivityIndicator size="small" color="#D32F2F" />
+            ) : (
+              <>
+                <Ionicons name="today-outline" size={14} color="#D32F2F" />
+                <Text style={styles.moveOverdueText}>Move all to today</Text>
+              </>
+            )}
+          </TouchableOpacity>
+        )}
+      </View>
+    );
+  };
+
   const renderEmptyList = () => (
     <View style={styles.emptyContainer}>
       <Text style={styles.emptyText}>No tasks found</Text>
@@ -133,40 +161,135 @@ const TasksTab = ({ navigation }) => {
               All
             </Text>
           </TouchableOpacity>
-          {categories.map((category) => (
+          {categories.map((category) => {
+            const isActive = selectedCategory === category.id.toString();
+            const { icon, color } = getCategoryStyle(category);
+            return (
+              <TouchableOpacity
+                key={category.id}
+                style={[
+                  styles.categoryButton,
+                  isActive && styles.categoryButtonActive
+                ]}
+                onPress={() => setSelectedCategory(category.id.toString())}
+              >
+                <Ionicons name={icon} size={14} color={isActive ? '#fff' : color} />
+                <Text style={[
+                  styles.categoryButtonText,
+                  styles.categoryButtonLabel,
+                  isActive && styles.categoryButtonTextActive
+                ]}>
+                  {category.title}
+                </Text>
+              </TouchableOpacity>
+            );
+          })}
+          <TouchableOpacity
+            style={styles.categoryButton}
+            onPress={() => navigation.navigate('Categories')}
+          >
+            <Ionicons name="settings-outline" size={14} color="#666" />
+            <Text style={[styles.categoryButtonText, styles.categoryButtonLabel]}>Manage</Text>
+          </TouchableOpacity>
+        </ScrollView>
+
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.sortRow}
+        >
+          <Ionicons name="funnel-outline" size={16} color="#666" />
+          <Text style={styles.sortLabel}>Status</Text>
+          {[{ value: 'all', label: 'All' }, ...TASK_STATUSES].map(status => (
             <TouchableOpacity
-              key={category.id}
-              style={[
-                styles.categoryButton,
-                selectedCategory === category.id.toString() && styles.categoryButtonActive
-              ]}
-              onPress={() => setSelectedCategory(category.id.toString())}
+              key={status.value}
+              style={[styles.sortButton, selectedStatus === status.value && styles.sortButtonActive]}
+              onPress={() => setSelectedStatus(status.value)}
             >
               <Text style={[
-                styles.categoryButtonText,
-                selectedCategory === category.id.toString() && styles.categoryButtonTextActive
+                styles.sortButtonText,
+                selectedStatus === status.value && styles.sortButtonTextActive
               ]}>
-                {category.title}
+                {status.label}
+              </Text>
+            </TouchableOpacity>
+          ))}
+        </ScrollView>
+
+        <ScrollView
+          horizontal
+          showsHorizontalScrollIndicator={false}
+          contentContainerStyle={styles.sortRow}
+        >
+          <TouchableOpacity
+            style={[styles.sortButton, viewMode === 'smart' && styles.sortButtonActive, styles.viewToggle]}
+            onPress={() => setViewMode(viewMode === 'smart' ? 'list' : 'smart')}
+          >
+            <Ionicons
+              name={viewMode === 'smart' ? 'albums' : 'albums-outline'}
+              size={14}
+              color={viewMode === 'smart' ? '#007AFF' : '#666'}
+            />
+            <Text style={[
+              styles.sortButtonText,
+              styles.viewToggleText,
+              viewMode === 'smart' && styles.sortButtonTextActive
+            ]}>
+              Group by date
+            </Text>
+          </TouchableOpacity>
+          <Ionicons name="swap-vertical" size={16} color="#666" />
+          <Text style={styles.sortLabel}>Sort</Text>
+          {SORT_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.value}
+              style={[styles.sortButton, sortBy === option.value && styles.sortButtonActive]}
+              onPress={() => setSortBy(option.value)}
+            >
+              <Text style={[
+                styles.sortButtonText,
+                sortBy === option.value && styles.sortButtonTextActive
+              ]}>
+                {option.label}
               </Text>
             </TouchableOpacity>
           ))}
         </ScrollView>
       </View>
 
-      <FlatList
-        data={getFilteredTasks()}
-        renderItem={renderTask}
-        keyExtractor={(item) => item.id.toString()}
-        contentContainerStyle={styles.listContainer}
-        ListEmptyComponent={renderEmptyList}
-        refreshControl={
-          <RefreshControl
-            refreshing={refreshing}
-            onRefresh={onRefresh}
-            colors={['#007AFF']}
-          />
-        }
-      />
+      {viewMode === 'smart' ? (
+        <SectionList
+          sections={sections}
+          renderItem={renderTask}
+          renderSectionHeader={renderSectionHeader}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.listContainer}
+          ListEmptyComponent={renderEmptyList}
+          stickySectionHeadersEnabled={false}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefetching}
+              onRefresh={onRefresh}
+              colors={['#007AFF']}
+            />
+          }
+        />
+      ) : (
+        <FlatList
+          data={visibleTasks}
+          renderItem={renderTask}
+          keyExtractor={(item) => item.id.toString()}
+          contentContainerStyle={styles.listContainer}
+          ListEmptyComponent={renderEmptyList}
+          refreshControl={
+            <RefreshControl
+              refreshing={isRefetching}
+              onRefresh={onRefresh}
+              colors={['#007AFF']}
+            />
+          }
+        />
+      )}
 
       <TouchableOpacity
         style={styles.fab}
@@ -200,6 +323,8 @@ const styles = StyleSheet.create({
     borderBottomColor: '#E0E0E0',
   },
   categoryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
     paddingHorizontal: 16,
     paddingVertical: 8,
     borderRadius: 20,
@@ -216,6 +341,85 @@ const styles = StyleSheet.create({
   categoryButtonTextActive: {
     color: '#fff',
   },
+  categoryButtonLabel: {
+    marginLeft: 6,
+  },
+  sortRow: {
+    alignItems: 'center',
+    marginTop: 10,
+  },
+  sortLabel: {
+    fontSize: 13,
+    color: '#666',
+    marginLeft: 4,
+    marginRight: 8,
+  },
+  sortButton: {
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    marginRight: 6,
+  },
+  sortButtonActive: {
+    backgroundColor: '#E3F2FD',
+  },
+  sortButtonText: {
+    fontSize: 13,
+    color: '#666',
+  },
+  sortButtonTextActive: {
+    color: '#007AFF',
+    fontWeight: '600',
+  },
+  viewToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginRight: 12,
+  },
+  viewToggleText: {
+    marginLeft: 4,
+  },
+  sectionHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingVertical: 8,
+    marginBottom: 4,
+  },
+  sectionToggle: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  sectionTitle: {
+    fontSize: 16,
+    fontWeight: '600',
+    marginLeft: 4,
+  },
+  sectionCount: {
+    backgroundColor: '#E0E0E0',
+    borderRadius: 10,
+    paddingHorizontal: 8,
+    paddingVertical: 2,
+    marginLeft: 8,
+  },
+  sectionCountText: {
+    fontSize: 12,
+    color: '#666',
+  },
+  moveOverdueButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    paddingHorizontal: 10,
+    paddingVertical: 4,
+    borderRadius: 12,
+    backgroundColor: '#FFEBEE',
+  },
+  moveOverdueText: {
+    fontSize: 13,
+    color: '#D32F2F',
+    fontWeight: '600',
+    marginLeft: 4,
+  },
   emptyContainer: {
     flex: 1,
     justifyContent: 'center',
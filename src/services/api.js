@@ -1,6 +1,19 @@
 import AsyncStorage from '@react-native-async-storage/async-storage';
 import { Alert } from 'react-native';
 import * as RootNavigation from '../navigation/RootNavigation';
+import localStore from './localStore';
+import secureStorage from './secureStorage';
+import biometricAuth from './biometricAuth';
+import { isLocalReceipt } from './receipts';
+import syncEngine, { createTempId } from './syncEngine';
+import { DEFAULT_CURRENCY, getCurrencySymbol } from '../utils/currency';
+import {
+  EMPTY_EXPENSE_FILTERS,
+  countExpenseFilters,
+  getExpenseQuery,
+  getNextExpensePage,
+} from '../utils/expenseFilters';
+import { getExpenseRows } from '../utils/expenses';
 
 const API_URL = 'https://todo-app.freecoderteam.com/api';  // Update this to your Laravel API URL
 
@@ -9,20 +22,27 @@ const headers = {
   'Accept': 'application/json',
 };
 
+// Refresh this long before the access token expires
+const REFRESH_MARGIN = 60 * 1000;
+
+let refreshPromise = null;
+
 const getAuthToken = async () => {
   try {
     const token = await AsyncStorage.getItem('authToken');
-    const expiryTime = await AsyncStorage.getItem('tokenExpiry');
-
-    if (!token || !expiryTime) {
+    if (!token) {
       return null;
     }
 
-    // Check if token has expired
-    if (new Date().getTime() > parseInt(expiryTime)) {
-      await clearAuth();
-      RootNavigation.navigate('Login');
-      return null;
+    // Refresh ahead of expiry so requests don't bounce off a 401
+    const expiryTime = await AsyncStorage.getItem('tokenExpiry');
+    if (expiryTime && new Date().getTime() > parseInt(expiryTime) - REFRESH_MARGIN) {
+      try {
+        return await refreshAuthToken();
+      } catch (error) {
+        // Offline or server trouble: try the current token and let a 401 decide
+        return token;
+      }
     }
 
     return token;
@@ -32,12 +52,23 @@ const getAuthToken = async () => {
   }
 };
 
-const setAuthToken = async (token) => {
+const setAuthToken = async ({ token, refresh_token, expires_in }) => {
   try {
     await AsyncStorage.setItem('authToken', token);
-    // Set token expiry to 24 hours from now
-    const expiryTime = new Date().getTime() + (24 * 60 * 60 * 1000);
-    await AsyncStorage.setItem('tokenExpiry', expiryTime.toString());
+    if (refresh_token) {
+      await secureStorage.setItem('refreshToken', refresh_token);
+      // Rotated refresh tokens invalidate the old one, so keep quick login in step
+      if (await biometricAuth.isEnabled()) {
+        await biometricAuth.enable(refresh_token);
+      }
+    }
+    // Without a server-provided lifetime we rely on 401s to trigger a refresh
+    if (expires_in) {
+      const expiryTime = new Date().getTime() + (expires_in * 1000);
+      await AsyncStorage.setItem('tokenExpiry', expiryTime.toString());
+    } else {
+      await AsyncStorage.removeItem('tokenExpiry');
+    }
   } catch (error) {
     console.error('Error setting auth token:', error);
   }
@@ -47,42 +78,125 @@ const clearAuth = async () => {
   try {
     await AsyncStorage.removeItem('authToken');
     await AsyncStorage.removeItem('tokenExpiry');
+    await secureStorage.removeItem('refreshToken');
   } catch (error) {
     console.error('Error clearing auth:', error);
   }
 };
 
+const endSession = async () => {
+  await clearAuth();
+  RootNavigation.navigate('Login');
+};
+
+// Trade a refresh token for new tokens. Resolves with the response, or null
+// when the server rejects the refresh token; throws if it could not be reached.
+const exchangeRefreshToken = async (refreshToken) => {
+  let response;
+  try {
+    response = await fetch(`${API_URL}/refresh`, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({ refresh_token: refreshToken }),
+    });
+  } catch (error) {
+    error.isNetworkError = true;
+    throw error;
+  }
+
+  if (response.status >= 500) {
+    const error = new Error('Unable to refresh session');
+    error.status = response.status;
+    throw error;
+  }
+
+  if (!response.ok) {
+    return null;
+  }
+
+  const data = await response.json();
+  await setAuthToken(data);
+  return data;
+};
+
+const requestTokenRefresh = async () => {
+  const refreshToken = await secureStorage.getItem('refreshToken');
+  const data = refreshToken ? await exchangeRefreshToken(refreshToken) : null;
+
+  if (!data) {
+    // The refresh token itself was rejected, so the session is really over
+    await endSession();
+    return null;
+  }
+
+  return data.token;
+};
+
+// Resolves with a fresh access token, or null once the user has been sent to
+// Login. Concurrent callers wait on the same refresh request.
+const refreshAuthToken = () => {
+  if (!refreshPromise) {
+    refreshPromise = requestTokenRefresh().finally(() => {
+      refreshPromise = null;
+    });
+  }
+  return refreshPromise;
+};
+
 // API request wrapper with token handling
-const apiRequest = async (endpoint, options = {}) => {
+const apiRequest = async (endpoint, options = {}, isRetry = false) => {
   const token = await getAuthToken();
- 
 
   if (!token && endpoint !== '/login') {
     RootNavigation.navigate('Login');
     throw new Error('Authentication required');
   }
 
+  // Multipart bodies need fetch to set the Content-Type with its boundary
+  const baseHeaders = options.body instanceof FormData ? { Accept: headers.Accept } : headers;
   const requestOptions = {
     ...options,
     headers: {
-      ...headers,
+      ...baseHeaders,
       ...(token ? { 'Authorization': `Bearer ${token}` } : {}),
       ...options.headers,
     },
   };
 
   try {
-    const response = await fetch(`${API_URL}${endpoint}`, requestOptions);
+    let response;
+    try {
+      response = await fetch(`${API_URL}${endpoint}`, requestOptions);
+    } catch (error) {
+      // fetch only rejects when the request never reached the server
+      error.isNetworkError = true;
+      throw error;
+    }
 
-    if (response.status === 401) {
-      await clearAuth();
-      RootNavigation.navigate('Login');
-      throw new Error('Session expired. Please login again.');
+    if (response.status === 401 && endpoint !== '/login') {
+      if (!isRetry) {
+        // Another request may already have refreshed while this one was in flight
+        const currentToken = await AsyncStorage.getItem('authToken');
+        const freshToken = currentToken && currentToken !== token
+          ? currentToken
+          : await refreshAuthToken();
+        if (freshToken) {
+          return await apiRequest(endpoint, options, true);
+        }
+      }
+      if (isRetry) {
+        await endSession();
+      }
+      const error = new Error('Session expired. Please login again.');
+      error.status = response.status;
+      throw error;
     }
 
     if (!response.ok) {
-      const error = await response.json();
-      throw new Error(error.message || 'Request failed');
+      const body = await response.json();
+      const error = new Error(body.message || 'Request failed');
+      error.status = response.status;
+      throw error;
     }
 
     if (options.method === 'DELETE') {
@@ -95,6 +209,87 @@ const apiRequest = async (endpoint, options = {}) => {
   }
 };
 
+// Apply mutations locally, queue them for the server and try to send them right away
+const mutate = async (...mutations) => {
+  for (const mutation of mutations) {
+    await syncEngine.enqueue(mutation);
+  }
+  syncEngine.flush(apiRequest);
+};
+
+// Files of every upload still waiting in the outbox
+const getQueuedFiles = async () => {
+  const pending = await syncEngine.getPending();
+  return new Set(pending.flatMap(mutation => (mutation.files || []).map(file => file.uri)));
+};
+
+const withCategory = async (taskData) => {
+  const categories = (await localStore.get('/categories')) || [];
+  const category = categories.find(cat => String(cat.id) === String(taskData.category_id));
+  return category ? { ...taskData, category } : taskData;
+};
+
+// Mirror the server's display fields so queued expenses render like synced ones
+const formatExpense = (expenseData) => {
+  const amount = Number(expenseData.amount).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  });
+  const currency = expenseData.currency || DEFAULT_CURRENCY;
+  return {
+    ...expenseData,
+    type: expenseData.type || 'expense',
+    currency,
+    amount,
+    formatted_amount: `${getCurrencySymbol(currency)}${amount}`,
+    expense_date: new Date(expenseData.expense_date).toLocaleDateString('en-US', {
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+    }),
+  };
+};
+
+const PAGE_SIZE = 100;
+// Filtered expense pages kept for offline use
+const FILTERED_EXPENSE_CACHE = 30;
+
+// Every item of a Laravel-paginated list, one page after another. Items
+// queued offline are laid over each cached page, so repeats are dropped.
+const readAllPages = async (fetchPage) => {
+  const items = new Map();
+  let page = 1;
+  while (page) {
+    const response = await fetchPage(page);
+    getExpenseRows(response).forEach(item => {
+      if (!items.has(String(item.id))) items.set(String(item.id), item);
+    });
+    page = getNextExpensePage(response);
+  }
+  return [...items.values()];
+};
+
+// New receipt photos go up in one multipart request queued behind the expense
+// itself, so an expense created offline gets its server ID first. Photos in
+// `queued` already have an upload waiting and are left to it.
+const uploadReceipts = (expenseId, receipts = [], queued = new Set()) => {
+  const files = receipts.filter(receipt => isLocalReceipt(receipt) && !queued.has(receipt.url));
+  if (files.length === 0) return [];
+  return [{
+    collection: 'expenses',
+    type: 'update',
+    id: expenseId,
+    path: '/expenses/:id/receipts',
+    method: 'POST',
+    files: files.map(receipt => ({
+      field: 'receipts[]',
+      uri: receipt.url,
+      name: `${receipt.id}.jpg`,
+      type: 'image/jpeg',
+    })),
+    patch: { receipts },
+  }];
+};
 
 const api = {
   login: async (email, password) => {
@@ -105,7 +300,7 @@ const api = {
       });
 
       if (data.token) {
-        await setAuthToken(data.token);
+        await setAuthToken(data);
       }
 
       return data;
@@ -114,45 +309,143 @@ const api = {
     }
   },
 
+  // Start a session from the refresh token unlocked by biometric login
+  loginWithRefreshToken: async (refreshToken) => {
+    const data = await exchangeRefreshToken(refreshToken);
+    if (!data) {
+      const error = new Error('Saved login has expired. Please sign in with your password.');
+      error.status = 401;
+      throw error;
+    }
+    return data;
+  },
+
   logout: async () => {
     try {
+      await syncEngine.flush(apiRequest);
       await apiRequest('/logout', { method: 'POST' });
       await clearAuth();
+      await localStore.clear();
     } catch (error) {
-      // Clear auth even if logout fails
+      // Clear auth and local data even if logout fails
       await clearAuth();
+      await localStore.clear();
       throw error;
     }
   },
 
+  startSync: () => {
+    return syncEngine.startAutoSync(apiRequest);
+  },
+
+  syncNow: async () => {
+    return await syncEngine.flush(apiRequest);
+  },
+
+  resolveId: async (id) => {
+    return await syncEngine.resolveId(id);
+  },
+
+  onSynced: (listener) => {
+    return syncEngine.subscribe(listener);
+  },
+
   getTasks: async () => {
-    return await apiRequest('/tasks');
+    return await syncEngine.read('/tasks', apiRequest, { collection: 'tasks' });
   },
 
   getCategories: async () => {
-    return await apiRequest('/categories');
+    return await syncEngine.read('/categories', apiRequest, { collection: 'categories' });
+  },
+
+  createCategory: async (categoryData) => {
+    const category = { ...categoryData, id: createTempId() };
+    await mutate({
+      collection: 'categories',
+      type: 'create',
+      id: category.id,
+      path: '/categories',
+      method: 'POST',
+      body: categoryData,
+      record: category,
+    });
+    return category;
+  },
+
+  updateCategory: async (categoryId, categoryData) => {
+    await mutate({
+      collection: 'categories',
+      type: 'update',
+      id: categoryId,
+      path: '/categories/:id',
+      method: 'PUT',
+      body: categoryData,
+      patch: categoryData,
+    });
+    return { ...categoryData, id: categoryId };
+  },
+
+  deleteCategory: async (categoryId) => {
+    await mutate({
+      collection: 'categories',
+      type: 'delete',
+      id: categoryId,
+      path: '/categories/:id',
+      method: 'DELETE',
+    });
+    return true;
   },
 
   createTask: async (taskData) => {
-    return await apiRequest('/tasks', {
+    const task = {
+      ...(await withCategory(taskData)),
+      id: createTempId(),
+      status: 'pending',
+      created_at: new Date().toISOString(),
+    };
+    await mutate({
+      collection: 'tasks',
+      type: 'create',
+      id: task.id,
+      path: '/tasks',
       method: 'POST',
-      body: JSON.stringify(taskData),
+      body: taskData,
+      record: task,
     });
+    return task;
   },
 
   updateTask: async (taskId, taskData) => {
-    return await apiRequest(`/tasks/${taskId}`, {
+    const task = { ...(await withCategory(taskData)), id: taskId };
+    await mutate({
+      collection: 'tasks',
+      type: 'update',
+      id: taskId,
+      path: '/tasks/:id',
       method: 'PUT',
-      body: JSON.stringify(taskData),
+      body: taskData,
+      patch: task,
     });
+    return task;
   },
 
   updateTaskStatus: async (taskId, status) => {
     try {
-      return await apiRequest(`/tasks/${taskId}/status`, {
+      // Completion time drives the productivity trends
+      const changes = {
+        status,
+        completed_at: status === 'completed' ? new Date().toISOString() : null,
+      };
+      await mutate({
+        collection: 'tasks',
+        type: 'update',
+        id: taskId,
+        path: '/tasks/:id/status',
         method: 'PUT',
-        body: JSON.stringify({ status: status === 'completed' }),
+        body: changes,
+        patch: changes,
       });
+      return { id: taskId, ...changes };
     } catch (error) {
       console.error('Update task status error:', error);
       throw error;
@@ -161,7 +454,13 @@ const api = {
 
   deleteTask: async (taskId) => {
     try {
-      await apiRequest(`/tasks/${taskId}`, { method: 'DELETE' });
+      await mutate({
+        collection: 'tasks',
+        type: 'delete',
+        id: taskId,
+        path: '/tasks/:id',
+        method: 'DELETE',
+      });
       Alert.alert('Success', 'Task deleted successfully');
       return true;
     } catch (error) {
@@ -172,36 +471,117 @@ const api = {
 
   // Expense API endpoints
   getExpenseDashboard: async () => {
-    return await apiRequest('/expenses/dashboard');
+    return await syncEngine.read('/expenses/dashboard', apiRequest, {
+      collection: 'expenses',
+      listKey: 'recent_expenses',
+    });
   },
 
-  getExpenses: async () => {
-    return await apiRequest('/expenses');
+  // Only the most recent searches and filter combinations stay cached offline
+  fetchExpenses: async (filters, page, perPage) => {
+    const isFiltered = Boolean(filters.search.trim()) || countExpenseFilters(filters) > 0;
+    return await syncEngine.read(`/expenses?${getExpenseQuery(filters, page, perPage)}`, apiRequest, {
+      collection: 'expenses',
+      listKey: 'data',
+      ...(isFiltered ? { group: 'expenseSearches', limit: FILTERED_EXPENSE_CACHE } : {}),
+    });
   },
 
-  createExpense: async (expenseData) => {
-    return await apiRequest('/expenses', {
+  // Every page of `fetchExpenses`, for exports and totals over all of them
+  getAllExpenses: async (filters = EMPTY_EXPENSE_FILTERS) => {
+    return await readAllPages(page => api.fetchExpenses(filters, page, PAGE_SIZE));
+  },
+
+  // `receipts` lists every photo on the expense; new ones are uploaded after it
+  createExpense: async ({ receipts = [], ...expenseData }) => {
+    const expense = {
+      ...formatExpense(expenseData),
+      id: createTempId(),
+      receipts,
+      created_at: new Date().toISOString(),
+    };
+    await mutate({
+      collection: 'expenses',
+      type: 'create',
+      id: expense.id,
+      path: '/expenses',
       method: 'POST',
-      body: JSON.stringify(expenseData),
-    });
+      body: expenseData,
+      record: expense,
+    }, ...uploadReceipts(expense.id, receipts));
+    return expense;
+  },
+
+  // Many expenses at once, e.g. from a statement import, queued together so a
+  // single sync sends them
+  createExpenses: async (list) => {
+    const created_at = new Date().toISOString();
+    const expenses = list.map(expenseData => ({
+      ...formatExpense(expenseData),
+      id: createTempId(),
+      receipts: [],
+      created_at,
+    }));
+    await mutate(...expenses.map((expense, index) => ({
+      collection: 'expenses',
+      type: 'create',
+      id: expense.id,
+      path: '/expenses',
+      method: 'POST',
+      body: list[index],
+      record: expense,
+    })));
+    return expenses;
   },
 
-  updateExpense: async (expenseId, expenseData) => {
-    return await apiRequest(`/expenses/${expenseId}`, {
+  updateExpense: async (expenseId, { receipts, ...expenseData }) => {
+    const expense = {
+      ...formatExpense(expenseData),
+      id: expenseId,
+      ...(receipts ? { receipts } : {}),
+    };
+    await mutate({
+      collection: 'expenses',
+      type: 'update',
+      id: expenseId,
+      path: '/expenses/:id',
       method: 'PUT',
-      body: JSON.stringify(expenseData),
-    });
+      body: expenseData,
+      patch: expense,
+    }, ...uploadReceipts(expenseId, receipts, await getQueuedFiles()));
+    return expense;
+  },
+
+  // [{ expenseId, expenseData }] saved together, e.g. when rules recategorize
+  // existing expenses
+  updateExpenses: async (updates) => {
+    const expenses = updates.map(({ expenseId, expenseData }) => ({ ...formatExpense(expenseData), id: expenseId }));
+    await mutate(...expenses.map((expense, index) => ({
+      collection: 'expenses',
+      type: 'update',
+      id: expense.id,
+      path: '/expenses/:id',
+      method: 'PUT',
+      body: updates[index].expenseData,
+      patch: expense,
+    })));
+    return expenses;
   },
 
   deleteExpense: async (expenseId) => {
-    return await apiRequest(`/expenses/${expenseId}`, {
+    await mutate({
+      collection: 'expenses',
+      type: 'delete',
+      id: expenseId,
+      path: '/expenses/:id',
       method: 'DELETE',
     });
+    return true;
   },
 
   // Category API endpoints
   getExpenseCategories: async () => {
-    return await apiRequest('/expense-categories');
+    return await syncEngine.read('/expense-categories', apiRequest);
   },
 
   createExpenseCategory: async (name) => {
@@ -236,7 +616,7 @@ const api = {
 
       // Save auth token
       if (result.token) {
-        await setAuthToken(result.token);
+        await setAuthToken(result);
         await AsyncStorage.setItem('userName', result.name);
       }
 
@@ -247,39 +627,77 @@ const api = {
     }
   },
   fetchNotes: async (searchQuery, per_page, page, status) => {
-    if (searchQuery) {
-      console.log(searchQuery);
-      return await apiRequest(`/notes?search=${searchQuery}&per_page=${per_page}&page=${page}&status=${status}`);
-    }
-    return await apiRequest(`/notes?per_page=${per_page}&page=${page}&status=${status}`);
+    const endpoint = searchQuery
+      ? `/notes?search=${searchQuery}&per_page=${per_page}&page=${page}&status=${status}`
+      : `/notes?per_page=${per_page}&page=${page}&status=${status}`;
+    return await syncEngine.read(endpoint, apiRequest, { collection: 'notes', listKey: 'data' });
+  },
+  getAllNotes: async () => {
+    return await readAllPages(page => api.fetchNotes('', PAGE_SIZE, page, ''));
   },
   createNote: async (noteData) => {
-    const response = await apiRequest('/notes', {
+    const note = {
+      ...noteData,
+      id: createTempId(),
+      is_pinned: false,
+      is_archived: false,
+      created_at: new Date().toISOString(),
+    };
+    await mutate({
+      collection: 'notes',
+      type: 'create',
+      id: note.id,
+      path: '/notes',
       method: 'POST',
-      body: JSON.stringify(noteData),
+      body: noteData,
+      record: note,
     });
-    return response;
+    return note;
   },
   updateNote: async (noteId, noteData) => {
-    return await apiRequest(`/notes/${noteId}`, {
+    await mutate({
+      collection: 'notes',
+      type: 'update',
+      id: noteId,
+      path: '/notes/:id',
       method: 'PUT',
-      body: JSON.stringify(noteData),
+      body: noteData,
+      patch: noteData,
     });
+    return { ...noteData, id: noteId };
   },
   deleteNote: async (noteId) => {
-    return await apiRequest(`/notes/${noteId}`, {
+    await mutate({
+      collection: 'notes',
+      type: 'delete',
+      id: noteId,
+      path: '/notes/:id',
       method: 'DELETE',
     });
+    return true;
   },
+  // `isArchived` and `isPinned` are the state the note should end up in
   archiveNote: async (noteId, isArchived) => {
-    return await apiRequest(`/notes/${noteId}/${isArchived ? 'unarchive' : 'archive'}`, {
+    await mutate({
+      collection: 'notes',
+      type: 'update',
+      id: noteId,
+      path: `/notes/:id/${isArchived ? 'archive' : 'unarchive'}`,
       method: 'PATCH',
+      patch: { is_archived: isArchived },
     });
+    return true;
   },
   pinNote: async (noteId, isPinned) => {
-    return await apiRequest(`/notes/${noteId}/${isPinned ? 'unpin' : 'pin'}`, {
+    await mutate({
+      collection: 'notes',
+      type: 'update',
+      id: noteId,
+      path: `/notes/:id/${isPinned ? 'pin' : 'unpin'}`,
       method: 'PATCH',
+      patch: { is_pinned: isPinned },
     });
+    return true;
   },
 };
 
@@ -0,0 +1,63 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as LocalAuthentication from 'expo-local-authentication';
+import secureStorage from './secureStorage';
+
+// A copy of the session refresh token kept for quick login after logout.
+// It only leaves secure storage once the user has passed a biometric check.
+const BIOMETRIC_TOKEN_KEY = 'biometricRefreshToken';
+
+const biometricAuth = {
+  isSupported: async () => {
+    const compatible = await LocalAuthentication.hasHardwareAsync();
+    return compatible && await LocalAuthentication.isEnrolledAsync();
+  },
+
+  isEnabled: async () => {
+    return !!(await secureStorage.getItem(BIOMETRIC_TOKEN_KEY));
+  },
+
+  enable: async (refreshToken) => {
+    await secureStorage.setItem(BIOMETRIC_TOKEN_KEY, refreshToken);
+  },
+
+  disable: async () => {
+    await secureStorage.removeItem(BIOMETRIC_TOKEN_KEY);
+  },
+
+  // Resolves with the stored refresh token, or null if the check failed
+  unlock: async (promptMessage) => {
+    const result = await LocalAuthentication.authenticateAsync({
+      promptMessage,
+      disableDeviceFallback: true,
+    });
+    if (!result.success) {
+      return null;
+    }
+    return await secureStorage.getItem(BIOMETRIC_TOKEN_KEY);
+  },
+
+  // Earlier versions kept `{ email, password }` in plain AsyncStorage and a
+  // refresh token outside secure storage. Move the token, drop the password.
+  migrateLegacyCredentials: async () => {
+    try {
+      const legacyRefreshToken = await AsyncStorage.getItem('refreshToken');
+      if (legacyRefreshToken) {
+        await secureStorage.setItem('refreshToken', legacyRefreshToken);
+        await AsyncStorage.removeItem('refreshToken');
+      }
+
+      const savedCredentials = await AsyncStorage.getItem('savedCredentials');
+      if (savedCredentials) {
+        const refreshToken = await secureStorage.getItem('refreshToken');
+        if (refreshToken) {
+          await biometricAuth.enable(refreshToken);
+        }
+        await AsyncStorage.removeItem('savedCredentials');
+      }
+    } catch (error) {
+      console.error('Error migrating saved credentials:', error);
+    }
+  },
+};
+
+export default biometricAuth;
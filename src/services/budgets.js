@@ -0,0 +1,70 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import localStore from './localStore';
+import reminders from './reminders';
+import { BUDGET_THRESHOLDS, getMonthKey } from '../utils/budgets';
+import { formatAmount } from '../utils/expenses';
+
+// The API has no budgets, so they live on the device:
+// { overall: number | null, categories: { [name]: number }, alerts: boolean }
+const BUDGETS_KEY = 'expenseBudgets';
+// { [monthKey]: { [budgetName]: highest threshold already announced } }
+const ALERTS_KEY = 'expenseBudgetAlerts';
+
+const EMPTY_BUDGETS = { overall: null, categories: {}, alerts: true };
+
+const budgets = {
+  get: async () => {
+    try {
+      return { ...EMPTY_BUDGETS, ...(await localStore.readJSON(BUDGETS_KEY, {})) };
+    } catch (error) {
+      console.error('Error loading budgets:', error);
+      return EMPTY_BUDGETS;
+    }
+  },
+
+  save: async (next) => {
+    await AsyncStorage.setItem(BUDGETS_KEY, JSON.stringify(next));
+    return next;
+  },
+
+  // Budgets and the alerts already sent are per account; logout drops them
+  clear: async () => {
+    await AsyncStorage.multiRemove([BUDGETS_KEY, ALERTS_KEY]);
+  },
+
+  // Sends one notification per budget and threshold each month, when spending
+  // moves from `before` to `after`. `name` is null for the overall budget and
+  // `currency` is the home currency the amounts are in.
+  notifyThresholds: async ({ name, before, after, limit, currency }) => {
+    if (!limit) return;
+
+    try {
+      const crossed = BUDGET_THRESHOLDS
+        .filter(threshold => before < limit * threshold && after >= limit * threshold)
+        .pop();
+      if (!crossed) return;
+
+      const monthKey = getMonthKey(new Date());
+      const sent = await localStore.readJSON(ALERTS_KEY, {});
+      const month = sent[monthKey] || {};
+      const budgetKey = name || 'overall';
+      if ((month[budgetKey] || 0) >= crossed) return;
+
+      await AsyncStorage.setItem(ALERTS_KEY, JSON.stringify({
+        [monthKey]: { ...month, [budgetKey]: crossed },
+      }));
+
+      if (!(await reminders.requestPermission())) return;
+      const label = name ? `${name} budget` : 'Monthly budget';
+      await reminders.notifyAt(`budget-${budgetKey}`, {
+        title: crossed >= 1 ? `${label} exceeded` : `${label} at ${Math.round(crossed * 100)}%`,
+        body: `${formatAmount(after, currency)} spent of ${formatAmount(limit, currency)} this month`,
+        date: new Date(Date.now() + 1000),
+      });
+    } catch (error) {
+      console.error('Error sending budget alert:', error);
+    }
+  },
+};
+
+export default budgets;
@@ -0,0 +1,33 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import api from './api';
+import localStore from './localStore';
+import { EMPTY_CATEGORY_RULES, getRuleChanges } from '../utils/categoryRules';
+
+// Auto-categorization rules and the learning switch, kept on the device
+const CATEGORY_RULES_KEY = 'expenseCategoryRules';
+
+const categoryRules = {
+  get: async () => {
+    try {
+      return { ...EMPTY_CATEGORY_RULES, ...(await localStore.readJSON(CATEGORY_RULES_KEY, {})) };
+    } catch (error) {
+      console.error('Error loading category rules:', error);
+      return EMPTY_CATEGORY_RULES;
+    }
+  },
+
+  save: async (next) => {
+    await AsyncStorage.setItem(CATEGORY_RULES_KEY, JSON.stringify(next));
+    return next;
+  },
+
+  clear: async () => {
+    await AsyncStorage.removeItem(CATEGORY_RULES_KEY);
+  },
+
+  // What applying `rules` to every stored expense would change:
+  // [{ expense, category }]
+  findChanges: async (rules) => getRuleChanges(rules, await api.getAllExpenses()),
+};
+
+export default categoryRules;
@@ -0,0 +1,32 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import localStore from './localStore';
+import { DEFAULT_CURRENCY } from '../utils/currency';
+
+// Home currency and exchange rates are kept on the device, maintained by hand
+// or pasted in: { home: string, rates: { [code]: number } }
+const CURRENCY_KEY = 'currencySettings';
+
+const DEFAULT_SETTINGS = { home: DEFAULT_CURRENCY, rates: {} };
+
+const currency = {
+  get: async () => {
+    try {
+      return { ...DEFAULT_SETTINGS, ...(await localStore.readJSON(CURRENCY_KEY, {})) };
+    } catch (error) {
+      console.error('Error loading currency settings:', error);
+      return DEFAULT_SETTINGS;
+    }
+  },
+
+  save: async (next) => {
+    await AsyncStorage.setItem(CURRENCY_KEY, JSON.stringify(next));
+    return next;
+  },
+
+  // Each account picks its own home currency and rates; logout drops them
+  clear: async () => {
+    await AsyncStorage.removeItem(CURRENCY_KEY);
+  },
+};
+
+export default currency;
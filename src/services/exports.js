@@ -0,0 +1,71 @@
+import * as FileSystem from 'expo-file-system';
+import * as Print from 'expo-print';
+import * as Sharing from 'expo-sharing';
+import api from './api';
+import currencyService from './currency';
+import { toDateKey } from '../utils/calendar';
+import { EXPORT_FORMATS, buildExpenseReport, toCsv, toJson } from '../utils/dataExport';
+import { EMPTY_EXPENSE_FILTERS, filterExpenses } from '../utils/expenseFilters';
+
+const loadExpenses = async (filters) => {
+  const query = { ...EMPTY_EXPENSE_FILTERS, ...filters };
+  return filterExpenses(await api.getAllExpenses(query), query);
+};
+
+const loadRecords = async (dataset, filters) => {
+  switch (dataset) {
+    case 'expenses':
+      return loadExpenses(filters);
+    case 'tasks':
+      return (await api.getTasks()) || [];
+    case 'notes':
+      return api.getAllNotes();
+    default:
+      return [];
+  }
+};
+
+const shareFile = async (uri, format) => {
+  await Sharing.shareAsync(uri, {
+    mimeType: format.mimeType,
+    UTI: format.uti,
+    dialogTitle: 'Export',
+  });
+};
+
+const exportsService = {
+  // Writes `dataset` as CSV or JSON, or a month of expenses as a PDF report,
+  // and hands the file to the share sheet. Expenses take the list filters;
+  // the report covers the month of `month` instead. Resolves to the number
+  // of records exported.
+  exportData: async ({ dataset, format: formatValue, filters = {}, month }) => {
+    if (!(await Sharing.isAvailableAsync())) {
+      throw new Error('Sharing is not available on this device');
+    }
+    const format = EXPORT_FORMATS.find(item => item.value === formatValue);
+
+    if (format.value === 'pdf') {
+      const from = new Date(month.getFullYear(), month.getMonth(), 1);
+      const to = new Date(month.getFullYear(), month.getMonth() + 1, 0);
+      const expenses = await loadExpenses({ category: filters.category, from: toDateKey(from), to: toDateKey(to) });
+      const currency = await currencyService.get();
+
+      const { uri } = await Print.printToFileAsync({ html: buildExpenseReport(expenses, from, currency) });
+      // Print names its files at random; give the shared copy a readable name
+      const target = `${FileSystem.cacheDirectory}poket-expense-report-${toDateKey(from).slice(0, 7)}.pdf`;
+      await FileSystem.deleteAsync(target, { idempotent: true });
+      await FileSystem.moveAsync({ from: uri, to: target });
+      await shareFile(target, format);
+      return expenses.length;
+    }
+
+    const records = await loadRecords(dataset, filters);
+    const contents = format.value === 'csv' ? toCsv(dataset, records) : toJson(dataset, records);
+    const uri = `${FileSystem.cacheDirectory}poket-${dataset}-${toDateKey(new Date())}.${format.extension}`;
+    await FileSystem.writeAsStringAsync(uri, contents, { encoding: FileSystem.EncodingType.UTF8 });
+    await shareFile(uri, format);
+    return records.length;
+  },
+};
+
+export default exportsService;
@@ -0,0 +1,105 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+
+const CACHE_PREFIX = 'offline:cache:';
+const INDEX_KEY = 'offline:index';
+// Keys cached under each group, oldest first, for groups kept to a fixed size
+const GROUPS_KEY = 'offline:groups';
+
+const readJSON = async (key, fallback) => {
+  try {
+    const value = await AsyncStorage.getItem(key);
+    return value ? JSON.parse(value) : fallback;
+  } catch (error) {
+    console.error(`Error reading ${key}:`, error);
+    return fallback;
+  }
+};
+
+const writeJSON = async (key, value) => {
+  try {
+    await AsyncStorage.setItem(key, JSON.stringify(value));
+  } catch (error) {
+    console.error(`Error writing ${key}:`, error);
+  }
+};
+
+// Some responses wrap their list (paginated notes under `data`, the
+// expense dashboard under `recent_expenses`), so entries remember where it is
+export const getList = (value, listKey) => {
+  const list = listKey ? value?.[listKey] : value;
+  return Array.isArray(list) ? list : [];
+};
+
+export const setList = (value, listKey, list) => {
+  return listKey ? { ...value, [listKey]: list } : list;
+};
+
+// Records `key` as the newest entry of `group` and drops the oldest ones past
+// `limit`, along with their cached responses
+const trimGroup = async (group, key, limit) => {
+  const groups = await readJSON(GROUPS_KEY, {});
+  const keys = [...(groups[group] || []).filter(item => item !== key), key];
+  const stale = keys.slice(0, Math.max(keys.length - limit, 0));
+  await writeJSON(GROUPS_KEY, { ...groups, [group]: keys.slice(stale.length) });
+  if (stale.length === 0) return;
+
+  try {
+    await AsyncStorage.multiRemove(stale.map(item => `${CACHE_PREFIX}${item}`));
+  } catch (error) {
+    console.error('Error trimming local store:', error);
+  }
+  const index = await readJSON(INDEX_KEY, {});
+  stale.forEach(item => delete index[item]);
+  await writeJSON(INDEX_KEY, index);
+};
+
+const localStore = {
+  readJSON,
+  writeJSON,
+
+  get: async (key) => {
+    const entry = await readJSON(`${CACHE_PREFIX}${key}`, null);
+    return entry ? entry.value : null;
+  },
+
+  // Responses cached with a `group` only keep the `limit` most recent keys of
+  // that group, for endpoints with endless query variations
+  set: async (key, value, { collection, listKey, group, limit } = {}) => {
+    await writeJSON(`${CACHE_PREFIX}${key}`, { value, collection, listKey });
+
+    const index = await readJSON(INDEX_KEY, {});
+    if (index[key] !== collection) {
+      index[key] = collection || null;
+      await writeJSON(INDEX_KEY, index);
+    }
+
+    if (group) await trimGroup(group, key, limit);
+  },
+
+  // Apply `updater` to the list inside every cached response of a collection
+  updateCollection: async (collection, updater) => {
+    const index = await readJSON(INDEX_KEY, {});
+    const keys = Object.keys(index).filter(key => index[key] === collection);
+
+    for (const key of keys) {
+      const entry = await readJSON(`${CACHE_PREFIX}${key}`, null);
+      if (!entry) continue;
+      const list = updater(getList(entry.value, entry.listKey));
+      await writeJSON(`${CACHE_PREFIX}${key}`, {
+        ...entry,
+        value: setList(entry.value, entry.listKey, list),
+      });
+    }
+  },
+
+  clear: async () => {
+    try {
+      const keys = await AsyncStorage.getAllKeys();
+      await AsyncStorage.multiRemove(keys.filter(key => key.startsWith('offline:')));
+    } catch (error) {
+      console.error('Error clearing local store:', error);
+    }
+  },
+};
+
+export default localStore;
@@ -0,0 +1,46 @@
+import { QueryClient, focusManager } from '@tanstack/react-query';
+import { AppState, Platform } from 'react-native';
+
+// Shared cache keys. Everything for a collection lives under one root key so
+// a single invalidation refreshes every screen that shows it.
+export const queryKeys = {
+  tasks: ['tasks'],
+  taskCategories: ['categories'],
+  expenses: ['expenses'],
+  allExpenses: ['expenses', 'all'],
+  monthExpenses: (monthKey) => ['expenses', 'month', monthKey],
+  expenseRange: (from, to) => ['expenses', 'range', from, to],
+  expensePages: (filters) => ['expenses', 'pages', filters],
+  expenseDashboard: ['expenses', 'dashboard'],
+  expenseCategories: ['expenses', 'categories'],
+  budgets: ['budgets'],
+  currency: ['currency'],
+  recurringExpenses: ['recurringExpenses'],
+  categoryRules: ['categoryRules'],
+  notes: ['notes'],
+  noteList: (params) => ['notes', 'list', params],
+};
+
+const queryClient = new QueryClient({
+  defaultOptions: {
+    queries: {
+      // The API service answers from the local store when offline, so React
+      // Query must not pause requests on its own idea of connectivity
+      networkMode: 'always',
+      staleTime: 30 * 1000,
+      retry: 1,
+    },
+    mutations: {
+      networkMode: 'always',
+    },
+  },
+});
+
+// Refetch stale queries when the app comes back to the foreground
+AppState.addEventListener('change', (status) => {
+  if (Platform.OS !== 'web') {
+    focusManager.setFocused(status === 'active');
+  }
+});
+
+export default queryClient;
@@ -0,0 +1,74 @@
+import * as ImagePicker from 'expo-image-picker';
+import * as ImageManipulator from 'expo-image-manipulator';
+import * as FileSystem from 'expo-file-system';
+import { createTempId } from './syncEngine';
+
+// Receipts on an expense are { id, url }. Photos that haven't been uploaded yet
+// point at a file in RECEIPT_DIR, which is kept until the server has them.
+const RECEIPT_DIR = `${FileSystem.documentDirectory}receipts/`;
+
+// Plenty to read a receipt while keeping uploads to a few hundred KB
+const MAX_WIDTH = 1600;
+const QUALITY = 0.6;
+const MAX_PHOTOS = 10;
+
+export const isLocalReceipt = (receipt) => receipt.url.startsWith(RECEIPT_DIR);
+
+const requestPermission = async (source) => {
+  const { granted } = source === 'camera'
+    ? await ImagePicker.requestCameraPermissionsAsync()
+    : await ImagePicker.requestMediaLibraryPermissionsAsync();
+  return granted;
+};
+
+// Shrink and re-encode a photo, then move it out of the cache directory,
+// which the system may clear before the upload goes through
+const storePhoto = async (asset) => {
+  const resize = asset.width > MAX_WIDTH ? [{ resize: { width: MAX_WIDTH } }] : [];
+  const photo = await ImageManipulator.manipulateAsync(asset.uri, resize, {
+    compress: QUALITY,
+    format: ImageManipulator.SaveFormat.JPEG,
+  });
+
+  const id = createTempId();
+  const url = `${RECEIPT_DIR}${id}.jpg`;
+  await FileSystem.makeDirectoryAsync(RECEIPT_DIR, { intermediates: true });
+  await FileSystem.moveAsync({ from: photo.uri, to: url });
+  return { id, url };
+};
+
+const receipts = {
+  // Take a photo or choose some from the library ('camera' or 'library').
+  // Resolves to the new receipts, or null when permission was refused.
+  pick: async (source) => {
+    if (!(await requestPermission(source))) return null;
+
+    const options = { mediaTypes: ['images'], quality: 1 };
+    const result = source === 'camera'
+      ? await ImagePicker.launchCameraAsync(options)
+      : await ImagePicker.launchImageLibraryAsync({
+        ...options,
+        allowsMultipleSelection: true,
+        selectionLimit: MAX_PHOTOS,
+      });
+    if (result.canceled) return [];
+
+    const picked = [];
+    for (const asset of result.assets) {
+      picked.push(await storePhoto(asset));
+    }
+    return picked;
+  },
+
+  // Remove the file behind a photo that will not be uploaded
+  discard: async (receipt) => {
+    if (!isLocalReceipt(receipt)) return;
+    try {
+      await FileSystem.deleteAsync(receipt.url, { idempotent: true });
+    } catch (error) {
+      console.error('Error removing receipt photo:', error);
+    }
+  },
+};
+
+export default receipts;
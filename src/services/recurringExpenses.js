@@ -0,0 +1,117 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import api from './api';
+import localStore from './localStore';
+import reminders from './reminders';
+import { formatAmount, parseExpenseDate } from '../utils/expenses';
+import { describeDaysUntil, getDueCharges } from '../utils/recurringExpenses';
+
+// The API has no recurring expenses, so the templates live on the device and
+// the entries they generate go through the normal expense API
+const RECURRING_KEY = 'recurringExpenses';
+const REMINDER_HOUR = 9;
+
+const readTemplates = () => localStore.readJSON(RECURRING_KEY, []);
+
+const writeTemplates = async (templates) => {
+  await AsyncStorage.setItem(RECURRING_KEY, JSON.stringify(templates));
+  return templates;
+};
+
+// Generating and editing both rewrite the whole list, so they take turns
+let lock = Promise.resolve();
+const withLock = (task) => {
+  const result = lock.then(task);
+  lock = result.catch(() => {});
+  return result;
+};
+
+const getReminderId = (templateId) => `recurring-${templateId}`;
+
+const recurringExpenses = {
+  getAll: async () => {
+    try {
+      return await readTemplates();
+    } catch (error) {
+      console.error('Error loading recurring expenses:', error);
+      return [];
+    }
+  },
+
+  save: (template) => withLock(async () => {
+    const templates = await readTemplates();
+    const exists = templates.some(item => item.id === template.id);
+    const next = exists
+      ? templates.map(item => (item.id === template.id ? template : item))
+      : [...templates, template];
+    await writeTemplates(next);
+    await recurringExpenses.scheduleReminder(template);
+    return template;
+  }),
+
+  // Templates belong to the account that made them, so logout drops them
+  clear: () => withLock(async () => {
+    await AsyncStorage.removeItem(RECURRING_KEY);
+  }),
+
+  remove: (templateId) => withLock(async () => {
+    const templates = await readTemplates();
+    await writeTemplates(templates.filter(item => item.id !== templateId));
+    await reminders.cancelNotification(getReminderId(templateId));
+  }),
+
+  // Adds an expense for every charge that has come due, oldest first, and moves
+  // each template past them. Resolves to the number of expenses added.
+  generateDue: () => withLock(async () => {
+    const templates = await readTemplates();
+    let added = 0;
+
+    for (const [index, template] of templates.entries()) {
+      const { dates, next } = getDueCharges(template);
+      if (dates.length === 0) continue;
+
+      for (const [dateIndex, date] of dates.entries()) {
+        const day = parseExpenseDate(date);
+        await api.createExpense({
+          title: template.title,
+          amount: template.amount,
+          category: template.category,
+          type: template.type,
+          currency: template.currency,
+          // Midday keeps the charge on the same calendar day in any time zone
+          expense_date: new Date(day.getFullYear(), day.getMonth(), day.getDate(), 12).toISOString(),
+          recurring_id: template.id,
+        });
+        added += 1;
+
+        // Saved after every charge so a failure later on can't enter it twice
+        templates[index] = { ...template, next_date: dates[dateIndex + 1] ?? next };
+        await writeTemplates(templates);
+      }
+
+      await recurringExpenses.scheduleReminder(templates[index]);
+    }
+
+    return added;
+  }),
+
+  // Replaces the reminder for the template's next charge
+  scheduleReminder: async (template) => {
+    const identifier = getReminderId(template.id);
+    await reminders.cancelNotification(identifier);
+    if (template.reminder_days === null || template.reminder_days === undefined || !template.next_date) return;
+
+    const date = parseExpenseDate(template.next_date);
+    date.setDate(date.getDate() - template.reminder_days);
+    date.setHours(REMINDER_HOUR, 0, 0, 0);
+    if (date <= new Date()) return;
+    if (!(await reminders.requestPermission())) return;
+
+    await reminders.notifyAt(identifier, {
+      title: `${template.title} is due ${describeDaysUntil(template.next_date, date)}`,
+      body: `${formatAmount(template.amount, template.currency)} will be added to your ${template.type === 'income' ? 'income' : 'expenses'}`,
+      date,
+    });
+  },
+};
+
+export default recurringExpenses;
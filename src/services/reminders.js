@@ -0,0 +1,156 @@
+import AsyncStorage from '@react-native-async-storage/async-storage';
+import * as Notifications from 'expo-notifications';
+import { Platform } from 'react-native';
+import api from './api';
+import { isClosed } from '../utils/taskStatus';
+
+const CHANNEL_ID = 'task-reminders';
+
+// Minutes before the due date; null means no reminder
+export const REMINDER_OPTIONS = [
+  { value: null, label: 'None' },
+  { value: 0, label: 'At due time' },
+  { value: 5, label: '5 min before' },
+  { value: 15, label: '15 min before' },
+  { value: 30, label: '30 min before' },
+  { value: 60, label: '1 hour before' },
+  { value: 1440, label: '1 day before' },
+];
+
+export const describeReminder = (minutes) => {
+  if (minutes === null || minutes === undefined) return 'No reminder';
+  if (minutes === 0) return 'At due time';
+  if (minutes % 1440 === 0) return `${minutes / 1440} day${minutes === 1440 ? '' : 's'} before`;
+  if (minutes % 60 === 0) return `${minutes / 60} hour${minutes === 60 ? '' : 's'} before`;
+  return `${minutes} min before`;
+};
+
+Notifications.setNotificationHandler({
+  handleNotification: async () => ({
+    shouldShowAlert: true,
+    shouldPlaySound: true,
+    shouldSetBadge: false,
+  }),
+});
+
+const reminders = {
+  requestPermission: async () => {
+    if (Platform.OS === 'android') {
+      await Notifications.setNotificationChannelAsync(CHANNEL_ID, {
+        name: 'Task reminders',
+        importance: Notifications.AndroidImportance.HIGH,
+      });
+    }
+
+    const { status } = await Notifications.getPermissionsAsync();
+    if (status === 'granted') return true;
+
+    const request = await Notifications.requestPermissionsAsync();
+    return request.status === 'granted';
+  },
+
+  // Replace any reminder for the task with one matching its current due date
+  schedule: async (task) => {
+    try {
+      await reminders.cancel(task.id);
+
+      const minutes = task.reminder_minutes;
+      if (minutes === null || minutes === undefined || !task.due_date || isClosed(task)) return;
+
+      const dueDate = new Date(task.due_date);
+      const triggerDate = new Date(dueDate.getTime() - minutes * 60 * 1000);
+      if (triggerDate <= new Date()) return;
+
+      await Notifications.scheduleNotificationAsync({
+        content: {
+          title: task.title || 'Task reminder',
+          body: minutes === 0
+            ? 'Due now'
+            : `Due at ${dueDate.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' })}`,
+          data: { taskId: task.id },
+        },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date: triggerDate,
+          channelId: CHANNEL_ID,
+        },
+      });
+    } catch (error) {
+      console.error('Error scheduling reminder:', error);
+    }
+  },
+
+  cancel: async (taskId) => {
+    try {
+      // Reminders set while offline carry the temporary ID, so compare server IDs
+      const id = String(await api.resolveId(taskId));
+      const scheduled = await Notifications.getAllScheduledNotificationsAsync();
+
+      for (const notification of scheduled) {
+        const scheduledId = notification.content.data?.taskId;
+        if (scheduledId !== undefined && String(await api.resolveId(scheduledId)) === id) {
+          await Notifications.cancelScheduledNotificationAsync(notification.identifier);
+        }
+      }
+    } catch (error) {
+      console.error('Error cancelling reminder:', error);
+    }
+  },
+
+  // One-off notification that isn't tied to a task, e.g. the end of a pomodoro.
+  // Scheduling again under the same identifier replaces it.
+  notifyAt: async (identifier, { title, body, date }) => {
+    try {
+      await Notifications.scheduleNotificationAsync({
+        identifier,
+        content: { title, body },
+        trigger: {
+          type: Notifications.SchedulableTriggerInputTypes.DATE,
+          date,
+          channelId: CHANNEL_ID,
+        },
+      });
+    } catch (error) {
+      console.error('Error scheduling notification:', error);
+    }
+  },
+
+  cancelNotification: async (identifier) => {
+    try {
+      await Notifications.cancelScheduledNotificationAsync(identifier);
+    } catch (error) {
+      console.error('Error cancelling notification:', error);
+    }
+  },
+
+  cancelAll: async () => {
+    try {
+      await Notifications.cancelAllScheduledNotificationsAsync();
+    } catch (error) {
+      console.error('Error cancelling reminders:', error);
+    }
+  },
+
+  // Calls `onOpen` with the task ID whenever a reminder is tapped
+  addResponseListener: (onOpen) => {
+    return Notifications.addNotificationResponseReceivedListener(response => {
+      const taskId = response.notification.request.content.data?.taskId;
+      if (taskId !== undefined) onOpen(taskId);
+    });
+  },
+
+  // Task ID of the reminder that launched the app, if any. The last response
+  // outlives the launch it caused, so each one is only handed out once.
+  getLaunchTaskId: async () => {
+    const response = await Notifications.getLastNotificationResponseAsync();
+    if (!response) return undefined;
+
+    const key = `${response.notification.request.identifier}:${response.notification.date}`;
+    if (await AsyncStorage.getItem('lastOpenedReminder') === key) return undefined;
+    await AsyncStorage.setItem('lastOpenedReminder', key);
+
+    return response.notification.request.content.data?.taskId;
+  },
+};
+
+export default reminders;
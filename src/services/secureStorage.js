@@ -0,0 +1,36 @@
+import * as SecureStore from 'expo-secure-store';
+
+// Keychain / Keystore backed storage for secrets. Items stay on this device
+// and are never included in backups.
+const options = {
+  keychainAccessible: SecureStore.WHEN_UNLOCKED_THIS_DEVICE_ONLY,
+};
+
+const secureStorage = {
+  getItem: async (key) => {
+    try {
+      return await SecureStore.getItemAsync(key, options);
+    } catch (error) {
+      console.error(`Error reading secure ${key}:`, error);
+      return null;
+    }
+  },
+
+  setItem: async (key, value) => {
+    try {
+      await SecureStore.setItemAsync(key, value, options);
+    } catch (error) {
+      console.error(`Error writing secure ${key}:`, error);
+    }
+  },
+
+  removeItem: async (key) => {
+    try {
+      await SecureStore.deleteItemAsync(key, options);
+    } catch (error) {
+      console.error(`Error removing secure ${key}:`, error);
+    }
+  },
+};
+
+export default secureStorage;
@@ -0,0 +1,29 @@
+import * as DocumentPicker from 'expo-document-picker';
+import * as FileSystem from 'expo-file-system';
+
+// Banks label CSV exports inconsistently, so plain text and Excel's CSV type
+// are offered too
+const CSV_TYPES = [
+  'text/csv',
+  'text/comma-separated-values',
+  'text/plain',
+  'application/vnd.ms-excel',
+];
+
+const statements = {
+  // Let the user choose a CSV file from the device. Resolves to
+  // { name, text }, or null when they cancel.
+  pickCsv: async () => {
+    const result = await DocumentPicker.getDocumentAsync({
+      type: CSV_TYPES,
+      copyToCacheDirectory: true,
+    });
+    if (result.canceled) return null;
+
+    const [file] = result.assets;
+    const text = await FileSystem.readAsStringAsync(file.uri);
+    return { name: file.name, text };
+  },
+};
+
+export default statements;
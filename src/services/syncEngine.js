@@ -0,0 +1,244 @@
+import NetInfo from '@react-native-community/netinfo';
+import * as FileSystem from 'expo-file-system';
+import localStore, { getList, setList } from './localStore';
+
+const OUTBOX_KEY = 'offline:outbox';
+const ID_MAP_KEY = 'offline:idMap';
+
+export const createTempId = () => `tmp-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`;
+
+export const isTempId = (id) => typeof id === 'string' && id.startsWith('tmp-');
+
+const sameId = (a, b) => String(a) === String(b);
+
+const applyMutation = (list, mutation, idMap) => {
+  const id = idMap[mutation.id] ?? mutation.id;
+
+  switch (mutation.type) {
+    case 'create':
+      return list.some(item => sameId(item.id, id) || sameId(item.id, mutation.id))
+        ? list
+        : [{ ...mutation.record, id }, ...list];
+    case 'update':
+      return list.map(item => sameId(item.id, id) ? { ...item, ...mutation.patch } : item);
+    case 'delete':
+      return list.filter(item => !sameId(item.id, id));
+    default:
+      return list;
+  }
+};
+
+// A body queued offline can point at another record created offline, like a
+// task filed under a new category; swap those for the server IDs
+const resolveBody = (body, idMap) => {
+  return Object.fromEntries(Object.entries(body).map(([key, value]) => (
+    [key, isTempId(value) && idMap[value] !== undefined ? idMap[value] : value]
+  )));
+};
+
+// Mutations carrying `files` ({ field, uri, name, type }) go up as multipart
+// form data alongside the body fields
+const buildBody = (mutation, idMap) => {
+  const body = mutation.body ? resolveBody(mutation.body, idMap) : null;
+  if (!mutation.files) return body ? JSON.stringify(body) : undefined;
+
+  const form = new FormData();
+  Object.entries(body || {}).forEach(([key, value]) => form.append(key, String(value)));
+  mutation.files.forEach(({ field, uri, name, type }) => form.append(field, { uri, name, type }));
+  return form;
+};
+
+const deleteFiles = (files) => Promise.all(files.map(file => (
+  FileSystem.deleteAsync(file.uri, { idempotent: true })
+    .catch(error => console.error('Error deleting uploaded file:', error))
+)));
+
+const filesExist = async (files) => {
+  try {
+    const infos = await Promise.all(files.map(file => FileSystem.getInfoAsync(file.uri)));
+    return infos.every(info => info.exists);
+  } catch (error) {
+    console.error('Error checking upload files:', error);
+    return true;
+  }
+};
+
+// Outbox writes are chained so enqueue and flush never overwrite each other
+let outboxLock = Promise.resolve();
+
+const updateOutbox = (updater) => {
+  outboxLock = outboxLock.then(async () => {
+    const outbox = await localStore.readJSON(OUTBOX_KEY, []);
+    await localStore.writeJSON(OUTBOX_KEY, updater(outbox));
+  });
+  return outboxLock;
+};
+
+// Only a definite rejection (4xx other than auth) drops a mutation; anything
+// else leaves it at the head of the outbox for the next attempt
+const isRejected = (error) => {
+  return error.status >= 400 && error.status < 500 && error.status !== 401;
+};
+
+const listeners = new Set();
+
+// The mutation `drain` is sending right now, which stays in the outbox until
+// the server answers
+let sending = null;
+
+const drain = async (request) => {
+  const synced = new Set();
+
+  while (true) {
+    const outbox = await localStore.readJSON(OUTBOX_KEY, []);
+    if (outbox.length === 0) break;
+
+    const mutation = outbox[0];
+    const idMap = await localStore.readJSON(ID_MAP_KEY, {});
+    const id = idMap[mutation.id] ?? mutation.id;
+    sending = mutation;
+
+    // An upload whose files are gone can never succeed, so it is dropped
+    // rather than left blocking everything queued behind it
+    if (mutation.files && !(await filesExist(mutation.files))) {
+      console.error(`Dropping ${mutation.type} on ${mutation.collection} with missing files`);
+      await deleteFiles(mutation.files);
+      synced.add(mutation.collection);
+      await updateOutbox(current => current.filter(item => item.uid !== mutation.uid));
+      continue;
+    }
+
+    try {
+      const body = buildBody(mutation, idMap);
+      const response = await request(mutation.path.replace(':id', id), {
+        method: mutation.method,
+        ...(body ? { body } : {}),
+      });
+
+      if (mutation.type === 'create') {
+        const saved = response?.data ?? response;
+        if (saved?.id !== undefined) {
+          idMap[mutation.id] = saved.id;
+          await localStore.writeJSON(ID_MAP_KEY, idMap);
+        }
+        await localStore.updateCollection(mutation.collection, list => [
+          { ...mutation.record, ...saved, id: idMap[mutation.id] ?? mutation.id },
+          ...list.filter(item => !sameId(item.id, mutation.id)),
+        ]);
+      } else if (mutation.files) {
+        // Uploads answer with the updated record. Once the server's URLs for
+        // the files are in the cache the local copies are no longer needed;
+        // without them the record keeps pointing at the local ones.
+        const saved = response?.data ?? response;
+        const hasUrls = saved?.id !== undefined && Object.keys(mutation.patch).every(key => saved[key] !== undefined);
+        const patch = hasUrls ? { ...mutation.patch, ...saved } : mutation.patch;
+        await localStore.updateCollection(mutation.collection, list => applyMutation(list, { ...mutation, patch }, idMap));
+        if (hasUrls) await deleteFiles(mutation.files);
+      } else {
+        await localStore.updateCollection(mutation.collection, list => applyMutation(list, mutation, idMap));
+      }
+    } catch (error) {
+      if (!isRejected(error)) break;
+      console.error(`Dropping rejected ${mutation.type} on ${mutation.collection}:`, error);
+      // Nothing will point at the files of a dropped upload
+      if (mutation.files) await deleteFiles(mutation.files);
+    }
+
+    synced.add(mutation.collection);
+    await updateOutbox(current => current.filter(item => item.uid !== mutation.uid));
+  }
+  sending = null;
+
+  if (synced.size > 0) {
+    listeners.forEach(listener => listener([...synced]));
+  }
+};
+
+let flushing = null;
+
+const syncEngine = {
+  // Read through to the server, falling back to the last cached response
+  // when offline; pending mutations are laid over the result either way
+  read: async (key, request, { collection, listKey, group, limit } = {}) => {
+    let value;
+    try {
+      value = await request(key);
+      await localStore.set(key, value, { collection, listKey, group, limit });
+    } catch (error) {
+      if (!error.isNetworkError) throw error;
+      value = await localStore.get(key);
+      if (value === null) throw error;
+    }
+
+    if (!collection) return value;
+
+    const outbox = await localStore.readJSON(OUTBOX_KEY, []);
+    const idMap = await localStore.readJSON(ID_MAP_KEY, {});
+    const list = outbox
+      .filter(mutation => mutation.collection === collection)
+      .reduce((current, mutation) => applyMutation(current, mutation, idMap), getList(value, listKey));
+
+    return setList(value, listKey, list);
+  },
+
+  // Server ID for a record created offline, or the ID itself
+  resolveId: async (id) => {
+    const idMap = await localStore.readJSON(ID_MAP_KEY, {});
+    return idMap[id] ?? id;
+  },
+
+  getPending: async () => {
+    return await localStore.readJSON(OUTBOX_KEY, []);
+  },
+
+  enqueue: async (mutation) => {
+    const idMap = await localStore.readJSON(ID_MAP_KEY, {});
+    const id = idMap[mutation.id] ?? mutation.id;
+
+    // Deleting something the server never saw just forgets it locally, along
+    // with the files of any uploads queued for it
+    if (mutation.type === 'delete' && isTempId(id)) {
+      let dropped = [];
+      await updateOutbox(outbox => {
+        dropped = outbox.filter(item => sameId(item.id, id));
+        return outbox.filter(item => !sameId(item.id, id));
+      });
+      await Promise.all(dropped.filter(item => item.files).map(item => deleteFiles(item.files)));
+
+      // A create already on its way will still be saved, so the delete is
+      // queued after it and goes out under the server's ID
+      if (sending?.type !== 'create' || !sameId(sending.id, id)) return;
+    }
+
+    await updateOutbox(outbox => [
+      ...outbox,
+      { ...mutation, id, uid: createTempId(), queued_at: new Date().toISOString() },
+    ]);
+  },
+
+  flush: (request) => {
+    if (!flushing) {
+      flushing = drain(request).finally(() => {
+        flushing = null;
+      });
+    }
+    return flushing;
+  },
+
+  // Notified with the affected collections after queued mutations reach the server
+  subscribe: (listener) => {
+    listeners.add(listener);
+    return () => listeners.delete(listener);
+  },
+
+  // Replay the outbox whenever the device comes back online
+  startAutoSync: (request) => {
+    return NetInfo.addEventListener(state => {
+      if (state.isConnected && state.isInternetReachable !== false) {
+        syncEngine.flush(request);
+      }
+    });
+  },
+};
+
+export default syncEngine;
@@ -0,0 +1,79 @@
+import { getHomeAmount, isIncome, parseExpenseDate } from './expenses';
+
+// Shares of a budget that trigger a warning, then an overspend alert
+export const BUDGET_THRESHOLDS = [0.8, 1];
+
+export const getMonthKey = (date) => `${date.getFullYear()}-${date.getMonth() + 1}`;
+
+// { total, byCategory: { [name]: amount } } spent in the month containing `now`,
+// in the home currency
+export const getMonthSpending = (expenses, currency, now = new Date()) => {
+  const monthKey = getMonthKey(now);
+  return expenses.reduce((spending, expense) => {
+    const date = parseExpenseDate(expense.expense_date);
+    if (isIncome(expense) || !date || getMonthKey(date) !== monthKey) return spending;
+
+    const amount = getHomeAmount(expense, currency);
+    if (amount === null) return spending;
+    spending.total += amount;
+    spending.byCategory[expense.category] = (spending.byCategory[expense.category] || 0) + amount;
+    return spending;
+  }, { total: 0, byCategory: {} });
+};
+
+export const getBudgetStatus = (spent, limit) => {
+  const ratio = limit ? spent / limit : 0;
+  if (ratio >= BUDGET_THRESHOLDS[1]) return { ratio, level: 'over', color: '#D32F2F' };
+  if (ratio >= BUDGET_THRESHOLDS[0]) return { ratio, level: 'warning', color: '#FFA000' };
+  return { ratio, level: 'ok', color: '#4CAF50' };
+};
+
+// Budgets with `name`'s limit set to `amount`; null clears it. A null name is
+// the overall budget.
+export const setBudgetLimit = (budgets, name, amount) => {
+  if (name === null) return { ...budgets, overall: amount };
+
+  const categories = { ...budgets.categories };
+  if (amount) {
+    categories[name] = amount;
+  } else {
+    delete categories[name];
+  }
+  return { ...budgets, categories };
+};
+
+export const hasBudgets = (budgets) => Boolean(budgets?.overall) || Object.keys(budgets?.categories || {}).length > 0;
+
+// Budgets re-expressed in another currency, `rate` being what one unit of the
+// old currency is worth in it
+export const convertBudgets = (budgets, rate) => {
+  const convert = (amount) => Math.round(amount * rate * 100) / 100;
+  return {
+    ...budgets,
+    overall: budgets.overall ? convert(budgets.overall) : budgets.overall,
+    categories: Object.fromEntries(
+      Object.entries(budgets.categories).map(([name, amount]) => [name, convert(amount)])
+    ),
+  };
+};
+
+// How saving `amount` in `category` this month moves each budget it counts
+// towards: [{ name, limit, before, after }], overall first. `previous` is the
+// expense being edited, whose old amount is already part of `spending`.
+export const getBudgetImpact = ({ budgets, spending, category, amount, previous = null }) => {
+  const categorySpent = spending.byCategory[category] || 0;
+  return [
+    {
+      name: null,
+      limit: budgets.overall,
+      before: spending.total - (previous?.amount || 0),
+    },
+    {
+      name: category,
+      limit: budgets.categories[category],
+      before: categorySpent - (previous?.category === category ? previous.amount : 0),
+    },
+  ]
+    .filter(item => item.limit)
+    .map(item => ({ ...item, after: item.before + amount }));
+};
@@ -0,0 +1,67 @@
+import { isClosed } from './taskStatus';
+
+// Date helpers for the task calendar. Weeks start on Sunday to match WEEK_DAYS.
+
+export const MONTH_NAMES = [
+  'January', 'February', 'March', 'April', 'May', 'June',
+  'July', 'August', 'September', 'October', 'November', 'December',
+];
+
+export const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+export const addMonths = (date, months) => {
+  const next = new Date(date.getFullYear(), date.getMonth() + months, 1);
+  const lastDay = new Date(next.getFullYear(), next.getMonth() + 1, 0).getDate();
+  next.setDate(Math.min(date.getDate(), lastDay));
+  return next;
+};
+
+export const startOfWeek = (date) => {
+  const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  return addDays(start, -start.getDay());
+};
+
+export const isSameDay = (a, b) => a.toDateString() === b.toDateString();
+
+export const isSameMonth = (a, b) => (
+  a.getFullYear() === b.getFullYear() && a.getMonth() === b.getMonth()
+);
+
+// Local YYYY-MM-DD, used to bucket tasks by the day they fall on
+export const toDateKey = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// `due_date` as the API expects it
+export const formatDueDate = (date) => date.toISOString().slice(0, 19).replace('T', ' ');
+
+export const getWeekDates = (date) => {
+  const start = startOfWeek(date);
+  return Array.from({ length: 7 }, (_, index) => addDays(start, index));
+};
+
+// Always six rows so the grid keeps its height from month to month
+export const getMonthWeeks = (date) => {
+  const start = startOfWeek(new Date(date.getFullYear(), date.getMonth(), 1));
+  return Array.from({ length: 6 }, (_, week) => getWeekDates(addDays(start, week * 7)));
+};
+
+// { 'YYYY-MM-DD': { total, closed } } for every day that has tasks; `closed`
+// counts completed and cancelled tasks
+export const getTaskCountsByDay = (tasks) => {
+  return tasks.reduce((counts, task) => {
+    if (!task.due_date) return counts;
+    const key = toDateKey(new Date(task.due_date));
+    const day = counts[key] || { total: 0, closed: 0 };
+    counts[key] = {
+      total: day.total + 1,
+      closed: day.closed + (isClosed(task) ? 1 : 0),
+    };
+    return counts;
+  }, {});
+};
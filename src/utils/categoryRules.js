@@ -0,0 +1,140 @@
+import { isIncome, parseAmount } from './expenses';
+
+// Category rules are kept on the device as { rules, learn }. Rules are tried in
+// order and the first match wins:
+//   { id, match, text, min_amount, max_amount, category }
+// An empty `text` matches any title and a null bound leaves that side of the
+// amount open. Amounts compare as entered, whatever their currency.
+
+export const RULE_MATCHES = [
+  { value: 'contains', label: 'contains' },
+  { value: 'starts_with', label: 'starts with' },
+  { value: 'equals', label: 'is exactly' },
+];
+
+export const EMPTY_CATEGORY_RULES = { rules: [], learn: true };
+
+export const createCategoryRule = (fields) => ({
+  id: `rule-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  match: 'contains',
+  text: '',
+  min_amount: null,
+  max_amount: null,
+  ...fields,
+});
+
+const normalize = (value) => String(value || '').trim().toLowerCase();
+
+const hasCondition = (rule) => Boolean(normalize(rule.text)) || rule.min_amount !== null || rule.max_amount !== null;
+
+export const matchesRule = (rule, { title, amount }) => {
+  if (!hasCondition(rule)) return false;
+
+  const text = normalize(rule.text);
+  const value = normalize(title);
+  if (text) {
+    if (rule.match === 'equals' && value !== text) return false;
+    if (rule.match === 'starts_with' && !value.startsWith(text)) return false;
+    if (rule.match === 'contains' && !value.includes(text)) return false;
+  }
+
+  if (rule.min_amount === null && rule.max_amount === null) return true;
+  if (typeof amount !== 'number' || Number.isNaN(amount)) return false;
+  return (rule.min_amount === null || amount >= rule.min_amount)
+    && (rule.max_amount === null || amount <= rule.max_amount);
+};
+
+export const findMatchingRule = (rules, expense) => (
+  rules.find(rule => matchesRule(rule, expense)) || null
+);
+
+// "Title contains “uber” and amount 100–500"
+export const describeRule = (rule) => {
+  const parts = [];
+  if (normalize(rule.text)) {
+    const match = RULE_MATCHES.find(item => item.value === rule.match) || RULE_MATCHES[0];
+    parts.push(`title ${match.label} “${rule.text.trim()}”`);
+  }
+  if (rule.min_amount !== null && rule.max_amount !== null) {
+    parts.push(`amount ${rule.min_amount}–${rule.max_amount}`);
+  } else if (rule.min_amount !== null) {
+    parts.push(`amount ≥ ${rule.min_amount}`);
+  } else if (rule.max_amount !== null) {
+    parts.push(`amount ≤ ${rule.max_amount}`);
+  }
+  const description = parts.join(' and ');
+  return description.charAt(0).toUpperCase() + description.slice(1);
+};
+
+// Words worth learning from: no numbers like dates or references, and
+// nothing shorter than three letters
+const getWords = (title) => normalize(title)
+  .split(/[\s,.;:!?()[\]{}"'/\\|*#&+=_-]+/)
+  .filter(word => word.length >= 3 && !/\d/.test(word));
+
+const addCount = (table, key, category) => {
+  table[key] = table[key] || {};
+  table[key][category] = (table[key][category] || 0) + 1;
+};
+
+// How often each whole title, and each word in one, went with each category
+// in past spending: { titles, words }
+export const learnCategories = (expenses) => {
+  const titles = {};
+  const words = {};
+  expenses.forEach(expense => {
+    if (isIncome(expense) || !expense.category || !normalize(expense.title)) return;
+    addCount(titles, normalize(expense.title), expense.category);
+    new Set(getWords(expense.title)).forEach(word => addCount(words, word, expense.category));
+  });
+  return { titles, words };
+};
+
+// A word needs this many past uses to count in full
+const WORD_CONFIDENCE = 3;
+const MIN_SCORE = 0.5;
+
+const getTopCategory = (counts) => (
+  Object.entries(counts).sort((a, b) => b[1] - a[1])[0]?.[0] || null
+);
+
+// The category a title usually had. Failing an exact match, each word votes
+// with the share of its past uses per category, weighted by how often it has
+// been seen, so one earlier coffee isn't enough to decide on its own.
+export const guessFromHistory = (learned, title) => {
+  const exact = learned.titles[normalize(title)];
+  if (exact) return getTopCategory(exact);
+
+  const scores = {};
+  getWords(title).forEach(word => {
+    const counts = learned.words[word];
+    if (!counts) return;
+    const uses = Object.values(counts).reduce((sum, count) => sum + count, 0);
+    const weight = Math.min(uses, WORD_CONFIDENCE) / WORD_CONFIDENCE;
+    Object.entries(counts).forEach(([category, count]) => {
+      scores[category] = (scores[category] || 0) + (count / uses) * weight;
+    });
+  });
+
+  const category = getTopCategory(scores);
+  return category && scores[category] >= MIN_SCORE ? category : null;
+};
+
+// { category, source } for a new expense, from the rules first and then from
+// past expenses if learning is on; null when neither has an answer
+export const suggestCategory = (settings, learned, expense) => {
+  const rule = findMatchingRule(settings.rules, expense);
+  if (rule) return { category: rule.category, source: 'rule' };
+  if (!settings.learn || !learned || !normalize(expense.title)) return null;
+
+  const category = guessFromHistory(learned, expense.title);
+  return category ? { category, source: 'history' } : null;
+};
+
+// [{ expense, category }] for existing spending the rules would file under a
+// different category. Learning is left out so only explicit rules move them.
+export const getRuleChanges = (rules, expenses) => expenses.flatMap(expense => {
+  if (isIncome(expense)) return [];
+  const rule = findMatchingRule(rules, { title: expense.title, amount: parseAmount(expense.amount) });
+  return rule && rule.category !== expense.category ? [{ expense, category: rule.category }] : [];
+});
@@ -0,0 +1,27 @@
+// Categories carry an Ionicons `icon`, a `color` and a `position` for ordering
+
+export const CATEGORY_COLORS = [
+  '#2196F3', '#4CAF50', '#FFA000', '#F4511E', '#D32F2F',
+  '#7B1FA2', '#C2185B', '#00796B', '#5D4037', '#607D8B',
+];
+
+export const CATEGORY_ICONS = [
+  'pricetag-outline', 'briefcase-outline', 'home-outline', 'cart-outline', 'heart-outline',
+  'school-outline', 'fitness-outline', 'airplane-outline', 'cash-outline', 'people-outline',
+  'book-outline', 'code-slash-outline', 'musical-notes-outline', 'restaurant-outline', 'star-outline',
+];
+
+export const getCategoryStyle = (category) => ({
+  icon: category?.icon || CATEGORY_ICONS[0],
+  color: category?.color || CATEGORY_COLORS[0],
+});
+
+// Categories without a position keep the server's order after the ordered ones
+export const sortCategories = (categories) => {
+  return categories
+    .map((category, index) => ({ category, index }))
+    .sort((a, b) => (
+      (a.category.position ?? Infinity) - (b.category.position ?? Infinity) || a.index - b.index
+    ))
+    .map(({ category }) => category);
+};
@@ -0,0 +1,50 @@
+// Angles are in radians, measured clockwise from 12 o'clock
+
+export const polarToCartesian = (cx, cy, radius, angle) => ({
+  x: cx + radius * Math.sin(angle),
+  y: cy - radius * Math.cos(angle),
+});
+
+// SVG path for an arc along a circle, drawn with a stroke rather than a fill
+export const describeArc = (cx, cy, radius, startAngle, endAngle) => {
+  const start = polarToCartesian(cx, cy, radius, startAngle);
+  const end = polarToCartesian(cx, cy, radius, endAngle);
+  const largeArc = endAngle - startAngle > Math.PI ? 1 : 0;
+  return `M ${start.x} ${start.y} A ${radius} ${radius} 0 ${largeArc} 1 ${end.x} ${end.y}`;
+};
+
+// [{ ...item, startAngle, endAngle, share }] for the items with a positive value
+export const getSlices = (data) => {
+  const items = data.filter(item => item.value > 0);
+  const total = items.reduce((sum, item) => sum + item.value, 0);
+  let angle = 0;
+  return items.map(item => {
+    const share = item.value / total;
+    const slice = { ...item, share, startAngle: angle, endAngle: angle + share * 2 * Math.PI };
+    angle = slice.endAngle;
+    return slice;
+  });
+};
+
+// Rounds up to 1, 2, 2.5 or 5 times a power of ten so gridlines land on round numbers
+export const getNiceMax = (value) => {
+  if (!(value > 0)) return 1;
+  const magnitude = 10 ** Math.floor(Math.log10(value));
+  const step = [1, 2, 2.5, 5, 10].find(candidate => candidate * magnitude >= value);
+  return step * magnitude;
+};
+
+// 950, 1.2k, 3.4M
+export const formatCompact = (value) => {
+  const abs = Math.abs(value);
+  if (abs >= 1e6) return `${+(value / 1e6).toFixed(1)}M`;
+  if (abs >= 1e3) return `${+(value / 1e3).toFixed(1)}k`;
+  return `${+value.toFixed(1)}`;
+};
+
+// Index of the point whose x is closest to `x`, for evenly spaced points
+export const getNearestIndex = (x, width, count) => {
+  if (count <= 1) return 0;
+  const index = Math.round((x / width) * (count - 1));
+  return Math.min(count - 1, Math.max(0, index));
+};
@@ -0,0 +1,37 @@
+import { isCompleted } from './taskStatus';
+
+// Checklist items are stored on a task as `checklist`: [{ id, title, done }]
+
+// The API may hand the list back as a JSON string
+export const parseChecklist = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const createChecklistItem = (title) => ({
+  id: `item-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  title,
+  done: false,
+});
+
+export const getChecklistProgress = (checklist) => {
+  const items = parseChecklist(checklist);
+  return {
+    done: items.filter(item => item.done).length,
+    total: items.length,
+  };
+};
+
+// How much of a task is done, from 0 to 1. Checked items count towards
+// unfinished tasks; a completed task is done whatever its checklist says.
+export const getTaskProgress = (task) => {
+  if (isCompleted(task)) return 1;
+  const { done, total } = getChecklistProgress(task.checklist);
+  return total ? done / total : 0;
+};
@@ -0,0 +1,82 @@
+export const DEFAULT_CURRENCY = 'BDT';
+
+export const CURRENCIES = [
+  { code: 'BDT', symbol: '৳', name: 'Bangladeshi Taka' },
+  { code: 'USD', symbol: '$', name: 'US Dollar' },
+  { code: 'EUR', symbol: '€', name: 'Euro' },
+  { code: 'GBP', symbol: '£', name: 'British Pound' },
+  { code: 'INR', symbol: '₹', name: 'Indian Rupee' },
+  { code: 'JPY', symbol: '¥', name: 'Japanese Yen' },
+  { code: 'CAD', symbol: 'C$', name: 'Canadian Dollar' },
+  { code: 'AUD', symbol: 'A$', name: 'Australian Dollar' },
+  { code: 'SGD', symbol: 'S$', name: 'Singapore Dollar' },
+  { code: 'MYR', symbol: 'RM', name: 'Malaysian Ringgit' },
+  { code: 'AED', symbol: 'AED ', name: 'UAE Dirham' },
+  { code: 'SAR', symbol: 'SAR ', name: 'Saudi Riyal' },
+];
+
+export const getCurrencySymbol = (code) => (
+  CURRENCIES.find(currency => currency.code === code)?.symbol ?? `${code} `
+);
+
+// `currency` is the user's settings: { home, rates: { [code]: value of one
+// unit in the home currency } }. Returns null when there is no rate for `code`.
+export const convertAmount = (amount, code, currency) => {
+  if (!currency || code === currency.home) return amount;
+  const rate = currency.rates[code];
+  return rate ? amount * rate : null;
+};
+
+// Switches the home currency, re-expressing the rates against it. Without a
+// rate between the old and new home currency the rates can't be carried over.
+export const setHomeCurrency = (currency, home) => {
+  if (home === currency.home) return currency;
+
+  const pivot = currency.rates[home];
+  if (!pivot) return { ...currency, home, rates: {} };
+
+  const rates = { [currency.home]: 1 / pivot };
+  Object.entries(currency.rates).forEach(([code, rate]) => {
+    if (code !== home) rates[code] = rate / pivot;
+  });
+  return { ...currency, home, rates };
+};
+
+// Reads pasted rates, either "USD 110" / "EUR=120.5" lines or a JSON object
+// like { "USD": 110 }. Returns { rates, invalid } with the lines it skipped.
+export const parseRates = (text) => {
+  const rates = {};
+  const invalid = [];
+
+  let entries;
+  try {
+    const json = JSON.parse(text);
+    entries = json && typeof json === 'object' && !Array.isArray(json)
+      ? Object.entries(json).map(([code, rate]) => [code, String(rate), `${code}: ${rate}`])
+      : null;
+  } catch (error) {
+    entries = null;
+  }
+
+  if (!entries) {
+    entries = text
+      .split('\n')
+      .map(line => line.trim())
+      .filter(Boolean)
+      .map(line => {
+        const match = /^([A-Za-z]{3})\s*[=:,\s]\s*([\d.,]+)$/.exec(line);
+        return match ? [match[1], match[2].replace(/,/g, ''), line] : [null, null, line];
+      });
+  }
+
+  entries.forEach(([code, value, source]) => {
+    const rate = parseFloat(value);
+    if (!code || !/^[A-Za-z]{3}$/.test(code) || !(rate > 0)) {
+      invalid.push(source);
+      return;
+    }
+    rates[code.toUpperCase()] = rate;
+  });
+
+  return { rates, invalid };
+};
@@ -0,0 +1,165 @@
+import { toDateKey } from './calendar';
+import { getChecklistProgress } from './checklist';
+import {
+  formatAmount,
+  formatTransactionAmount,
+  getBalance,
+  getCategoryTotals,
+  getExpenseCurrency,
+  getHomeAmount,
+  isIncome,
+  parseAmount,
+  parseExpenseDate,
+} from './expenses';
+import { getTaskStatus } from './taskStatus';
+import { formatDuration, getTrackedSeconds } from './timeTracking';
+
+export const EXPORT_DATASETS = [
+  { value: 'expenses', label: 'Expenses', icon: 'wallet-outline' },
+  { value: 'tasks', label: 'Tasks', icon: 'checkbox-marked-circle-outline' },
+  { value: 'notes', label: 'Notes', icon: 'note-text-outline' },
+];
+
+// `uti` is the iOS type the share sheet needs to offer the right apps
+export const EXPORT_FORMATS = [
+  { value: 'csv', label: 'CSV', extension: 'csv', mimeType: 'text/csv', uti: 'public.comma-separated-values-text' },
+  { value: 'json', label: 'JSON', extension: 'json', mimeType: 'application/json', uti: 'public.json' },
+  { value: 'pdf', label: 'PDF report', extension: 'pdf', mimeType: 'application/pdf', uti: 'com.adobe.pdf', expensesOnly: true },
+];
+
+const getDateKey = (value) => {
+  const date = value ? parseExpenseDate(value) : null;
+  return date ? toDateKey(date) : '';
+};
+
+// [header, value] pairs for the CSV columns of each dataset
+const CSV_COLUMNS = {
+  expenses: [
+    ['Date', expense => getDateKey(expense.expense_date)],
+    ['Title', expense => expense.title],
+    ['Type', expense => (isIncome(expense) ? 'income' : 'expense')],
+    ['Category', expense => expense.category],
+    ['Amount', expense => parseAmount(expense.amount)],
+    ['Currency', expense => getExpenseCurrency(expense)],
+  ],
+  tasks: [
+    ['Title', task => task.title],
+    ['Description', task => task.description],
+    ['Status', task => getTaskStatus(task)],
+    ['Priority', task => task.priority],
+    ['Category', task => task.category?.title],
+    ['Due', task => task.due_date],
+    ['Completed', task => task.completed_at],
+    ['Checklist', (task) => {
+      const { done, total } = getChecklistProgress(task.checklist);
+      return total ? `${done}/${total}` : '';
+    }],
+    ['Time tracked', task => (getTrackedSeconds(task) ? formatDuration(getTrackedSeconds(task)) : '')],
+  ],
+  notes: [
+    ['Title', note => note.title],
+    ['Content', note => note.content],
+    ['Pinned', note => (note.is_pinned ? 'yes' : 'no')],
+    ['Archived', note => (note.is_archived ? 'yes' : 'no')],
+    ['Created', note => note.created_at],
+  ],
+};
+
+// Quotes cells that need it. Text starting like a formula is prefixed with an
+// apostrophe so spreadsheet apps show it rather than run it.
+const toCsvCell = (value) => {
+  if (value === null || value === undefined) return '';
+  if (typeof value === 'number') return String(value);
+  let text = String(value);
+  if (/^[=+\-@]/.test(text)) text = `'${text}`;
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+export const toCsv = (dataset, records) => {
+  const columns = CSV_COLUMNS[dataset];
+  const lines = [
+    columns.map(([header]) => header),
+    ...records.map(record => columns.map(([, getValue]) => getValue(record))),
+  ];
+  return lines.map(cells => cells.map(toCsvCell).join(',')).join('\r\n');
+};
+
+export const toJson = (dataset, records) => JSON.stringify({
+  exported_at: new Date().toISOString(),
+  [dataset]: records,
+}, null, 2);
+
+const escapeHtml = (value) => String(value ?? '')
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+// Printable HTML for a month of expenses: income, spending and net in the home
+// currency, spending per category and every entry by date
+export const buildExpenseReport = (expenses, month, currency) => {
+  const home = currency.home;
+  const title = month.toLocaleDateString('en-US', { month: 'long', year: 'numeric' });
+  const { income, spent, balance } = getBalance(expenses, currency);
+  const categories = getCategoryTotals(expenses, currency);
+  const entries = [...expenses].sort((a, b) => getDateKey(a.expense_date).localeCompare(getDateKey(b.expense_date)));
+  const missingRates = expenses.filter(expense => getHomeAmount(expense, currency) === null).length;
+
+  const categoryRows = categories.map(({ category, total }) => `
+    <tr>
+      <td>${escapeHtml(category)}</td>
+      <td class="amount">${escapeHtml(formatAmount(total, home))}</td>
+      <td class="amount">${spent ? Math.round((total / spent) * 100) : 0}%</td>
+    </tr>`).join('');
+
+  const entryRows = entries.map(expense => `
+    <tr>
+      <td>${escapeHtml(getDateKey(expense.expense_date))}</td>
+      <td>${escapeHtml(expense.title)}</td>
+      <td>${escapeHtml(expense.category)}</td>
+      <td class="amount ${isIncome(expense) ? 'income' : ''}">
+        ${escapeHtml(formatTransactionAmount(expense))}
+      </td>
+    </tr>`).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8" />
+  <style>
+    body { font-family: -apple-system, Roboto, Helvetica, Arial, sans-serif; color: #333; padding: 24px; }
+    h1 { font-size: 22px; margin: 0 0 4px; }
+    h2 { font-size: 16px; margin: 28px 0 8px; }
+    .subtitle { color: #666; margin: 0; }
+    .summary { display: flex; gap: 12px; margin-top: 20px; }
+    .card { flex: 1; border: 1px solid #E0E0E0; border-radius: 8px; padding: 12px; }
+    .card .label { color: #666; font-size: 12px; }
+    .card .value { font-size: 18px; font-weight: bold; margin-top: 4px; }
+    table { width: 100%; border-collapse: collapse; font-size: 13px; }
+    th, td { text-align: left; padding: 6px 8px; border-bottom: 1px solid #E0E0E0; }
+    th { color: #666; font-weight: 600; }
+    .amount { text-align: right; white-space: nowrap; }
+    .income { color: #388E3C; }
+    .note { color: #666; font-size: 12px; margin-top: 16px; }
+  </style>
+</head>
+<body>
+  <h1>Expense report</h1>
+  <p class="subtitle">${escapeHtml(title)} · ${expenses.length} ${expenses.length === 1 ? 'entry' : 'entries'}</p>
+
+  <div class="summary">
+    <div class="card"><div class="label">Income</div><div class="value income">${escapeHtml(formatAmount(income, home))}</div></div>
+    <div class="card"><div class="label">Spent</div><div class="value">${escapeHtml(formatAmount(spent, home))}</div></div>
+    <div class="card"><div class="label">Net</div><div class="value">${escapeHtml(formatAmount(balance, home))}</div></div>
+  </div>
+
+  <h2>Spending by category</h2>
+  ${categoryRows ? `<table><tr><th>Category</th><th class="amount">Spent</th><th class="amount">Share</th></tr>${categoryRows}</table>` : '<p class="subtitle">No spending this month.</p>'}
+
+  <h2>Entries</h2>
+  ${entryRows ? `<table><tr><th>Date</th><th>Title</th><th>Category</th><th class="amount">Amount</th></tr>${entryRows}</table>` : '<p class="subtitle">No entries this month.</p>'}
+
+  ${missingRates ? `<p class="note">${missingRates} ${missingRates === 1 ? 'entry has' : 'entries have'} no exchange rate to ${escapeHtml(home)} and ${missingRates === 1 ? 'is' : 'are'} left out of the totals.</p>` : ''}
+</body>
+</html>`;
+};
@@ -0,0 +1,119 @@
+import { addDays, isSameDay, toDateKey } from './calendar';
+import { getHomeAmount, isIncome, parseAmount, parseExpenseDate } from './expenses';
+
+// Dates are YYYY-MM-DD keys and amounts the text as typed, so the filters can
+// sit in a query key unchanged
+export const EMPTY_EXPENSE_FILTERS = {
+  search: '',
+  category: null,
+  from: null,
+  to: null,
+  minAmount: '',
+  maxAmount: '',
+};
+
+// How many filters besides the search text are set
+export const countExpenseFilters = (filters) => [
+  filters.category,
+  filters.from || filters.to,
+  filters.minAmount || filters.maxAmount,
+].filter(Boolean).length;
+
+// Query string for the list endpoint, leaving out filters that aren't set
+export const getExpenseQuery = (filters, page, perPage) => {
+  const params = {
+    page,
+    per_page: perPage,
+    search: filters.search.trim(),
+    category: filters.category,
+    from: filters.from,
+    to: filters.to,
+    min_amount: filters.minAmount,
+    max_amount: filters.maxAmount,
+  };
+  return Object.entries(params)
+    .filter(([, value]) => value !== null && value !== undefined && value !== '')
+    .map(([key, value]) => `${key}=${encodeURIComponent(value)}`)
+    .join('&');
+};
+
+// The same filters applied on the device, for pages read offline and for
+// parameters the server doesn't know. Amounts compare as entered, whatever
+// their currency.
+export const filterExpenses = (expenses, filters) => {
+  const search = filters.search.trim().toLowerCase();
+  const min = parseFloat(filters.minAmount);
+  const max = parseFloat(filters.maxAmount);
+
+  return expenses.filter(expense => {
+    if (search && ![expense.title, expense.category].some(value => (
+      String(value || '').toLowerCase().includes(search)
+    ))) {
+      return false;
+    }
+    if (filters.category && expense.category !== filters.category) return false;
+
+    if (filters.from || filters.to) {
+      const date = parseExpenseDate(expense.expense_date);
+      const key = date ? toDateKey(date) : null;
+      if (!key || (filters.from && key < filters.from) || (filters.to && key > filters.to)) return false;
+    }
+
+    const amount = parseAmount(expense.amount);
+    if (!Number.isNaN(min) && amount < min) return false;
+    if (!Number.isNaN(max) && amount > max) return false;
+    return true;
+  });
+};
+
+// Page number to load after `response`; a plain list is the only page
+export const getNextExpensePage = (response) => {
+  if (!response || Array.isArray(response)) return undefined;
+  const { current_page: current, last_page: last } = response;
+  return current && last && current < last ? current + 1 : undefined;
+};
+
+const getDayTitle = (date, now) => {
+  if (isSameDay(date, now)) return 'Today';
+  if (isSameDay(date, addDays(now, -1))) return 'Yesterday';
+  return date.toLocaleDateString('en-US', {
+    weekday: 'short',
+    month: 'short',
+    day: 'numeric',
+    ...(date.getFullYear() !== now.getFullYear() && { year: 'numeric' }),
+  });
+};
+
+// [{ key, title, data, spent, income }] per day, newest first. The day's totals
+// are in the home currency. Rows keep their order within a day.
+export const groupExpensesByDay = (expenses, currency, now = new Date()) => {
+  const days = {};
+  expenses.forEach(expense => {
+    const date = parseExpenseDate(expense.expense_date);
+    const key = date ? toDateKey(date) : 'undated';
+    if (!days[key]) {
+      days[key] = {
+        key,
+        title: date ? getDayTitle(date, now) : 'No date',
+        data: [],
+        spent: 0,
+        income: 0,
+      };
+    }
+
+    const day = days[key];
+    day.data.push(expense);
+    const amount = getHomeAmount(expense, currency) || 0;
+    if (isIncome(expense)) {
+      day.income += amount;
+    } else {
+      day.spent += amount;
+    }
+  });
+
+  return Object.values(days).sort((a, b) => {
+    if (a.key === 'undated') return 1;
+    if (b.key === 'undated') return -1;
+    return b.key.localeCompare(a.key);
+  });
+};
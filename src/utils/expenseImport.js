@@ -0,0 +1,232 @@
+import { toDateKey } from './calendar';
+import { getExpenseCurrency, parseAmount, parseExpenseDate } from './expenses';
+
+// Importing a bank statement: the CSV is split into rows, columns are mapped
+// to fields and every row becomes a draft
+//   { key, title, amount, type, category, date, error, duplicate, include }
+// that can be left out before the expenses are created.
+
+export const IMPORT_FIELDS = [
+  { value: 'date', label: 'Date', required: true },
+  { value: 'title', label: 'Description', required: true },
+  { value: 'amount', label: 'Amount', required: true },
+  { value: 'category', label: 'Category', required: false },
+];
+
+// Header names that usually hold each field
+const FIELD_HINTS = {
+  date: /date|posted|day/i,
+  title: /desc|detail|narration|memo|payee|particular|merchant|title|name/i,
+  amount: /amount|debit|withdrawal|value|sum|total/i,
+  category: /categ|tag/i,
+};
+
+// `value` is the order of year, month and day; months may also be names
+export const DATE_FORMATS = [
+  { value: 'ymd', label: 'YYYY-MM-DD' },
+  { value: 'dmy', label: 'DD/MM/YYYY' },
+  { value: 'mdy', label: 'MM/DD/YYYY' },
+];
+
+const MONTH_NAMES = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+
+// Splits CSV text into rows of trimmed cells. Quoted cells may hold the
+// delimiter, doubled quotes and line breaks. The delimiter is whichever of
+// comma, semicolon or tab the first line uses most.
+export const parseCsv = (text) => {
+  const source = text.replace(/^\uFEFF/, '');
+  const firstLine = source.split(/\r?\n/, 1)[0];
+  const delimiter = [',', ';', '\t'].reduce((best, candidate) => (
+    firstLine.split(candidate).length > firstLine.split(best).length ? candidate : best
+  ));
+
+  const rows = [];
+  let row = [];
+  let cell = '';
+  let quoted = false;
+
+  for (let index = 0; index < source.length; index += 1) {
+    const char = source[index];
+    if (quoted) {
+      if (char === '"' && source[index + 1] === '"') {
+        cell += '"';
+        index += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        cell += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(cell.trim());
+      cell = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && source[index + 1] === '\n') index += 1;
+      row.push(cell.trim());
+      rows.push(row);
+      row = [];
+      cell = '';
+    } else {
+      cell += char;
+    }
+  }
+  if (cell || row.length > 0) {
+    row.push(cell.trim());
+    rows.push(row);
+  }
+
+  return rows.filter(cells => cells.some(value => value !== ''));
+};
+
+// Date from a statement cell in one of DATE_FORMATS, or null. Anything after
+// the date, like a time, is ignored.
+export const parseImportDate = (value, format) => {
+  const parts = String(value || '').trim().split(/[\s/.,-]+|T(?=\d)/).filter(Boolean);
+  if (parts.length < 3 || !format) return null;
+
+  const fields = {};
+  format.split('').forEach((field, index) => {
+    const part = parts[index];
+    if (field === 'm' && /^[a-z]{3,}$/i.test(part)) {
+      fields.m = MONTH_NAMES.indexOf(part.slice(0, 3).toLowerCase()) + 1;
+    } else {
+      fields[field] = /^\d+$/.test(part) ? Number(part) : NaN;
+    }
+  });
+
+  const year = fields.y < 100 ? 2000 + fields.y : fields.y;
+  const { m: month, d: day } = fields;
+  if (!(year >= 1900 && year <= 2100 && month >= 1 && month <= 12 && day >= 1 && day <= 31)) return null;
+
+  // Rejects days the month doesn't have, like 31/02
+  const date = new Date(year, month - 1, day);
+  return date.getMonth() === month - 1 ? date : null;
+};
+
+// The format that reads the most of `values`, preferring day-first over
+// month-first when both fit. Null when none of them read anything.
+export const detectDateFormat = (values) => {
+  const filled = values.filter(Boolean);
+  let best = null;
+  let bestCount = 0;
+  DATE_FORMATS.forEach(({ value: format }) => {
+    const count = filled.filter(value => parseImportDate(value, format)).length;
+    if (count > bestCount) {
+      best = format;
+      bestCount = count;
+    }
+  });
+  return best;
+};
+
+// Signed amount from a statement cell, or null. Takes "(12.50)" and a
+// trailing minus as negative and reads "1.234,56" as well as "1,234.56".
+export const parseImportAmount = (value) => {
+  const text = String(value || '').trim();
+  let digits = text.replace(/[^\d.,]/g, '');
+  if (!/\d/.test(digits)) return null;
+
+  const decimalComma = digits.lastIndexOf(',') > digits.lastIndexOf('.') && /,\d{1,2}$/.test(digits);
+  digits = decimalComma
+    ? digits.replace(/\./g, '').replace(',', '.')
+    : digits.replace(/,/g, '');
+
+  const amount = parseFloat(digits);
+  if (Number.isNaN(amount)) return null;
+  const negative = /^\(.*\)$/.test(text) || (text.includes('-') && !/\d-\d/.test(text));
+  return negative ? -amount : amount;
+};
+
+const isDateCell = (cell) => DATE_FORMATS.some(({ value }) => parseImportDate(cell, value));
+
+// A first row with no dates in it is taken to be column names
+export const hasHeaderRow = (rows) => rows.length > 0 && !rows[0].some(isDateCell);
+
+// { date, title, amount, category } column indexes, null where nothing fits.
+// Header names are tried first; without them the date, amount and
+// description are picked out of a sample row by what the cells hold.
+export const guessColumnMapping = (headers, sample = []) => {
+  const used = new Set();
+  const claim = (test) => {
+    const count = Math.max(headers.length, sample.length);
+    const index = Array.from({ length: count }, (_, column) => column)
+      .find(column => !used.has(column) && test(column));
+    if (index === undefined) return null;
+    used.add(index);
+    return index;
+  };
+
+  const mapping = Object.fromEntries(IMPORT_FIELDS.map(({ value: field }) => (
+    [field, claim(column => FIELD_HINTS[field].test(headers[column] || ''))]
+  )));
+  if (mapping.date === null) mapping.date = claim(column => isDateCell(sample[column]));
+  if (mapping.amount === null) mapping.amount = claim(column => parseImportAmount(sample[column]) !== null);
+  if (mapping.title === null) mapping.title = claim(column => /[a-z]/i.test(sample[column] || ''));
+  return mapping;
+};
+
+// Same day, amount and currency counts as the same expense
+const getDuplicateKey = (dateKey, amount, currency) => `${dateKey}|${Math.abs(amount).toFixed(2)}|${currency}`;
+
+// Draft expenses for the statement rows. When the amounts have both signs,
+// negative ones are spending and positive ones income; otherwise every row is
+// spending. Each existing expense marks at most one row as a duplicate, so a
+// statement with two identical coffees against one entered by hand still
+// brings in the second.
+export const buildImportRows = ({ rows, mapping, dateFormat, currency, fallbackCategory, existing = [] }) => {
+  const remaining = {};
+  existing.forEach(expense => {
+    const date = parseExpenseDate(expense.expense_date);
+    if (!date) return;
+    const key = getDuplicateKey(toDateKey(date), parseAmount(expense.amount), getExpenseCurrency(expense));
+    remaining[key] = (remaining[key] || 0) + 1;
+  });
+
+  const cell = (row, field) => (mapping[field] === null ? '' : row[mapping[field]] || '');
+  const amounts = rows.map(row => parseImportAmount(cell(row, 'amount')));
+  const signed = amounts.some(amount => amount < 0);
+
+  return rows.map((row, index) => {
+    const date = parseImportDate(cell(row, 'date'), dateFormat);
+    const amount = amounts[index];
+    const title = cell(row, 'title');
+    const type = signed && amount > 0 ? 'income' : 'expense';
+
+    let error = null;
+    if (!date) error = 'Date not recognised';
+    else if (!amount) error = 'No amount';
+    else if (!title) error = 'No description';
+
+    const dateKey = date ? toDateKey(date) : null;
+    const duplicateKey = error ? null : getDuplicateKey(dateKey, amount, currency);
+    const duplicate = remaining[duplicateKey] > 0;
+    if (duplicate) remaining[duplicateKey] -= 1;
+
+    return {
+      key: String(index),
+      title,
+      amount: Math.abs(amount || 0),
+      type,
+      category: cell(row, 'category') || (type === 'income' ? 'Other' : fallbackCategory),
+      date: dateKey,
+      error,
+      duplicate,
+      include: !error && !duplicate,
+    };
+  });
+};
+
+// Payload for the expenses API. Dated at midday so the day stays put across
+// time zones, like generated recurring charges.
+export const toImportedExpense = (row, currency) => {
+  const date = parseExpenseDate(row.date);
+  return {
+    title: row.title,
+    amount: row.amount,
+    category: row.category,
+    type: row.type,
+    currency,
+    expense_date: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12).toISOString(),
+  };
+};
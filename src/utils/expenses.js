@@ -0,0 +1,150 @@
+import { MONTH_NAMES } from './calendar';
+import { DEFAULT_CURRENCY, convertAmount, getCurrencySymbol } from './currency';
+
+export const EXPENSE_CATEGORY_COLORS = [
+  '#1976D2', '#388E3C', '#D32F2F', '#7B1FA2',
+  '#C2185B', '#00796B', '#FFA000', '#5D4037',
+];
+
+// Offered in the income picker; the API's categories are for spending
+export const INCOME_CATEGORIES = ['Salary', 'Freelance', 'Business', 'Investments', 'Gifts', 'Other'];
+
+export const INCOME_COLOR = '#388E3C';
+
+// Rows saved before income existed have no type and count as expenses
+export const isIncome = (expense) => expense.type === 'income';
+
+// Rows saved before currencies existed were all in taka
+export const getExpenseCurrency = (expense) => expense.currency || DEFAULT_CURRENCY;
+
+// Stable per position, so a category keeps its color between renders
+export const getExpenseCategoryColor = (index) => (
+  EXPENSE_CATEGORY_COLORS[index % EXPENSE_CATEGORY_COLORS.length]
+);
+
+// Amounts come back formatted ("1,250.00", "৳1,250.00"); numbers pass through
+export const parseAmount = (value) => {
+  if (typeof value === 'number') return value;
+  const amount = parseFloat(String(value ?? '').replace(/[^0-9.-]/g, ''));
+  return Number.isNaN(amount) ? 0 : amount;
+};
+
+export const formatAmount = (value, currency = DEFAULT_CURRENCY) => (
+  `${value < 0 ? '-' : ''}${getCurrencySymbol(currency)}${Math.abs(Number(value)).toLocaleString('en-US', {
+    minimumFractionDigits: 2,
+    maximumFractionDigits: 2,
+  })}`
+);
+
+// The amount as entered, in its own currency: "+$12.00" for income, "৳1,250.00"
+// for spending
+export const formatTransactionAmount = (expense) => (
+  `${isIncome(expense) ? '+' : ''}${formatAmount(parseAmount(expense.amount), getExpenseCurrency(expense))}`
+);
+
+// The amount in the home currency, or null while its rate is missing
+export const getHomeAmount = (expense, currency) => (
+  convertAmount(parseAmount(expense.amount), getExpenseCurrency(expense), currency)
+);
+
+// Currencies used by `expenses` that have no rate to the home currency yet
+export const getMissingRates = (expenses, currency) => [
+  ...new Set(expenses
+    .filter(expense => getHomeAmount(expense, currency) === null)
+    .map(getExpenseCurrency)),
+];
+
+// `expense_date` is either "YYYY-MM-DD" or the display form "Jan 5, 2025"
+export const parseExpenseDate = (value) => {
+  if (!value) return null;
+  const iso = /^(\d{4})-(\d{2})-(\d{2})/.exec(value);
+  if (iso) return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+
+  const display = /^([A-Za-z]{3})\w* (\d{1,2}), (\d{4})$/.exec(value.trim());
+  if (display) {
+    const month = MONTH_NAMES.findIndex(name => name.startsWith(display[1]));
+    if (month !== -1) return new Date(Number(display[3]), month, Number(display[2]));
+  }
+
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+// What the API takes to save `expense` as it was read back, with `changes`.
+// The date is sent as midday so it stays on its day in any time zone.
+export const toExpensePayload = (expense, changes = {}) => {
+  const date = parseExpenseDate(expense.expense_date);
+  return {
+    title: expense.title,
+    amount: parseAmount(expense.amount),
+    category: expense.category,
+    type: isIncome(expense) ? 'income' : 'expense',
+    currency: getExpenseCurrency(expense),
+    expense_date: new Date(date.getFullYear(), date.getMonth(), date.getDate(), 12).toISOString(),
+    ...changes,
+  };
+};
+
+// The list endpoint may wrap its rows in a paginated `{ data }` envelope
+export const getExpenseRows = (response) => {
+  if (Array.isArray(response)) return response;
+  return Array.isArray(response?.data) ? response.data : [];
+};
+
+// [{ label, date, total, income, net }] for the last `months` months, oldest
+// first, in the home currency. `total` is what was spent, `net` what was left
+// of the income. Amounts without a rate are left out, here and below.
+export const getMonthlyTotals = (expenses, currency, months = 6, now = new Date()) => {
+  const buckets = Array.from({ length: months }, (_, index) => {
+    const date = new Date(now.getFullYear(), now.getMonth() - (months - 1 - index), 1);
+    return { label: MONTH_NAMES[date.getMonth()].slice(0, 3), date, total: 0, income: 0, net: 0 };
+  });
+
+  expenses.forEach(expense => {
+    const date = parseExpenseDate(expense.expense_date);
+    if (!date) return;
+    const bucket = buckets.find(item => (
+      item.date.getFullYear() === date.getFullYear() && item.date.getMonth() === date.getMonth()
+    ));
+    const amount = getHomeAmount(expense, currency);
+    if (!bucket || amount === null) return;
+
+    if (isIncome(expense)) {
+      bucket.income += amount;
+      bucket.net += amount;
+    } else {
+      bucket.total += amount;
+      bucket.net -= amount;
+    }
+  });
+
+  return buckets;
+};
+
+// All-time { income, spent, balance } across every transaction
+export const getBalance = (expenses, currency) => expenses.reduce((totals, expense) => {
+  const amount = getHomeAmount(expense, currency);
+  if (amount === null) return totals;
+  if (isIncome(expense)) {
+    totals.income += amount;
+    totals.balance += amount;
+  } else {
+    totals.spent += amount;
+    totals.balance -= amount;
+  }
+  return totals;
+}, { income: 0, spent: 0, balance: 0 });
+
+// [{ category, total }] spent per category in the home currency, largest first
+export const getCategoryTotals = (expenses, currency) => {
+  const totals = expenses.reduce((byCategory, expense) => {
+    const amount = getHomeAmount(expense, currency);
+    if (isIncome(expense) || amount === null) return byCategory;
+    byCategory[expense.category] = (byCategory[expense.category] || 0) + amount;
+    return byCategory;
+  }, {});
+
+  return Object.entries(totals)
+    .map(([category, total]) => ({ category, total }))
+    .sort((a, b) => b.total - a.total);
+};
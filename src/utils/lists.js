@@ -0,0 +1,10 @@
+// Swaps the item at `index` with its neighbour `offset` places away, for
+// up/down reordering; moves past either end leave the list as it is
+export const moveItem = (items, index, offset) => {
+  const target = index + offset;
+  if (target < 0 || target >= items.length) return items;
+
+  const next = [...items];
+  [next[index], next[target]] = [next[target], next[index]];
+  return next;
+};
@@ -0,0 +1,13 @@
+// Priority is stored on a task as `priority`; tasks without one count as 'none'
+
+export const PRIORITIES = [
+  { value: 'none', label: 'None', color: '#9E9E9E', rank: 0 },
+  { value: 'low', label: 'Low', color: '#4CAF50', rank: 1 },
+  { value: 'medium', label: 'Medium', color: '#FFA000', rank: 2 },
+  { value: 'high', label: 'High', color: '#F4511E', rank: 3 },
+  { value: 'urgent', label: 'Urgent', color: '#D32F2F', rank: 4 },
+];
+
+export const getPriority = (value) => (
+  PRIORITIES.find(priority => priority.value === value) || PRIORITIES[0]
+);
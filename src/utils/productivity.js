@@ -0,0 +1,100 @@
+import { addDays, startOfWeek, toDateKey } from './calendar';
+import { isCompleted } from './taskStatus';
+
+export const DATE_RANGES = [
+  { value: 4, label: '4 weeks' },
+  { value: 12, label: '12 weeks' },
+  { value: 26, label: '6 months' },
+  { value: 52, label: '1 year' },
+];
+
+export const WEEKDAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+// When a completed task was finished. Tasks completed before `completed_at`
+// was recorded fall back to their last update, or are left out.
+export const getCompletedAt = (task) => {
+  if (!isCompleted(task)) return null;
+  const value = task.completed_at || task.updated_at;
+  return value ? new Date(value) : null;
+};
+
+// First day of the range: the start of the week `weeks - 1` weeks before this one
+export const getRangeStart = (weeks, now = new Date()) => addDays(startOfWeek(now), -(weeks - 1) * 7);
+
+const getCompletionDates = (tasks, since) => tasks
+  .map(getCompletedAt)
+  .filter(date => date && date >= since);
+
+// [{ date, count }] for every day from `since` to today
+export const getCompletionsPerDay = (tasks, since, now = new Date()) => {
+  const counts = {};
+  getCompletionDates(tasks, since).forEach(date => {
+    const key = toDateKey(date);
+    counts[key] = (counts[key] || 0) + 1;
+  });
+
+  const days = [];
+  for (let date = startOfDay(since); date <= now; date = addDays(date, 1)) {
+    days.push({ date, count: counts[toDateKey(date)] || 0 });
+  }
+  return days;
+};
+
+// [{ date, count }] per week starting on `since`, which should begin a week
+export const getCompletionsPerWeek = (tasks, since, now = new Date()) => {
+  const weeks = [];
+  getCompletionsPerDay(tasks, since, now).forEach((day, index) => {
+    if (index % 7 === 0) weeks.push({ date: day.date, count: 0 });
+    weeks[weeks.length - 1].count += day.count;
+  });
+  return weeks;
+};
+
+// Runs of consecutive days with at least one completion. The current streak
+// still counts while today is empty, as long as yesterday wasn't.
+export const getStreaks = (tasks, now = new Date()) => {
+  const days = new Set(tasks.map(getCompletedAt).filter(Boolean).map(toDateKey));
+  const sorted = [...days].sort();
+
+  let longest = 0;
+  let run = 0;
+  let previous = null;
+  sorted.forEach(key => {
+    const date = new Date(`${key}T00:00:00`);
+    run = previous && toDateKey(addDays(previous, 1)) === key ? run + 1 : 1;
+    longest = Math.max(longest, run);
+    previous = date;
+  });
+
+  let current = 0;
+  let day = startOfDay(now);
+  if (!days.has(toDateKey(day))) day = addDays(day, -1);
+  while (days.has(toDateKey(day))) {
+    current++;
+    day = addDays(day, -1);
+  }
+
+  return { current, longest };
+};
+
+// Completed tasks finished by their due date versus after it
+export const getOnTimeStats = (tasks, since) => {
+  return tasks.reduce((stats, task) => {
+    const completedAt = getCompletedAt(task);
+    if (!completedAt || completedAt < since || !task.due_date) return stats;
+    return completedAt <= new Date(task.due_date)
+      ? { ...stats, onTime: stats.onTime + 1 }
+      : { ...stats, late: stats.late + 1 };
+  }, { onTime: 0, late: 0 });
+};
+
+// Completions per weekday, Sunday first
+export const getCompletionsByWeekday = (tasks, since) => {
+  const counts = WEEKDAY_LABELS.map(() => 0);
+  getCompletionDates(tasks, since).forEach(date => {
+    counts[date.getDay()]++;
+  });
+  return counts;
+};
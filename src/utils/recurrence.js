@@ -0,0 +1,161 @@
+import { parseChecklist } from './checklist';
+
+// Repeat rules are stored on a task as `repeat_rule`:
+//   { frequency, interval, days, day_of_month, until, count, occurrence, series_id }
+// `occurrence` counts from 1 and `series_id` ties generated tasks together.
+
+export const REPEAT_FREQUENCIES = [
+  { value: 'none', label: 'Never' },
+  { value: 'daily', label: 'Daily' },
+  { value: 'weekdays', label: 'Weekdays' },
+  { value: 'weekly', label: 'Weekly' },
+  { value: 'monthly', label: 'Monthly' },
+  { value: 'interval', label: 'Every N days' },
+];
+
+export const WEEK_DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+// The API may hand the rule back as a JSON string
+export const parseRepeatRule = (value) => {
+  if (!value) return null;
+  if (typeof value === 'object') return value;
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return null;
+  }
+};
+
+export const createRepeatRule = (frequency, dueDate) => ({
+  frequency,
+  interval: 1,
+  days: [dueDate.getDay()],
+  day_of_month: dueDate.getDate(),
+  until: null,
+  count: null,
+  occurrence: 1,
+  series_id: `series-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+});
+
+// `until` is a plain YYYY-MM-DD date in the user's time zone
+export const formatUntilDate = (date) => {
+  const pad = (value) => String(value).padStart(2, '0');
+  return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+export const parseUntilDate = (value) => {
+  const [year, month, day] = value.split('-').map(Number);
+  return new Date(year, month - 1, day);
+};
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+const addDays = (date, days) => {
+  const next = new Date(date);
+  next.setDate(next.getDate() + days);
+  return next;
+};
+
+const nextDate = (rule, from) => {
+  switch (rule.frequency) {
+    case 'daily':
+      return addDays(from, 1);
+    case 'interval':
+      return addDays(from, Math.max(1, parseInt(rule.interval) || 1));
+    case 'weekdays': {
+      let next = addDays(from, 1);
+      while (next.getDay() === 0 || next.getDay() === 6) {
+        next = addDays(next, 1);
+      }
+      return next;
+    }
+    case 'weekly': {
+      const days = rule.days?.length ? rule.days : [from.getDay()];
+      let next = addDays(from, 1);
+      while (!days.includes(next.getDay())) {
+        next = addDays(next, 1);
+      }
+      return next;
+    }
+    case 'monthly': {
+      const day = parseInt(rule.day_of_month) || from.getDate();
+      const next = new Date(from);
+      next.setDate(1);
+      next.setMonth(next.getMonth() + 1);
+      next.setDate(Math.min(day, daysInMonth(next.getFullYear(), next.getMonth())));
+      return next;
+    }
+    default:
+      return null;
+  }
+};
+
+// Date of the occurrence after `dueDate`, or null once the rule has ended
+export const getNextOccurrence = (rule, dueDate) => {
+  if (!rule || rule.frequency === 'none' || !dueDate) return null;
+
+  const occurrence = rule.occurrence || 1;
+  if (rule.count && occurrence >= rule.count) return null;
+
+  const next = nextDate(rule, new Date(dueDate));
+  if (!next) return null;
+
+  if (rule.until) {
+    const until = parseUntilDate(rule.until);
+    until.setHours(23, 59, 59, 999);
+    if (next > until) return null;
+  }
+
+  return next;
+};
+
+// Task data for the occurrence that follows `task`, or null if there is none
+export const buildNextOccurrence = (task) => {
+  const rule = parseRepeatRule(task.repeat_rule);
+  const next = getNextOccurrence(rule, task.due_date);
+  if (!next) return null;
+
+  return {
+    title: task.title,
+    description: task.description,
+    category_id: task.category_id,
+    priority: task.priority,
+    due_date: next.toISOString().slice(0, 19).replace('T', ' '),
+    repeat_rule: { ...rule, occurrence: (rule.occurrence || 1) + 1 },
+    reminder_minutes: task.reminder_minutes ?? null,
+    // Each occurrence starts with its checklist unticked
+    checklist: parseChecklist(task.checklist).map(item => ({ ...item, done: false })),
+  };
+};
+
+export const describeRepeatRule = (rule) => {
+  if (!rule) return '';
+
+  let text;
+  switch (rule.frequency) {
+    case 'daily':
+      text = 'Daily';
+      break;
+    case 'weekdays':
+      text = 'Weekdays';
+      break;
+    case 'weekly':
+      text = `Weekly on ${(rule.days || []).map(day => WEEK_DAYS[day]).join(', ')}`;
+      break;
+    case 'monthly':
+      text = `Monthly on day ${rule.day_of_month}`;
+      break;
+    case 'interval':
+      text = `Every ${rule.interval} days`;
+      break;
+    default:
+      return '';
+  }
+
+  if (rule.until) {
+    text += ` until ${parseUntilDate(rule.until).toLocaleDateString()}`;
+  } else if (rule.count) {
+    text += `, ${rule.count} times`;
+  }
+  return text;
+};
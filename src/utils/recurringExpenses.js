@@ -0,0 +1,97 @@
+import { toDateKey } from './calendar';
+import { parseExpenseDate } from './expenses';
+
+// Recurring expenses are templates kept on the device:
+//   { id, title, amount, currency, category, type, frequency, start_date,
+//     next_date, end_date, reminder_days }
+// Dates are YYYY-MM-DD. `next_date` is the first charge not entered yet and
+// null once the template has ended.
+
+export const RECURRING_FREQUENCIES = [
+  { value: 'weekly', label: 'Weekly', perYear: 52 },
+  { value: 'monthly', label: 'Monthly', perYear: 12 },
+  { value: 'yearly', label: 'Yearly', perYear: 1 },
+];
+
+// Days before a charge to send a reminder
+export const CHARGE_REMINDERS = [
+  { value: null, label: 'None' },
+  { value: 0, label: 'On the day' },
+  { value: 1, label: '1 day before' },
+  { value: 3, label: '3 days before' },
+  { value: 7, label: '1 week before' },
+];
+
+// A template that has been missed for a long time still catches up in bounded steps
+const MAX_CATCH_UP = 60;
+
+export const createRecurringTemplate = (fields) => ({
+  id: `recurring-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  type: 'expense',
+  end_date: null,
+  reminder_days: null,
+  ...fields,
+  next_date: fields.next_date || fields.start_date,
+});
+
+const daysInMonth = (year, month) => new Date(year, month + 1, 0).getDate();
+
+// Charge date after `dateKey`. Monthly and yearly charges keep the day (and
+// month) of the first charge, so a short month doesn't move later ones.
+export const getFollowingCharge = (template, dateKey) => {
+  const date = parseExpenseDate(dateKey);
+  const start = parseExpenseDate(template.start_date) || date;
+
+  switch (template.frequency) {
+    case 'weekly':
+      return toDateKey(new Date(date.getFullYear(), date.getMonth(), date.getDate() + 7));
+    case 'monthly': {
+      const year = date.getFullYear() + (date.getMonth() === 11 ? 1 : 0);
+      const month = (date.getMonth() + 1) % 12;
+      return toDateKey(new Date(year, month, Math.min(start.getDate(), daysInMonth(year, month))));
+    }
+    case 'yearly': {
+      const year = date.getFullYear() + 1;
+      const month = start.getMonth();
+      return toDateKey(new Date(year, month, Math.min(start.getDate(), daysInMonth(year, month))));
+    }
+    default:
+      return null;
+  }
+};
+
+const isBeforeEnd = (template, dateKey) => !template.end_date || dateKey <= template.end_date;
+
+// { dates, next }: the charges due by `now` that haven't been entered, oldest
+// first, and the template's next charge after them (null once it has ended)
+export const getDueCharges = (template, now = new Date()) => {
+  const today = toDateKey(now);
+  const dates = [];
+  let next = template.next_date;
+
+  while (next && next <= today && isBeforeEnd(template, next) && dates.length < MAX_CATCH_UP) {
+    dates.push(next);
+    next = getFollowingCharge(template, next);
+  }
+
+  return { dates, next: next && isBeforeEnd(template, next) ? next : null };
+};
+
+export const getAnnualCost = (template) => {
+  const frequency = RECURRING_FREQUENCIES.find(item => item.value === template.frequency);
+  return (Number(template.amount) || 0) * (frequency?.perYear || 0);
+};
+
+export const describeFrequency = (frequency) => (
+  RECURRING_FREQUENCIES.find(item => item.value === frequency)?.label || ''
+);
+
+// "today", "tomorrow", "in 5 days" or "in 3 weeks" until `dateKey`
+export const describeDaysUntil = (dateKey, now = new Date()) => {
+  const today = new Date(now.getFullYear(), now.getMonth(), now.getDate());
+  const days = Math.round((parseExpenseDate(dateKey) - today) / (24 * 60 * 60 * 1000));
+  if (days <= 0) return 'today';
+  if (days === 1) return 'tomorrow';
+  if (days < 14) return `in ${days} days`;
+  return `in ${Math.round(days / 7)} weeks`;
+};
@@ -0,0 +1,56 @@
+import { addDays, startOfWeek } from './calendar';
+import { isClosed } from './taskStatus';
+
+// Sections of the smart task view, in display order. Closed tasks from past
+// days never count as overdue, so they get their own section at the end.
+export const TASK_GROUPS = [
+  { key: 'overdue', title: 'Overdue', color: '#D32F2F' },
+  { key: 'today', title: 'Today', color: '#2196F3' },
+  { key: 'tomorrow', title: 'Tomorrow', color: '#333' },
+  { key: 'this_week', title: 'This week', color: '#333' },
+  { key: 'later', title: 'Later', color: '#333' },
+  { key: 'no_date', title: 'No date', color: '#666' },
+  { key: 'earlier', title: 'Earlier', color: '#666' },
+];
+
+const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+export const isOverdue = (task, now = new Date()) => (
+  !!task.due_date && !isClosed(task) && new Date(task.due_date) < now
+);
+
+export const getTaskGroup = (task, now = new Date()) => {
+  if (!task.due_date) return 'no_date';
+  if (isOverdue(task, now)) return 'overdue';
+
+  const due = new Date(task.due_date);
+  const today = startOfDay(now);
+  if (due < today) return 'earlier';
+
+  const tomorrow = addDays(today, 1);
+  if (due < tomorrow) return 'today';
+  if (due < addDays(tomorrow, 1)) return 'tomorrow';
+  if (due < addDays(startOfWeek(today), 7)) return 'this_week';
+  return 'later';
+};
+
+// [{ ...group, data }] for every group that has tasks; task order is kept
+export const groupTasks = (tasks, now = new Date()) => {
+  const buckets = {};
+  tasks.forEach(task => {
+    const key = getTaskGroup(task, now);
+    (buckets[key] = buckets[key] || []).push(task);
+  });
+  return TASK_GROUPS
+    .filter(group => buckets[group.key])
+    .map(group => ({ ...group, data: buckets[group.key] }));
+};
+
+// Same time of day today, or the end of today when that time has already passed
+export const getTodayDueDate = (task, now = new Date()) => {
+  const due = new Date(task.due_date);
+  const moved = new Date(now.getFullYear(), now.getMonth(), now.getDate(), due.getHours(), due.getMinutes());
+  return moved > now
+    ? moved
+    : new Date(now.getFullYear(), now.getMonth(), now.getDate(), 23, 59);
+};
@@ -0,0 +1,29 @@
+import { getPriority } from './priority';
+
+export const SORT_OPTIONS = [
+  { value: 'priority', label: 'Priority' },
+  { value: 'due_date', label: 'Due date' },
+  { value: 'created', label: 'Newest' },
+  { value: 'title', label: 'A-Z' },
+];
+
+const time = (value) => (value ? new Date(value).getTime() : Infinity);
+
+// Tasks without a due date go last
+const byDueDate = (a, b) => time(a.due_date) - time(b.due_date);
+
+const comparators = {
+  priority: (a, b) => (
+    getPriority(b.priority).rank - getPriority(a.priority).rank || byDueDate(a, b)
+  ),
+  due_date: byDueDate,
+  created: (a, b) => (
+    new Date(b.created_at || 0).getTime() - new Date(a.created_at || 0).getTime()
+  ),
+  title: (a, b) => (a.title || '').localeCompare(b.title || ''),
+};
+
+export const sortTasks = (tasks, sortBy) => {
+  const compare = comparators[sortBy];
+  return compare ? [...tasks].sort(compare) : tasks;
+};
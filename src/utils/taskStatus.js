@@ -0,0 +1,25 @@
+// Task workflow states. `icon` is the Ionicons glyph drawn inside the status dot.
+export const TASK_STATUSES = [
+  { value: 'pending', label: 'Pending', color: '#FFA000', icon: null },
+  { value: 'in_progress', label: 'In progress', color: '#2196F3', icon: 'play' },
+  { value: 'blocked', label: 'Blocked', color: '#D32F2F', icon: 'pause' },
+  { value: 'completed', label: 'Completed', color: '#4CAF50', icon: 'checkmark' },
+  { value: 'cancelled', label: 'Cancelled', color: '#9E9E9E', icon: 'close' },
+];
+
+// Tasks saved before statuses existed carry a boolean (or 0/1) instead
+export const getTaskStatus = (task) => {
+  if (typeof task.status !== 'string') {
+    return task.status ? 'completed' : 'pending';
+  }
+  return TASK_STATUSES.some(status => status.value === task.status) ? task.status : 'pending';
+};
+
+export const getStatusInfo = (value) => (
+  TASK_STATUSES.find(status => status.value === value) || TASK_STATUSES[0]
+);
+
+export const isCompleted = (task) => getTaskStatus(task) === 'completed';
+
+// Completed and cancelled tasks need no more work
+export const isClosed = (task) => ['completed', 'cancelled'].includes(getTaskStatus(task));
@@ -0,0 +1,82 @@
+// Time entries are stored on a task as `time_entries`:
+// [{ id, started_at, ended_at, type: 'timer' | 'pomodoro' }], times in ISO format
+
+export const POMODORO_WORK_MINUTES = 25;
+export const POMODORO_BREAK_MINUTES = 5;
+
+// The API may hand the list back as a JSON string
+export const parseTimeEntries = (value) => {
+  if (!value) return [];
+  if (Array.isArray(value)) return value;
+  try {
+    const parsed = JSON.parse(value);
+    return Array.isArray(parsed) ? parsed : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+export const createTimeEntry = (startedAt, endedAt, type) => ({
+  id: `time-${Date.now()}-${Math.random().toString(36).slice(2, 8)}`,
+  started_at: new Date(startedAt).toISOString(),
+  ended_at: new Date(endedAt).toISOString(),
+  type,
+});
+
+export const getEntrySeconds = (entry) => Math.max(
+  0,
+  Math.round((new Date(entry.ended_at) - new Date(entry.started_at)) / 1000)
+);
+
+export const getTrackedSeconds = (task) => {
+  return parseTimeEntries(task.time_entries).reduce((sum, entry) => sum + getEntrySeconds(entry), 0);
+};
+
+// "1h 05m", "12m", "45s"
+export const formatDuration = (seconds) => {
+  const hours = Math.floor(seconds / 3600);
+  const minutes = Math.floor((seconds % 3600) / 60);
+  if (hours > 0) return `${hours}h ${String(minutes).padStart(2, '0')}m`;
+  if (minutes > 0) return `${minutes}m`;
+  return `${Math.floor(seconds)}s`;
+};
+
+// "04:59" style countdowns and stopwatches
+export const formatClock = (seconds) => {
+  const total = Math.max(0, Math.floor(seconds));
+  const hours = Math.floor(total / 3600);
+  const pad = (value) => String(value).padStart(2, '0');
+  const clock = `${pad(Math.floor((total % 3600) / 60))}:${pad(total % 60)}`;
+  return hours > 0 ? `${hours}:${clock}` : clock;
+};
+
+// [{ title, color, seconds }] for every category with tracked time, most first.
+// `color` is null for categories that were never given one.
+export const getTimeByCategory = (tasks) => {
+  const totals = tasks.reduce((acc, task) => {
+    const seconds = getTrackedSeconds(task);
+    if (!seconds) return acc;
+
+    const title = task.category?.title || 'Uncategorized';
+    if (!acc[title]) {
+      acc[title] = { title, color: task.category?.color || null, seconds: 0 };
+    }
+    acc[title].seconds += seconds;
+    return acc;
+  }, {});
+  return Object.values(totals).sort((a, b) => b.seconds - a.seconds);
+};
+
+// Seconds logged across all tasks since `since`
+export const getTrackedSecondsSince = (tasks, since) => {
+  return tasks.reduce((sum, task) => sum + parseTimeEntries(task.time_entries)
+    .filter(entry => new Date(entry.started_at) >= since)
+    .reduce((total, entry) => total + getEntrySeconds(entry), 0), 0);
+};
+
+// When the running pomodoro phase is over, in ms; plain timers have no end
+export const getPhaseEnd = (timer) => {
+  if (timer.type !== 'pomodoro') return null;
+  const minutes = timer.phase === 'work' ? POMODORO_WORK_MINUTES : POMODORO_BREAK_MINUTES;
+  return timer.startedAt + minutes * 60 * 1000;
+};